@@ -0,0 +1,81 @@
+// Developmental milestone catalogue, grouped by age band (in months) and by
+// the four domains the app covers (utils/strictDomains.js). Ids are stored in
+// child_milestones, so never rename or reuse one; retire it instead.
+//   keywords - words used to bias tips toward the milestone
+
+export const MILESTONE_AGE_BANDS = [
+    { id: '0-12m', minMonths: 0, maxMonths: 12, label: 'Birth to 12 months' },
+    { id: '12-24m', minMonths: 12, maxMonths: 24, label: '12 to 24 months' },
+    { id: '2-3y', minMonths: 24, maxMonths: 36, label: '2 to 3 years' },
+    { id: '3-4y', minMonths: 36, maxMonths: 48, label: '3 to 4 years' },
+    { id: '4-5y', minMonths: 48, maxMonths: 60, label: '4 to 5 years' },
+    { id: '5-6y', minMonths: 60, maxMonths: 72, label: '5 to 6 years' },
+];
+
+const LANGUAGE = 'Language Development';
+const SCIENCE = 'Early Science Skills';
+const LITERACY = 'Literacy Foundations';
+const SOCIAL = 'Social-Emotional Learning';
+
+export const MILESTONES = [
+    // Birth to 12 months
+    { id: 'lang-coos-babbles', band: '0-12m', domain: LANGUAGE, title: 'Babbles with consonant sounds like "ba-ba" and "da-da"', keywords: ['babble', 'sounds', 'talk'] },
+    { id: 'lang-responds-name', band: '0-12m', domain: LANGUAGE, title: 'Turns when their name is called', keywords: ['name', 'listening'] },
+    { id: 'sci-explores-objects', band: '0-12m', domain: SCIENCE, title: 'Explores objects by shaking, banging and mouthing them', keywords: ['explore', 'objects', 'senses'] },
+    { id: 'sci-object-permanence', band: '0-12m', domain: SCIENCE, title: 'Looks for a toy after it is hidden', keywords: ['hide', 'peekaboo', 'find'] },
+    { id: 'lit-looks-at-pictures', band: '0-12m', domain: LITERACY, title: 'Looks at pictures in a book when you point to them', keywords: ['book', 'pictures', 'point'] },
+    { id: 'sel-social-smile', band: '0-12m', domain: SOCIAL, title: 'Smiles back when you smile and talk to them', keywords: ['smile', 'faces'] },
+    { id: 'sel-plays-peekaboo', band: '0-12m', domain: SOCIAL, title: 'Plays back-and-forth games like peekaboo', keywords: ['peekaboo', 'turn-taking', 'games'] },
+
+    // 12 to 24 months
+    { id: 'lang-first-words', band: '12-24m', domain: LANGUAGE, title: 'Says a few words besides "mama" and "dada"', keywords: ['words', 'naming', 'vocabulary'] },
+    { id: 'lang-follows-one-step', band: '12-24m', domain: LANGUAGE, title: 'Follows one-step directions like "give me the ball"', keywords: ['directions', 'listening'] },
+    { id: 'lang-points-to-ask', band: '12-24m', domain: LANGUAGE, title: 'Points to show you something or to ask for it', keywords: ['point', 'gesture', 'naming'] },
+    { id: 'sci-cause-effect', band: '12-24m', domain: SCIENCE, title: 'Repeats actions to see what happens (dropping, pushing buttons)', keywords: ['cause', 'effect', 'experiment'] },
+    { id: 'sci-sorts-shapes', band: '12-24m', domain: SCIENCE, title: 'Fits simple shapes into a shape sorter', keywords: ['shapes', 'sort', 'match'] },
+    { id: 'lit-turns-pages', band: '12-24m', domain: LITERACY, title: 'Turns board-book pages and points to named pictures', keywords: ['book', 'pages', 'pictures'] },
+    { id: 'sel-shows-affection', band: '12-24m', domain: SOCIAL, title: 'Shows affection with hugs, kisses or cuddles', keywords: ['affection', 'feelings'] },
+    { id: 'sel-parallel-play', band: '12-24m', domain: SOCIAL, title: 'Plays next to other children', keywords: ['play', 'friends', 'social'] },
+
+    // 2 to 3 years
+    { id: 'lang-two-word-phrases', band: '2-3y', domain: LANGUAGE, title: 'Puts two words together, like "more milk"', keywords: ['phrases', 'sentences', 'talk'] },
+    { id: 'lang-names-body-parts', band: '2-3y', domain: LANGUAGE, title: 'Points to and names several body parts', keywords: ['body', 'naming', 'vocabulary'] },
+    { id: 'lang-asks-what', band: '2-3y', domain: LANGUAGE, title: 'Asks simple "what" and "where" questions', keywords: ['questions', 'conversation'] },
+    { id: 'sci-sorts-by-colour', band: '2-3y', domain: SCIENCE, title: 'Sorts objects by colour or shape', keywords: ['sort', 'colors', 'shapes', 'classify'] },
+    { id: 'sci-big-small', band: '2-3y', domain: SCIENCE, title: 'Understands big and small, more and less', keywords: ['compare', 'size', 'measure'] },
+    { id: 'lit-fills-in-words', band: '2-3y', domain: LITERACY, title: 'Fills in missing words in a familiar book or rhyme', keywords: ['rhyme', 'story', 'book'] },
+    { id: 'lit-scribbles', band: '2-3y', domain: LITERACY, title: 'Scribbles and copies a vertical line', keywords: ['drawing', 'writing', 'crayon'] },
+    { id: 'sel-names-feelings', band: '2-3y', domain: SOCIAL, title: 'Notices when others are hurt or upset', keywords: ['feelings', 'empathy', 'emotions'] },
+    { id: 'sel-takes-turns-simple', band: '2-3y', domain: SOCIAL, title: 'Takes turns in a simple game with help', keywords: ['turn-taking', 'sharing', 'games'] },
+
+    // 3 to 4 years
+    { id: 'lang-three-word-sentences', band: '3-4y', domain: LANGUAGE, title: 'Talks in sentences of three or more words', keywords: ['sentences', 'conversation', 'talk'] },
+    { id: 'lang-tells-what-happened', band: '3-4y', domain: LANGUAGE, title: 'Tells you what happened during the day', keywords: ['storytelling', 'narration', 'conversation'] },
+    { id: 'lang-asks-why', band: '3-4y', domain: LANGUAGE, title: 'Asks "why" and "how" questions', keywords: ['questions', 'curiosity'] },
+    { id: 'sci-counts-three', band: '3-4y', domain: SCIENCE, title: 'Counts three objects and knows "how many"', keywords: ['count', 'numbers', 'measure'] },
+    { id: 'sci-predicts', band: '3-4y', domain: SCIENCE, title: 'Guesses what will happen next ("the ice will melt")', keywords: ['predict', 'observe', 'experiment'] },
+    { id: 'lit-knows-some-letters', band: '3-4y', domain: LITERACY, title: 'Recognises some letters, especially in their own name', keywords: ['letters', 'alphabet', 'name'] },
+    { id: 'lit-retells-story', band: '3-4y', domain: LITERACY, title: 'Retells parts of a favourite story', keywords: ['story', 'comprehension', 'book'] },
+    { id: 'sel-plays-with-others', band: '3-4y', domain: SOCIAL, title: 'Joins other children to play', keywords: ['friends', 'cooperation', 'play'] },
+    { id: 'sel-comforts-others', band: '3-4y', domain: SOCIAL, title: 'Comforts others who are hurt or sad', keywords: ['empathy', 'kindness', 'feelings'] },
+
+    // 4 to 5 years
+    { id: 'lang-tells-stories', band: '4-5y', domain: LANGUAGE, title: 'Tells a story with at least two events', keywords: ['storytelling', 'sequence', 'narration'] },
+    { id: 'lang-answers-simple-questions', band: '4-5y', domain: LANGUAGE, title: 'Answers simple questions about a book or story', keywords: ['questions', 'comprehension', 'conversation'] },
+    { id: 'sci-names-colours', band: '4-5y', domain: SCIENCE, title: 'Names a few colours and describes how things are alike or different', keywords: ['colors', 'compare', 'describe'] },
+    { id: 'sci-counts-ten', band: '4-5y', domain: SCIENCE, title: 'Counts to ten and understands "first", "next" and "last"', keywords: ['count', 'numbers', 'sequence'] },
+    { id: 'lit-rhymes', band: '4-5y', domain: LITERACY, title: 'Recognises and makes simple rhymes', keywords: ['rhyme', 'sounds', 'song'] },
+    { id: 'lit-writes-letters', band: '4-5y', domain: LITERACY, title: 'Writes some letters of their name', keywords: ['writing', 'letters', 'name'] },
+    { id: 'sel-follows-rules', band: '4-5y', domain: SOCIAL, title: 'Follows the rules and takes turns in games', keywords: ['turn-taking', 'rules', 'cooperation'] },
+    { id: 'sel-names-own-feelings', band: '4-5y', domain: SOCIAL, title: 'Names their own feelings ("I feel frustrated")', keywords: ['feelings', 'emotions', 'self-awareness'] },
+
+    // 5 to 6 years
+    { id: 'lang-full-conversations', band: '5-6y', domain: LANGUAGE, title: 'Keeps a conversation going with several back-and-forth turns', keywords: ['conversation', 'listening', 'talk'] },
+    { id: 'lang-uses-future-tense', band: '5-6y', domain: LANGUAGE, title: 'Talks about the past and the future ("tomorrow we will...")', keywords: ['time', 'sentences', 'narration'] },
+    { id: 'sci-asks-how-things-work', band: '5-6y', domain: SCIENCE, title: 'Investigates how things work and explains what they noticed', keywords: ['investigate', 'observe', 'explain'] },
+    { id: 'sci-measures-compares', band: '5-6y', domain: SCIENCE, title: 'Compares length, weight and amount using words like "longer" and "heavier"', keywords: ['measure', 'compare', 'weight'] },
+    { id: 'lit-letter-sounds', band: '5-6y', domain: LITERACY, title: 'Knows the sounds most letters make', keywords: ['phonics', 'letters', 'sounds'] },
+    { id: 'lit-reads-sight-words', band: '5-6y', domain: LITERACY, title: 'Reads a few simple sight words', keywords: ['sight word', 'reading', 'print'] },
+    { id: 'sel-solves-conflicts', band: '5-6y', domain: SOCIAL, title: 'Works out small disagreements with friends using words', keywords: ['conflict', 'resolution', 'friends'] },
+    { id: 'sel-calms-self', band: '5-6y', domain: SOCIAL, title: 'Uses a strategy to calm down when upset', keywords: ['self-regulation', 'calm', 'coping'] },
+];
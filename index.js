@@ -5,7 +5,6 @@ import { fileURLToPath } from 'url';
 import body from 'body-parser';
 import cors from 'cors';
 import { WebSocketServer } from 'ws';
-import jwt from 'jsonwebtoken';
 import url from 'url';
 import http from 'http';
 import location from './routes/location.js';
@@ -17,11 +16,14 @@ import childrenRouter from './routes/children.js';
 import sessionRoutes from './routes/sessions.js';
 import dashboardRoutes from './routes/dashboard.js';
 import adminRoutes from './routes/adminRoutes.js';
+import householdRoutes from './routes/households.js';
+import journalRoutes from './routes/journal.js';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 import personalizationRoutes, {
     buildSurveyContext,
     categoryReply,
+    childTargetStatus,
     looksLikeParentingPrompt,
     reframeAsParenting,
     safeJSONParse,
@@ -40,10 +42,16 @@ app.use('/endpoint', childrenRouter);
 app.use('/endpoint/session', sessionRoutes);
 app.use('/api/dashboard', dashboardRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/households', householdRoutes);
+app.use('/api/journal', journalRoutes);
 import authroutes from './routes/auth.js';
 import { isStrictlyInScope } from './utils/strictDomains.js';
 import pool from './config/db.js';
 import personalizationService from './services/personalizationService.js';
+import sessionService from './services/sessionService.js';
+import userDataService from './services/userDataService.js';
+import mailService from './services/mailService.js';
+import visitService from './services/visitService.js';
 app.use('/api/auth', authroutes);
 app.use('/api/home', user);
 app.use('/api/tips', tips);
@@ -68,11 +76,13 @@ function sendJSON(ws, obj) {
 wss.on('connection', async (ws, req) => {
     const openedAt = Date.now();
     console.log(`[WS] Client connected`);
-    // ---- simple JWT check on handshake (?token=...) ----
+    // ---- JWT check on handshake (?token=...), revocation included ----
     const { query } = url.parse(req.url, true);
+    // Hold incoming frames while the token is checked so the start message isn't lost
+    ws.pause();
     try {
         if (!query?.token) throw new Error('Missing token');
-        req.user = jwt.verify(query.token, process.env.JWT_SECRET);
+        req.user = await sessionService.verifyAccessToken(query.token);
     } catch (e) {
         sendJSON(ws, { type: 'error', message: 'Unauthorized' });
         return ws.close(1008, 'Unauthorized');
@@ -110,12 +120,23 @@ wss.on('connection', async (ws, req) => {
                 prompt,
                 contentPreferences = [],
                 generateMode = 'hybrid',
+                childId,
             } = msg;
             if (!prompt) {
                 sendJSON(ws, { type: 'error', message: 'Prompt is required' });
                 return ws.close();
             }
 
+            let target;
+            try {
+                target = await personalizationService.childTarget(userId, childId);
+            } catch (error) {
+                const status = childTargetStatus(error);
+                if (!status) throw error;
+                sendJSON(ws, { type: 'error', status, message: error.message });
+                return ws.close();
+            }
+
             // --- your scope checks (same as REST) ---
             let effectivePrompt = prompt;
             const v = isStrictlyInScope(prompt);
@@ -157,6 +178,7 @@ wss.on('connection', async (ws, req) => {
                 mode: generateMode,
                 hasSurveyData,
                 effectivePrompt,
+                childId: target ? target.child.id : null,
             });
 
             // --- stream AI tips first ---
@@ -170,6 +192,7 @@ wss.on('connection', async (ws, req) => {
                         ? `${effectivePrompt}\n\nUser Context: ${surveyContext}`
                         : effectivePrompt,
                     contentPreferences: enhancedContentPrefs,
+                    target,
                     onPhase: phase =>
                         sendJSON(ws, { type: 'phase', data: phase }),
                     onTip: async tip => {
@@ -179,6 +202,7 @@ wss.on('connection', async (ws, req) => {
                                     userId,
                                     query: effectivePrompt,
                                     tip,
+                                    target,
                                 },
                             );
                         if (!scored) return;
@@ -203,6 +227,7 @@ wss.on('connection', async (ws, req) => {
                         effectivePrompt,
                         5,
                         enhancedContentPrefs,
+                        target,
                     );
                 if (dbResult?.tips?.length) {
                     sendJSON(ws, {
@@ -224,6 +249,7 @@ wss.on('connection', async (ws, req) => {
             ws.close();
         }
     });
+    ws.resume();
 });
 
 app.get('/', async (req, res) => {
@@ -235,3 +261,28 @@ server.listen(port, err => {
     if (err) console.log(err);
     else console.log(err || 'Listening on port ' + port);
 });
+
+// Purge accounts whose deletion grace period has ended
+const ACCOUNT_PURGE_INTERVAL = 60 * 60 * 1000; // 1 hour
+const purgeDeletedAccounts = () =>
+    userDataService
+        .purgeExpiredAccounts()
+        .catch(error => console.error('Account purge failed:', error));
+setInterval(purgeDeletedAccounts, ACCOUNT_PURGE_INTERVAL).unref();
+purgeDeletedAccounts();
+
+// Retry emails whose first send failed
+const MAIL_OUTBOX_INTERVAL = 60 * 1000; // 1 minute
+const processMailOutbox = () =>
+    mailService
+        .processOutbox()
+        .catch(error => console.error('Mail outbox run failed:', error));
+setInterval(processMailOutbox, MAIL_OUTBOX_INTERVAL).unref();
+
+// Close location visits whose device stopped sending pings
+const STALE_VISIT_INTERVAL = 5 * 60 * 1000; // 5 minutes
+const closeStaleVisits = () =>
+    visitService
+        .closeStaleVisits()
+        .catch(error => console.error('Closing stale visits failed:', error));
+setInterval(closeStaleVisits, STALE_VISIT_INTERVAL).unref();
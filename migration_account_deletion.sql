@@ -0,0 +1,24 @@
+-- Migration script for soft account deletion
+-- Deleting an account now disables it immediately and schedules a purge;
+-- signing in with restore: true before purge_after cancels the deletion
+
+-- Step 1: Add deletion columns to users table
+ALTER TABLE users
+ADD COLUMN deleted_at DATETIME DEFAULT NULL COMMENT 'Set when the user asks to delete the account',
+ADD COLUMN purge_after DATETIME DEFAULT NULL COMMENT 'When the purge job removes every row the user owns',
+ADD KEY idx_users_purge_after (purge_after);
+
+-- Step 2: Create generated_audio table so tip audio generated from a
+-- user's personalized content can be removed with the account
+CREATE TABLE IF NOT EXISTS generated_audio (
+    id INT NOT NULL AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    file_name VARCHAR(255) NOT NULL COMMENT 'File under public/audio',
+    created_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (id),
+    KEY idx_generated_audio_user (user_id),
+    CONSTRAINT generated_audio_ibfk_1 FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- Verification queries
+-- SELECT id, email, deleted_at, purge_after FROM users WHERE deleted_at IS NOT NULL;
@@ -0,0 +1,41 @@
+-- Migration script for persistent login/reset throttling and account lockout
+-- Replaces the in-memory reset rate limiter with a MySQL attempt ledger
+
+-- Step 1: Create auth_attempts ledger (one row per login/reset/unlock attempt)
+CREATE TABLE IF NOT EXISTS auth_attempts (
+    id BIGINT NOT NULL AUTO_INCREMENT,
+    action VARCHAR(20) NOT NULL COMMENT 'login, reset, unlock',
+    email VARCHAR(255) NOT NULL COMMENT 'Lower-cased email the attempt was for',
+    ip_address VARCHAR(45) DEFAULT NULL,
+    user_id INT DEFAULT NULL COMMENT 'Set when the email matched an account',
+    success TINYINT(1) NOT NULL DEFAULT 0,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (id),
+    KEY idx_auth_attempts_email (action, email, created_at),
+    KEY idx_auth_attempts_ip (action, ip_address, created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- Step 2: Add locked_until column to users table
+ALTER TABLE users
+ADD COLUMN locked_until DATETIME DEFAULT NULL
+COMMENT 'Logins are refused until this time after repeated failures';
+
+-- Step 3: Create account_unlock_tokens table (emailed unlock links)
+CREATE TABLE IF NOT EXISTS account_unlock_tokens (
+    id INT NOT NULL AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    token_hash CHAR(64) NOT NULL COMMENT 'SHA-256 of the emailed token',
+    expires_at DATETIME NOT NULL,
+    consumed_at DATETIME DEFAULT NULL,
+    created_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (id),
+    UNIQUE KEY uniq_account_unlock_token (token_hash),
+    KEY idx_account_unlock_user (user_id),
+    CONSTRAINT account_unlock_tokens_ibfk_1 FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- Maintenance: the ledger only needs recent history
+-- DELETE FROM auth_attempts WHERE created_at < NOW() - INTERVAL 30 DAY;
+
+-- Verification queries
+-- SELECT id, email, locked_until FROM users WHERE locked_until > NOW();
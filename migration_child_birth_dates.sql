@@ -0,0 +1,23 @@
+-- Migration script for birth-date based child ages
+-- Ages are now computed in months from date_of_birth on every read, so
+-- children age naturally; the whole-year age column is no longer written
+
+-- Step 1: Record how exact each birth date is
+ALTER TABLE children
+ADD COLUMN birth_date_precision ENUM('day', 'month', 'estimated') NOT NULL DEFAULT 'day'
+COMMENT 'day: full date given, month: year and month only, estimated: back-computed from a 1-5 age'
+AFTER date_of_birth;
+
+-- Step 2: Existing birth dates may have been back-computed from an age
+UPDATE children SET birth_date_precision = 'estimated';
+
+-- Step 3: Retire the whole-year age column (and its 1-5 constraint)
+ALTER TABLE children DROP CHECK chk_age;
+ALTER TABLE children MODIFY COLUMN age INT DEFAULT NULL COMMENT 'Deprecated: derived from date_of_birth';
+
+-- Step 4: Drop the age column (OPTIONAL - once no older app versions write it)
+-- ALTER TABLE children DROP COLUMN age;
+
+-- Verification queries
+-- SELECT id, date_of_birth, birth_date_precision, TIMESTAMPDIFF(MONTH, date_of_birth, CURDATE()) AS age_months FROM children;
+-- SELECT COUNT(*) FROM children WHERE TIMESTAMPDIFF(MONTH, date_of_birth, CURDATE()) >= 72;
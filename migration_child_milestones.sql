@@ -0,0 +1,20 @@
+-- Migration script for the developmental milestone tracker
+-- The milestone catalogue lives in config/milestones.js; this table records
+-- which milestones each child has reached and when
+
+-- Step 1: Create child_milestones table
+CREATE TABLE IF NOT EXISTS child_milestones (
+    child_id INT NOT NULL,
+    milestone_id VARCHAR(64) NOT NULL COMMENT 'Id from config/milestones.js',
+    achieved_on DATE NOT NULL,
+    recorded_by INT DEFAULT NULL COMMENT 'Household member who ticked it off',
+    created_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    PRIMARY KEY (child_id, milestone_id),
+    KEY idx_child_milestones_recorded_by (recorded_by),
+    CONSTRAINT child_milestones_ibfk_1 FOREIGN KEY (child_id) REFERENCES children (id) ON DELETE CASCADE,
+    CONSTRAINT child_milestones_ibfk_2 FOREIGN KEY (recorded_by) REFERENCES users (id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- Verification queries
+-- SELECT milestone_id, COUNT(*) FROM child_milestones GROUP BY milestone_id ORDER BY COUNT(*) DESC;
@@ -0,0 +1,13 @@
+-- Migration script for child profiles
+-- Interests, home languages and a temperament note per child, woven into
+-- tip prompts (validated in utils/childProfile.js)
+
+-- Step 1: Add the profile columns
+ALTER TABLE children
+ADD COLUMN interests JSON DEFAULT NULL COMMENT 'Array of short labels, e.g. ["trucks", "dinosaurs"]' AFTER birth_date_precision,
+ADD COLUMN home_languages JSON DEFAULT NULL COMMENT 'Array of languages spoken at home, e.g. ["Spanish", "English"]' AFTER interests,
+ADD COLUMN temperament_notes VARCHAR(300) DEFAULT NULL AFTER home_languages;
+
+-- Verification queries
+-- SELECT id, nickname, interests, home_languages, temperament_notes FROM children;
+-- SELECT COUNT(*) FROM children WHERE JSON_LENGTH(home_languages) > 1;
@@ -0,0 +1,31 @@
+-- Migration script for the email outbox
+-- Every email is recorded before it is sent; failed sends are retried with
+-- backoff by the outbox worker instead of being lost
+
+-- Step 1: Create email_outbox table
+CREATE TABLE IF NOT EXISTS email_outbox (
+    id BIGINT NOT NULL AUTO_INCREMENT,
+    user_id INT DEFAULT NULL COMMENT 'Recipient account, NULL for invitations to new addresses',
+    template VARCHAR(50) NOT NULL COMMENT 'Name from utils/mailTemplates.js',
+    to_email VARCHAR(255) NOT NULL,
+    subject VARCHAR(255) NOT NULL,
+    text_body TEXT DEFAULT NULL COMMENT 'Cleared once the email is sent or expires',
+    html_body MEDIUMTEXT DEFAULT NULL COMMENT 'Cleared once the email is sent or expires',
+    status ENUM('pending', 'sending', 'sent', 'failed', 'expired') NOT NULL DEFAULT 'pending',
+    provider VARCHAR(20) DEFAULT NULL COMMENT 'Transport that accepted the email',
+    attempts INT NOT NULL DEFAULT 0,
+    last_error VARCHAR(512) DEFAULT NULL,
+    next_attempt_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    expires_at DATETIME DEFAULT NULL COMMENT 'Stop retrying after this (codes inside have expired)',
+    sent_at DATETIME DEFAULT NULL,
+    created_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    PRIMARY KEY (id),
+    KEY idx_email_outbox_due (status, next_attempt_at),
+    KEY idx_email_outbox_user (user_id),
+    CONSTRAINT email_outbox_ibfk_1 FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- Verification queries
+-- SELECT status, template, COUNT(*) FROM email_outbox GROUP BY status, template;
+-- SELECT id, to_email, attempts, last_error, next_attempt_at FROM email_outbox WHERE status IN ('pending', 'failed');
@@ -0,0 +1,30 @@
+-- Migration script for email verification of new registrations
+
+-- Step 1: Add email_verified_at column to users table
+ALTER TABLE users
+ADD COLUMN email_verified_at DATETIME DEFAULT NULL
+COMMENT 'When the user confirmed ownership of their email address';
+
+-- Step 2: Treat accounts created before verification existed as verified,
+-- so existing parents keep access to password reset and notifications
+UPDATE users
+SET email_verified_at = COALESCE(created_at, NOW())
+WHERE email_verified_at IS NULL;
+
+-- Step 3: Create email_verifications table (one row per code sent)
+CREATE TABLE IF NOT EXISTS email_verifications (
+    id INT NOT NULL AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    email VARCHAR(255) NOT NULL,
+    code_hash CHAR(64) NOT NULL COMMENT 'SHA-256 of user_id:code',
+    attempts INT NOT NULL DEFAULT 0,
+    expires_at DATETIME NOT NULL,
+    consumed_at DATETIME DEFAULT NULL,
+    created_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (id),
+    KEY idx_email_verifications_user (user_id, consumed_at),
+    CONSTRAINT email_verifications_ibfk_1 FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- Verification queries
+-- SELECT COUNT(*) FROM users WHERE email_verified_at IS NULL;
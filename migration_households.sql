@@ -0,0 +1,48 @@
+-- Migration script for co-caregiver households
+-- Children and locations keep their user_id; members of a household see and
+-- update each other's rows
+
+-- Step 1: Create households table
+CREATE TABLE IF NOT EXISTS households (
+    id INT NOT NULL AUTO_INCREMENT,
+    name VARCHAR(255) DEFAULT NULL,
+    created_by INT DEFAULT NULL,
+    created_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (id),
+    CONSTRAINT households_ibfk_1 FOREIGN KEY (created_by) REFERENCES users (id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- Step 2: Create household_members table (a user belongs to at most one household)
+CREATE TABLE IF NOT EXISTS household_members (
+    household_id INT NOT NULL,
+    user_id INT NOT NULL,
+    role VARCHAR(20) NOT NULL DEFAULT 'caregiver' COMMENT 'owner, caregiver',
+    joined_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (household_id, user_id),
+    UNIQUE KEY uniq_household_members_user (user_id),
+    CONSTRAINT household_members_ibfk_1 FOREIGN KEY (household_id) REFERENCES households (id) ON DELETE CASCADE,
+    CONSTRAINT household_members_ibfk_2 FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- Step 3: Create household_invitations table
+CREATE TABLE IF NOT EXISTS household_invitations (
+    id INT NOT NULL AUTO_INCREMENT,
+    household_id INT NOT NULL,
+    email VARCHAR(255) NOT NULL COMMENT 'Invitee email; only this account can accept',
+    role VARCHAR(20) NOT NULL DEFAULT 'caregiver',
+    token_hash CHAR(64) NOT NULL COMMENT 'SHA-256 of the emailed token',
+    invited_by INT NOT NULL,
+    expires_at DATETIME NOT NULL,
+    accepted_at DATETIME DEFAULT NULL,
+    accepted_by INT DEFAULT NULL,
+    revoked_at DATETIME DEFAULT NULL,
+    created_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (id),
+    UNIQUE KEY uniq_household_invitations_token (token_hash),
+    KEY idx_household_invitations_email (email),
+    CONSTRAINT household_invitations_ibfk_1 FOREIGN KEY (household_id) REFERENCES households (id) ON DELETE CASCADE,
+    CONSTRAINT household_invitations_ibfk_2 FOREIGN KEY (invited_by) REFERENCES users (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- Households are created on demand when a parent sends their first invitation,
+-- so existing users need no backfill.
@@ -0,0 +1,11 @@
+-- Migration script for per-location geofences
+-- Each saved location gets its own radius; a polygon boundary, when set,
+-- decides whether a point is inside instead (see utils/geofence.js)
+
+-- Step 1: Add the fence columns (100 m matches the old fixed check)
+ALTER TABLE locations
+ADD COLUMN radius_m SMALLINT UNSIGNED NOT NULL DEFAULT 100 COMMENT 'Fence radius in metres around the pin (25-2000)' AFTER `long`,
+ADD COLUMN boundary JSON DEFAULT NULL COMMENT 'Optional polygon: [{"latitude": ..., "longitude": ...}, ...]' AFTER radius_m;
+
+-- Verification queries
+-- SELECT id, name, type, radius_m, JSON_LENGTH(boundary) AS boundary_points FROM locations;
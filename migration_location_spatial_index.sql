@@ -0,0 +1,43 @@
+-- Migration script for spatially indexed location matching
+-- Each location's pin is kept as a POINT (SRID 4326, WGS 84) under a spatial
+-- index. The geofence check asks MySQL for pins inside a bounding box around
+-- the device, then runs the exact fence test on those candidates only
+-- (services/locationService.js).
+-- Note: POINT(x, y) always takes longitude as x, so the point is built as
+-- POINT(long, lat). Only WKT input (ST_GeomFromText) is read latitude first
+-- for SRID 4326, which is what locationService's bounding box uses.
+
+-- Step 1: Add the column and fill it from the existing coordinates
+ALTER TABLE locations ADD COLUMN position POINT SRID 4326 NULL AFTER `long`;
+UPDATE locations SET position = ST_SRID(POINT(`long`, lat), 4326);
+
+-- Step 2: Spatial indexes need a NOT NULL column with a fixed SRID
+ALTER TABLE locations MODIFY COLUMN position POINT SRID 4326 NOT NULL;
+ALTER TABLE locations ADD SPATIAL INDEX idx_locations_position (position);
+
+-- Step 3: Keep position in step with lat/long on every write
+DROP TRIGGER IF EXISTS locations_position_insert;
+DROP TRIGGER IF EXISTS locations_position_update;
+
+DELIMITER $$
+CREATE TRIGGER locations_position_insert BEFORE INSERT ON locations
+FOR EACH ROW
+BEGIN
+    SET NEW.position = ST_SRID(POINT(NEW.`long`, NEW.lat), 4326);
+END$$
+
+CREATE TRIGGER locations_position_update BEFORE UPDATE ON locations
+FOR EACH ROW
+BEGIN
+    SET NEW.position = ST_SRID(POINT(NEW.`long`, NEW.lat), 4326);
+END$$
+DELIMITER ;
+
+-- Verification queries
+-- SELECT id, lat, `long`, ST_Latitude(position), ST_Longitude(position) FROM locations LIMIT 10;
+-- Rows whose stored point doesn't match their coordinates (expect none):
+-- SELECT id FROM locations
+--   WHERE ABS(ST_Latitude(position) - lat) > 0.000001
+--      OR ABS(ST_Longitude(position) - `long`) > 0.000001;
+-- EXPLAIN SELECT id FROM locations
+--   WHERE ST_Within(position, ST_GeomFromText('POLYGON((51.49 -0.14, 51.51 -0.14, 51.51 -0.12, 51.49 -0.12, 51.49 -0.14))', 4326));
@@ -0,0 +1,28 @@
+-- Migration script for location visits
+-- Location pings build a history of visits to saved locations: when the
+-- user entered, was last seen and left. Tips are only sent once a visit has
+-- lasted LOCATION_DWELL_SECONDS (see services/visitService.js).
+
+-- Step 1: Create location_visits table
+CREATE TABLE IF NOT EXISTS location_visits (
+    id INT NOT NULL AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    location_id INT DEFAULT NULL COMMENT 'NULL once the location is deleted; the visit is kept for analytics',
+    entered_at DATETIME NOT NULL,
+    last_seen_at DATETIME NOT NULL,
+    exited_at DATETIME DEFAULT NULL COMMENT 'NULL while the visit is open',
+    duration_seconds INT UNSIGNED DEFAULT NULL COMMENT 'Set when the visit closes',
+    notified_at DATETIME DEFAULT NULL COMMENT 'When tips were sent for this visit',
+    created_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (id),
+    KEY idx_location_visits_user_open (user_id, exited_at),
+    KEY idx_location_visits_user_entered (user_id, entered_at),
+    KEY idx_location_visits_location (location_id, entered_at),
+    KEY idx_location_visits_open_seen (exited_at, last_seen_at),
+    CONSTRAINT location_visits_ibfk_1 FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+    CONSTRAINT location_visits_ibfk_2 FOREIGN KEY (location_id) REFERENCES locations (id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- Verification queries
+-- SELECT location_id, COUNT(*), AVG(duration_seconds) FROM location_visits GROUP BY location_id;
+-- SELECT COUNT(*) FROM location_visits WHERE exited_at IS NULL;
@@ -0,0 +1,18 @@
+-- Migration script for passwordless email login codes
+
+-- Step 1: Create login_otps table (one row per code sent)
+CREATE TABLE IF NOT EXISTS login_otps (
+    id INT NOT NULL AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    code_hash CHAR(64) NOT NULL COMMENT 'SHA-256 of user_id:code',
+    attempts INT NOT NULL DEFAULT 0,
+    expires_at DATETIME NOT NULL,
+    consumed_at DATETIME DEFAULT NULL,
+    created_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (id),
+    KEY idx_login_otps_user (user_id, consumed_at),
+    CONSTRAINT login_otps_ibfk_1 FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- Maintenance: used or expired codes can be pruned periodically
+-- DELETE FROM login_otps WHERE expires_at < NOW() - INTERVAL 1 DAY;
@@ -0,0 +1,20 @@
+-- Migration script for Sign in with Google / Apple
+
+-- Step 1: Accounts created through a provider have no password
+ALTER TABLE users
+MODIFY COLUMN password VARCHAR(255) DEFAULT NULL;
+
+-- Step 2: Create user_identities table (one row per linked provider account)
+CREATE TABLE IF NOT EXISTS user_identities (
+    id INT NOT NULL AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    provider VARCHAR(20) NOT NULL COMMENT 'google, apple',
+    provider_subject VARCHAR(255) NOT NULL COMMENT 'sub claim of the provider ID token',
+    email VARCHAR(255) DEFAULT NULL COMMENT 'Email the provider reported when linked',
+    created_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP,
+    last_login_at DATETIME DEFAULT NULL,
+    PRIMARY KEY (id),
+    UNIQUE KEY uniq_user_identities_subject (provider, provider_subject),
+    UNIQUE KEY uniq_user_identities_user_provider (user_id, provider),
+    CONSTRAINT user_identities_ibfk_1 FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
@@ -0,0 +1,17 @@
+-- Migration script for password history
+-- Keeps the hashes of a user's previous passwords so they can't be reused
+-- (see PASSWORD_HISTORY)
+
+-- Step 1: Create password_history table
+CREATE TABLE IF NOT EXISTS password_history (
+    id INT NOT NULL AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    password_hash VARCHAR(255) NOT NULL COMMENT 'bcrypt hash of a replaced password',
+    created_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP COMMENT 'When the password was replaced',
+    PRIMARY KEY (id),
+    KEY idx_password_history_user (user_id, created_at),
+    CONSTRAINT password_history_ibfk_1 FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- Verification queries
+-- SELECT user_id, COUNT(*) FROM password_history GROUP BY user_id;
@@ -0,0 +1,30 @@
+-- Migration script for selector/verifier password reset tokens
+-- Reset tokens move out of users.reset_token into their own table so a reset
+-- is a single indexed lookup instead of a bcrypt comparison against every user
+
+-- Step 1: Create password_reset_tokens table
+CREATE TABLE IF NOT EXISTS password_reset_tokens (
+    id INT NOT NULL AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    email VARCHAR(255) NOT NULL COMMENT 'Address the token was sent to',
+    selector CHAR(24) NOT NULL COMMENT 'Public lookup half of the token',
+    verifier_hash CHAR(64) NOT NULL COMMENT 'SHA-256 of the secret half of the token',
+    attempts INT NOT NULL DEFAULT 0,
+    expires_at DATETIME NOT NULL,
+    consumed_at DATETIME DEFAULT NULL,
+    created_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (id),
+    UNIQUE KEY uniq_password_reset_selector (selector),
+    KEY idx_password_reset_user (user_id, consumed_at),
+    CONSTRAINT password_reset_tokens_ibfk_1 FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- Step 2: Outstanding bcrypt reset tokens can no longer be redeemed; clear them
+UPDATE users SET reset_token = NULL, reset_token_expires = NULL
+WHERE reset_token IS NOT NULL;
+
+-- Step 3: Drop the old columns (OPTIONAL - only after verifying the new flow)
+-- ALTER TABLE users DROP COLUMN reset_token, DROP COLUMN reset_token_expires;
+
+-- Maintenance: expired or used tokens can be pruned periodically
+-- DELETE FROM password_reset_tokens WHERE expires_at < NOW() - INTERVAL 7 DAY;
@@ -0,0 +1,69 @@
+-- Migration script for canonical place types
+-- locations.type and tips.type were free text, so the same kind of place was
+-- spelled several ways ('Grocery', 'Grocery store', 'Grocery Store'). This
+-- rewrites both columns to the canonical labels in utils/placeTypes.js,
+-- matching aliases ignoring case, spacing and punctuation. Keep the alias
+-- list below in step with that file. The value a location had before is
+-- kept in locations.legacy_type, so rows that fell back to Other can be
+-- mapped by hand.
+
+-- Step 1: Alias lookup (normalised alias -> canonical label)
+DROP TEMPORARY TABLE IF EXISTS place_type_aliases;
+CREATE TEMPORARY TABLE place_type_aliases (
+    alias VARCHAR(50) NOT NULL,
+    label VARCHAR(50) NOT NULL,
+    PRIMARY KEY (alias)
+);
+
+INSERT INTO place_type_aliases (alias, label) VALUES
+    ('buswalk', 'Bus/Walk'), ('bus', 'Bus/Walk'), ('walk', 'Bus/Walk'),
+    ('busstop', 'Bus/Walk'), ('transit', 'Bus/Walk'), ('commute', 'Bus/Walk'),
+    ('waitingroom', 'Waiting Room'), ('waitingarea', 'Waiting Room'),
+    ('clinic', 'Waiting Room'), ('doctorsoffice', 'Waiting Room'),
+    ('library', 'Library'),
+    ('park', 'Park'), ('playground', 'Park'),
+    ('grocerystore', 'Grocery Store'), ('grocery', 'Grocery Store'),
+    ('groceries', 'Grocery Store'), ('supermarket', 'Grocery Store'),
+    ('generalstore', 'General Store'), ('store', 'General Store'),
+    ('shop', 'General Store'), ('shopping', 'General Store'),
+    ('restaurant', 'Restaurant'), ('cafe', 'Restaurant'), ('diner', 'Restaurant'),
+    ('othershome', 'Other''s Home'), ('friendshome', 'Other''s Home'),
+    ('relativeshome', 'Other''s Home'), ('grandparentshome', 'Other''s Home'),
+    ('other', 'Other'), ('default', 'Other');
+
+-- Step 2: Keep every type this migration changes
+ALTER TABLE locations
+ADD COLUMN legacy_type VARCHAR(255) DEFAULT NULL
+COMMENT 'Free-text type before canonical place types; cleared when the type is edited'
+AFTER type;
+
+UPDATE locations
+SET legacy_type = type
+WHERE BINARY type NOT IN ('Bus/Walk', 'Waiting Room', 'Library', 'Park', 'Grocery Store',
+                          'General Store', 'Restaurant', 'Other''s Home', 'Other');
+
+-- Step 3: Canonicalise saved locations; anything unrecognised becomes Other
+UPDATE locations l
+JOIN place_type_aliases a ON a.alias = REGEXP_REPLACE(LOWER(l.type), '[^a-z0-9]+', '')
+SET l.type = a.label;
+
+UPDATE locations
+SET type = 'Other'
+WHERE type NOT IN ('Bus/Walk', 'Waiting Room', 'Library', 'Park', 'Grocery Store',
+                   'General Store', 'Restaurant', 'Other''s Home', 'Other');
+
+ALTER TABLE locations ALTER COLUMN type SET DEFAULT 'Other';
+
+-- Step 4: Canonicalise the tip catalogue so each place type finds its tips
+UPDATE tips t
+JOIN place_type_aliases a ON a.alias = REGEXP_REPLACE(LOWER(t.type), '[^a-z0-9]+', '')
+SET t.type = a.label;
+
+DROP TEMPORARY TABLE place_type_aliases;
+
+-- Verification queries
+-- SELECT type, COUNT(*) FROM locations GROUP BY type;
+-- Locations no alias matched, for manual mapping:
+-- SELECT legacy_type, COUNT(*) FROM locations
+--   WHERE type = 'Other' AND legacy_type IS NOT NULL GROUP BY legacy_type;
+-- SELECT type, COUNT(*) FROM tips GROUP BY type;
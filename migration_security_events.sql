@@ -0,0 +1,43 @@
+-- Migration script for the security audit log
+-- security_events is append-only: the triggers below reject updates and
+-- deletes, and rows are kept when an account is purged (no foreign keys)
+
+-- Step 1: Create security_events table
+CREATE TABLE IF NOT EXISTS security_events (
+    id BIGINT NOT NULL AUTO_INCREMENT,
+    event_type VARCHAR(50) NOT NULL COMMENT 'login, password_change, role_change, ... (see services/securityEventService.js)',
+    outcome VARCHAR(10) NOT NULL COMMENT 'success, failure, blocked',
+    actor_id INT DEFAULT NULL COMMENT 'User who performed the action (NULL when unauthenticated)',
+    target_id INT DEFAULT NULL COMMENT 'User the action applied to',
+    ip_address VARCHAR(45) DEFAULT NULL,
+    user_agent VARCHAR(512) DEFAULT NULL,
+    details JSON DEFAULT NULL,
+    created_at TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    PRIMARY KEY (id),
+    KEY idx_security_events_actor (actor_id, created_at),
+    KEY idx_security_events_target (target_id, created_at),
+    KEY idx_security_events_type (event_type, created_at),
+    KEY idx_security_events_created (created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- Step 2: Reject changes to recorded events
+DROP TRIGGER IF EXISTS security_events_no_update;
+DROP TRIGGER IF EXISTS security_events_no_delete;
+
+DELIMITER $$
+CREATE TRIGGER security_events_no_update BEFORE UPDATE ON security_events
+FOR EACH ROW
+BEGIN
+    SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'security_events is append-only';
+END$$
+
+CREATE TRIGGER security_events_no_delete BEFORE DELETE ON security_events
+FOR EACH ROW
+BEGIN
+    SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'security_events is append-only';
+END$$
+DELIMITER ;
+
+-- Verification queries
+-- SELECT event_type, outcome, COUNT(*) FROM security_events
+--   WHERE created_at > NOW() - INTERVAL 1 DAY GROUP BY event_type, outcome;
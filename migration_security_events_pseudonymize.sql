@@ -0,0 +1,36 @@
+-- Migration script for pseudonymising the audit log on account purge
+-- security_events stays append-only, with one exception: purging an account
+-- clears the IP address, user agent and email of that user's events
+-- (services/userDataService.js). The event itself (type, outcome, user ids,
+-- time and remaining details) is kept. Any other change is still rejected.
+
+-- Step 1: Replace the update trigger
+DROP TRIGGER IF EXISTS security_events_no_update;
+
+DELIMITER $$
+CREATE TRIGGER security_events_no_update BEFORE UPDATE ON security_events
+FOR EACH ROW
+BEGIN
+    IF NOT (
+        NEW.id = OLD.id
+        AND NEW.event_type = OLD.event_type
+        AND NEW.outcome = OLD.outcome
+        AND NEW.actor_id <=> OLD.actor_id
+        AND NEW.target_id <=> OLD.target_id
+        AND NEW.created_at = OLD.created_at
+        AND NEW.ip_address IS NULL
+        AND NEW.user_agent IS NULL
+        AND (NEW.details <=> OLD.details
+             OR NEW.details <=> JSON_REMOVE(OLD.details, '$.email'))
+    ) THEN
+        SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'security_events is append-only';
+    END IF;
+END$$
+DELIMITER ;
+
+-- Verification queries
+-- Expect an error:
+-- UPDATE security_events SET outcome = 'success' WHERE id = 1;
+-- Allowed (the purge's update):
+-- UPDATE security_events SET ip_address = NULL, user_agent = NULL,
+--   details = JSON_REMOVE(details, '$.email') WHERE id = 1;
@@ -0,0 +1,32 @@
+-- Migration script for the talk-moment journal
+-- Parents log activities they actually did with a child, optionally linked
+-- to the tip that prompted them and the saved location they were at
+
+-- Step 1: Create talk_moments table
+CREATE TABLE IF NOT EXISTS talk_moments (
+    id INT NOT NULL AUTO_INCREMENT,
+    user_id INT NOT NULL COMMENT 'Household member who logged it',
+    child_id INT NOT NULL,
+    tip_id INT DEFAULT NULL,
+    location_id INT DEFAULT NULL,
+    occurred_at DATETIME NOT NULL,
+    duration_minutes SMALLINT UNSIGNED DEFAULT NULL,
+    mood ENUM('great', 'good', 'okay', 'tough') DEFAULT NULL,
+    notes TEXT,
+    created_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    PRIMARY KEY (id),
+    KEY idx_talk_moments_child_occurred (child_id, occurred_at),
+    KEY idx_talk_moments_user (user_id),
+    KEY idx_talk_moments_tip (tip_id),
+    KEY idx_talk_moments_location (location_id),
+    KEY idx_talk_moments_occurred (occurred_at),
+    CONSTRAINT talk_moments_ibfk_1 FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+    CONSTRAINT talk_moments_ibfk_2 FOREIGN KEY (child_id) REFERENCES children (id) ON DELETE CASCADE,
+    CONSTRAINT talk_moments_ibfk_3 FOREIGN KEY (tip_id) REFERENCES tips (id) ON DELETE SET NULL,
+    CONSTRAINT talk_moments_ibfk_4 FOREIGN KEY (location_id) REFERENCES locations (id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- Verification queries
+-- SELECT child_id, COUNT(*), SUM(duration_minutes) FROM talk_moments GROUP BY child_id;
+-- SELECT mood, COUNT(*) FROM talk_moments GROUP BY mood;
@@ -0,0 +1,17 @@
+-- Migration script for child-targeted tips
+-- Tip requests can name the child they're for (childId); likes, dislikes and
+-- saves then record that child so feedback can be told apart per child
+
+-- Step 1: Record the child an interaction was for
+ALTER TABLE user_tip_interactions
+ADD COLUMN child_id INT DEFAULT NULL
+COMMENT 'Household child the tip was shown for; NULL when the request named no child'
+AFTER interaction_type;
+
+-- Step 2: Keep interactions when a child is removed
+ALTER TABLE user_tip_interactions
+ADD KEY idx_user_tip_interactions_child (child_id),
+ADD CONSTRAINT user_tip_interactions_child_fk FOREIGN KEY (child_id) REFERENCES children (id) ON DELETE SET NULL;
+
+-- Verification queries
+-- SELECT child_id, interaction_type, COUNT(*) FROM user_tip_interactions GROUP BY child_id, interaction_type;
@@ -0,0 +1,11 @@
+-- Migration script for access-token revocation
+-- Access tokens carry the user's token_version (tv claim); bumping the column
+-- revokes every token issued before the bump
+
+-- Step 1: Add token_version column to users table
+ALTER TABLE users
+ADD COLUMN token_version INT NOT NULL DEFAULT 0
+COMMENT 'Incremented on password change/reset, account deletion and admin status change';
+
+-- Verification queries
+-- SELECT id, email, token_version FROM users ORDER BY token_version DESC LIMIT 10;
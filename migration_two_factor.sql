@@ -0,0 +1,24 @@
+-- Migration script for TOTP two-factor authentication
+
+-- Step 1: Create user_totp table (one authenticator per user)
+CREATE TABLE IF NOT EXISTS user_totp (
+    user_id INT NOT NULL,
+    secret_encrypted VARCHAR(255) NOT NULL COMMENT 'AES-256-GCM iv:tag:ciphertext of the base32 secret',
+    confirmed_at DATETIME DEFAULT NULL COMMENT 'NULL while enrollment is pending',
+    last_used_step BIGINT DEFAULT NULL COMMENT 'Time step of the last accepted code, blocks replays',
+    created_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (user_id),
+    CONSTRAINT user_totp_ibfk_1 FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- Step 2: Create user_recovery_codes table (single-use backup codes)
+CREATE TABLE IF NOT EXISTS user_recovery_codes (
+    id INT NOT NULL AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    code_hash CHAR(64) NOT NULL COMMENT 'SHA-256 of the code without its dash',
+    used_at DATETIME DEFAULT NULL,
+    created_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (id),
+    KEY idx_user_recovery_codes_user (user_id, code_hash),
+    CONSTRAINT user_recovery_codes_ibfk_1 FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
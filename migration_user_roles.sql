@@ -0,0 +1,25 @@
+-- Migration script for roles and permissions
+-- Replaces the users.isAdmin flag with one row per granted role. The
+-- permissions each role carries live in services/roleService.js.
+
+-- Step 1: Create user_roles table
+CREATE TABLE IF NOT EXISTS user_roles (
+    user_id INT NOT NULL,
+    role VARCHAR(30) NOT NULL COMMENT 'admin, researcher, content_editor, coach',
+    granted_by INT DEFAULT NULL,
+    granted_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (user_id, role),
+    KEY idx_user_roles_role (role),
+    CONSTRAINT user_roles_ibfk_1 FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- Step 2: Existing admins keep their access
+INSERT IGNORE INTO user_roles (user_id, role)
+SELECT id, 'admin' FROM users WHERE isAdmin = 1;
+
+-- Step 3: users.isAdmin is no longer read. Once every deployment runs this
+-- migration it can be dropped:
+-- ALTER TABLE users DROP COLUMN isAdmin;
+
+-- Verification queries
+-- SELECT role, COUNT(*) AS users FROM user_roles GROUP BY role;
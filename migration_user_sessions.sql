@@ -0,0 +1,29 @@
+-- Migration script for per-device refresh sessions
+-- Replaces the single users.refresh_token column with one row per signed-in device
+
+-- Step 1: Create user_sessions table
+CREATE TABLE IF NOT EXISTS user_sessions (
+    id INT NOT NULL AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    refresh_token_hash CHAR(64) NOT NULL COMMENT 'SHA-256 of the current refresh token id (jti)',
+    device_name VARCHAR(255) DEFAULT NULL,
+    user_agent VARCHAR(512) DEFAULT NULL,
+    ip_address VARCHAR(45) DEFAULT NULL,
+    created_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TIMESTAMP NULL DEFAULT NULL,
+    expires_at DATETIME NOT NULL,
+    revoked_at DATETIME DEFAULT NULL,
+    revoked_reason VARCHAR(50) DEFAULT NULL COMMENT 'logout, revoked, reuse_detected, ...',
+    PRIMARY KEY (id),
+    KEY idx_user_sessions_user (user_id, revoked_at),
+    CONSTRAINT user_sessions_ibfk_1 FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- Step 2: users.refresh_token is kept only so tokens issued before this
+-- migration can be exchanged once via /api/auth/refresh. Each exchange clears it.
+-- After all clients have refreshed (30 days), the column can be dropped:
+-- ALTER TABLE users DROP COLUMN refresh_token;
+
+-- Verification queries
+-- SELECT user_id, COUNT(*) AS active_devices FROM user_sessions
+--   WHERE revoked_at IS NULL AND expires_at > NOW() GROUP BY user_id;
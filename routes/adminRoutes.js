@@ -1,17 +1,33 @@
 import express from 'express';
 import pool from '../config/db.js';
-import { authenticateJWT, authorizeAdmin } from './middleware.js';
+import { authenticateJWT, requirePermission } from './middleware.js';
+import sessionService from '../services/sessionService.js';
+import roleService, { ROLES, ROLE_PERMISSIONS } from '../services/roleService.js';
+import authThrottleService from '../services/authThrottleService.js';
+import totpService from '../services/totpService.js';
+import { withAge } from '../utils/childAge.js';
+import securityEventService, {
+    SECURITY_EVENTS,
+    SECURITY_OUTCOMES,
+} from '../services/securityEventService.js';
 
 const router = express.Router();
 
-// Get all users (admin only)
-router.get('/users', authenticateJWT, authorizeAdmin, async (req, res) => {
+// Get all users (users:read)
+router.get('/users', authenticateJWT, requirePermission('users:read'), async (req, res) => {
     try {
         const [users] = await pool.query(`
-            SELECT id, name, email, created_at, isAdmin, number_of_children
-            FROM users
-            ORDER BY created_at DESC
+            SELECT u.id, u.name, u.email, u.created_at, u.number_of_children, u.deleted_at,
+                   GROUP_CONCAT(r.role ORDER BY r.role) AS roles
+            FROM users u
+            LEFT JOIN user_roles r ON r.user_id = u.id
+            GROUP BY u.id
+            ORDER BY u.created_at DESC
         `);
+        for (const user of users) {
+            user.roles = user.roles ? user.roles.split(',') : [];
+            user.isAdmin = user.roles.includes('admin');
+        }
         
         res.status(200).json(users);
     } catch (error) {
@@ -20,26 +36,29 @@ router.get('/users', authenticateJWT, authorizeAdmin, async (req, res) => {
     }
 });
 
-// Get user details (admin only)
-router.get('/users/:userId', authenticateJWT, authorizeAdmin, async (req, res) => {
+// Get user details (users:read)
+router.get('/users/:userId', authenticateJWT, requirePermission('users:read'), async (req, res) => {
     try {
         const { userId } = req.params;
         
         // Get user data
         const [users] = await pool.query(
-            'SELECT id, name, email, created_at, isAdmin, number_of_children FROM users WHERE id = ?',
+            'SELECT id, name, email, created_at, number_of_children FROM users WHERE id = ?',
             [userId]
         );
         
         if (users.length === 0) {
             return res.status(404).json({ error: 'User not found' });
         }
+        users[0].roles = await roleService.getRoles(userId);
+        users[0].isAdmin = users[0].roles.includes('admin');
         
         // Get user's children
-        const [children] = await pool.query(
-            'SELECT id, nickname, age FROM children WHERE user_id = ?',
+        const [childRows] = await pool.query(
+            'SELECT id, nickname, date_of_birth, birth_date_precision FROM children WHERE user_id = ?',
             [userId]
         );
+        const children = childRows.map(child => withAge(child));
         
         // Get user's activity
         const [activity] = await pool.query(
@@ -66,31 +85,83 @@ router.get('/users/:userId', authenticateJWT, authorizeAdmin, async (req, res) =
     }
 });
 
-// Toggle admin status (admin only)
-router.patch('/users/:userId/toggle-admin', authenticateJWT, authorizeAdmin, async (req, res) => {
+// List assignable roles and what they grant (users:manage)
+router.get('/roles', authenticateJWT, requirePermission('users:manage'), (req, res) => {
+    res.status(200).json(
+        ROLES.map(role => ({ role, permissions: ROLE_PERMISSIONS[role] }))
+    );
+});
+
+// Replace a user's roles (users:manage)
+router.put('/users/:userId/roles', authenticateJWT, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const { roles } = req.body;
+
+        if (!Array.isArray(roles)) {
+            return res.status(400).json({ error: 'roles must be an array' });
+        }
+
+        const [users] = await pool.query('SELECT id, name, email FROM users WHERE id = ?', [userId]);
+        if (users.length === 0) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const previous = await roleService.getRoles(userId);
+        const updated = await roleService.setRoles(userId, roles, req.user.id);
+        await securityEventService.record(req, 'role_change', {
+            targetId: Number(userId),
+            details: { from: previous, to: updated },
+        });
+
+        // Existing access tokens carry the old roles; force a refresh
+        await sessionService.bumpTokenVersion(userId);
+
+        res.status(200).json({ ...users[0], roles: updated });
+    } catch (error) {
+        if (error.code === 'INVALID_ROLE' || error.code === 'LAST_ADMIN') {
+            await securityEventService.record(req, 'role_change', {
+                targetId: Number(req.params.userId),
+                outcome: 'failure',
+                details: { to: req.body.roles, reason: error.code },
+            });
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error updating roles:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Toggle the admin role (users:manage). Kept for the existing admin dashboard;
+// PUT /users/:userId/roles manages every role.
+router.patch('/users/:userId/toggle-admin', authenticateJWT, requirePermission('users:manage'), async (req, res) => {
     try {
         const { userId } = req.params;
         
         // Check if user exists
-        const [users] = await pool.query('SELECT * FROM users WHERE id = ?', [userId]);
+        const [users] = await pool.query('SELECT id, name, email FROM users WHERE id = ?', [userId]);
         
         if (users.length === 0) {
             return res.status(404).json({ error: 'User not found' });
         }
         
         const user = users[0];
-        const newAdminStatus = !user.isAdmin;
-        
-        // Prevent removing admin status from the last admin
-        if (!newAdminStatus) {
-            const [adminCount] = await pool.query('SELECT COUNT(*) as count FROM users WHERE isAdmin = true');
-            if (adminCount[0].count <= 1) {
-                return res.status(400).json({ error: 'Cannot remove admin status from the last admin user' });
-            }
-        }
-        
-        // Update user's admin status
-        await pool.query('UPDATE users SET isAdmin = ? WHERE id = ?', [newAdminStatus, userId]);
+        const roles = await roleService.getRoles(userId);
+        const newAdminStatus = !roles.includes('admin');
+
+        // setRoles refuses to remove the last admin
+        const updated = await roleService.setRoles(
+            userId,
+            newAdminStatus ? [...roles, 'admin'] : roles.filter(role => role !== 'admin'),
+            req.user.id
+        );
+        await securityEventService.record(req, 'role_change', {
+            targetId: Number(userId),
+            details: { from: roles, to: updated },
+        });
+
+        // Existing access tokens carry the old roles; force a refresh
+        await sessionService.bumpTokenVersion(userId);
         
         res.status(200).json({ 
             id: user.id,
@@ -101,13 +172,131 @@ router.patch('/users/:userId/toggle-admin', authenticateJWT, authorizeAdmin, asy
         });
         
     } catch (error) {
+        if (error.code === 'LAST_ADMIN') {
+            await securityEventService.record(req, 'role_change', {
+                targetId: Number(req.params.userId),
+                outcome: 'failure',
+                details: { reason: error.code },
+            });
+            return res.status(400).json({ error: error.message });
+        }
         console.error('Error toggling admin status:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// Get dashboard summary (admin only)
-router.get('/dashboard/summary', authenticateJWT, authorizeAdmin, async (req, res) => {
+// Get accounts currently locked out by failed logins (users:read)
+router.get('/locked-accounts', authenticateJWT, requirePermission('users:read'), async (req, res) => {
+    try {
+        const accounts = await authThrottleService.listLockedAccounts();
+        res.status(200).json(accounts);
+    } catch (error) {
+        console.error('Error fetching locked accounts:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Lift a login lockout (users:manage)
+router.post('/users/:userId/unlock', authenticateJWT, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const { userId } = req.params;
+
+        const unlocked = await authThrottleService.unlockAccount(userId, req.ip);
+        if (!unlocked) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        await securityEventService.record(req, 'account_unlock', {
+            targetId: Number(userId),
+            details: { method: 'admin' },
+        });
+
+        res.status(200).json({ id: Number(userId), message: 'Account unlocked' });
+    } catch (error) {
+        console.error('Error unlocking account:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Reset a user's two-factor authentication after they lose their device and
+// recovery codes (users:manage). Their sessions are revoked.
+router.delete('/users/:userId/2fa', authenticateJWT, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const { userId } = req.params;
+
+        const disabled = await totpService.disable(userId);
+        if (!disabled) {
+            return res.status(404).json({ error: 'Two-factor authentication is not enabled for this user' });
+        }
+        await sessionService.bumpTokenVersion(userId, { revokeSessions: true });
+        await securityEventService.record(req, 'two_factor_reset', {
+            targetId: Number(userId),
+        });
+
+        res.status(200).json({ id: Number(userId), message: 'Two-factor authentication reset' });
+    } catch (error) {
+        console.error('Error resetting 2FA:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Query the security audit log (security:read). Filters: userId (as actor
+// or target), event, outcome, from/to (ISO dates), limit/offset
+router.get('/security-events', authenticateJWT, requirePermission('security:read'), async (req, res) => {
+    try {
+        const { userId, event, outcome, from, to } = req.query;
+
+        if (event && !SECURITY_EVENTS.includes(event)) {
+            return res.status(400).json({ error: `Unknown event type. Must be one of: ${SECURITY_EVENTS.join(', ')}` });
+        }
+        if (outcome && !SECURITY_OUTCOMES.includes(outcome)) {
+            return res.status(400).json({ error: `Unknown outcome. Must be one of: ${SECURITY_OUTCOMES.join(', ')}` });
+        }
+        for (const [name, value] of [['from', from], ['to', to]]) {
+            if (value && isNaN(Date.parse(value))) {
+                return res.status(400).json({ error: `${name} must be a valid date` });
+            }
+        }
+
+        const result = await securityEventService.query({
+            userId: userId ? parseInt(userId, 10) : null,
+            event,
+            outcome,
+            from: from ? new Date(from) : null,
+            to: to ? new Date(to) : null,
+            limit: parseInt(req.query.limit, 10) || 50,
+            offset: parseInt(req.query.offset, 10) || 0,
+        });
+
+        res.status(200).json(result);
+    } catch (error) {
+        console.error('Error fetching security events:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Security events where the user is the actor or the target (security:read)
+router.get('/users/:userId/security-events', authenticateJWT, requirePermission('security:read'), async (req, res) => {
+    try {
+        const result = await securityEventService.query({
+            userId: parseInt(req.params.userId, 10),
+            limit: parseInt(req.query.limit, 10) || 50,
+            offset: parseInt(req.query.offset, 10) || 0,
+        });
+
+        res.status(200).json(result);
+    } catch (error) {
+        console.error('Error fetching user security events:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Event types and outcomes the audit log records (security:read)
+router.get('/security-events/types', authenticateJWT, requirePermission('security:read'), (req, res) => {
+    res.status(200).json({ events: SECURITY_EVENTS, outcomes: SECURITY_OUTCOMES });
+});
+
+// Get dashboard summary (analytics:read and users:read; includes recent names/emails)
+router.get('/dashboard/summary', authenticateJWT, requirePermission('analytics:read', 'users:read'), async (req, res) => {
     try {
         // Get user count
         const [userCount] = await pool.query('SELECT COUNT(*) as count FROM users');
@@ -162,8 +351,8 @@ router.get('/dashboard/summary', authenticateJWT, authorizeAdmin, async (req, re
     }
 });
 
-// Get user registration timeline (admin only)
-router.get('/dashboard/users-timeline', authenticateJWT, authorizeAdmin, async (req, res) => {
+// Get user registration timeline (analytics:read)
+router.get('/dashboard/users-timeline', authenticateJWT, requirePermission('analytics:read'), async (req, res) => {
     try {
         const [timeline] = await pool.query(`
             SELECT 
@@ -4,6 +4,7 @@ import fs from 'fs/promises';
 import path from 'path';
 import NodeCache from 'node-cache';
 import pool from '../config/db.js';
+import { identifyUser } from './middleware.js';
 
 const router = express.Router();
 
@@ -18,8 +19,10 @@ const openai = new OpenAI({
 const AUDIO_DIR = path.join(process.cwd(), 'public', 'audio');
 await fs.mkdir(AUDIO_DIR, { recursive: true });
 
-// Generate audio from tip content (for AI-generated tips)
-router.post('/generate-from-content', async (req, res) => {
+// Generate audio from tip content (for AI-generated tips). Personalized
+// content is recorded against the signed-in user so it is purged with
+// their account.
+router.post('/generate-from-content', identifyUser, async (req, res) => {
     try {
         const { title, body, details } = req.body;
         
@@ -29,7 +32,7 @@ router.post('/generate-from-content', async (req, res) => {
 
         // Create cache key from content
         const contentHash = `${title}_${body}`.substring(0, 50);
-        const cacheKey = `audio_content_${contentHash}`;
+        const cacheKey = `audio_content_${req.user?.id || 'anon'}_${contentHash}`;
         const cachedUrl = audioCache.get(cacheKey);
         
         if (cachedUrl) {
@@ -57,6 +60,13 @@ router.post('/generate-from-content', async (req, res) => {
         const buffer = Buffer.from(await mp3.arrayBuffer());
         await fs.writeFile(filePath, buffer);
 
+        if (req.user) {
+            await pool.query(
+                'INSERT INTO generated_audio (user_id, file_name) VALUES (?, ?)',
+                [req.user.id, fileName],
+            );
+        }
+
         // Generate URL
         const audioUrl = `/audio/${fileName}`;
         
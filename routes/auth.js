@@ -4,25 +4,103 @@ import jwt from 'jsonwebtoken';
 import pool from '../config/db.js';
 import { authenticateJWT } from './middleware.js';
 import express from 'express';
-import nodemailer from 'nodemailer';
-import sgMail from '@sendgrid/mail';
+import mailService from '../services/mailService.js';
+import passwordPolicyService from '../services/passwordPolicyService.js';
+import { parseBirthDate, withAge } from '../utils/childAge.js';
+import { withProfile } from '../utils/childProfile.js';
+import { MAIL_FROM, sendEmail, transportChain } from '../utils/mailer.js';
+import { renderTemplate } from '../utils/mailTemplates.js';
+import sessionService, {
+    deviceFromRequest,
+} from '../services/sessionService.js';
+import authThrottleService from '../services/authThrottleService.js';
+import oauthService from '../services/oauthService.js';
+import userDataService from '../services/userDataService.js';
+import householdService from '../services/householdService.js';
+import roleService, { twoFactorRequiredFor } from '../services/roleService.js';
+import totpService from '../services/totpService.js';
+import securityEventService from '../services/securityEventService.js';
 
 const router = express.Router();
 
-sgMail.setApiKey(process.env.SENDGRID_API_KEY);
+// Password reset tokens
+const RESET_TOKEN_TTL = 3600000; // 1 hour
+const RESET_MAX_ATTEMPTS = 5;
 
-// Configure nodemailer as fallback (Gmail SMTP)
-const gmailTransporter = nodemailer.createTransport({
-    service: 'gmail',
-    auth: {
-        user: process.env.SENDGRID_FROM, // Use same email
-        pass: process.env.GMAIL_APP_PASSWORD, // Add this to .env
-    },
+// Email verification codes
+const VERIFICATION_CODE_TTL = 24 * 3600000; // 24 hours
+const VERIFICATION_MAX_ATTEMPTS = 5;
+const VERIFICATION_COOLDOWN = 60000; // 1 minute between verification emails
+
+// Passwordless login codes
+const OTP_TTL_MINUTES = 10;
+const OTP_MAX_ATTEMPTS = 5;
+
+const sha256 = value => crypto.createHash('sha256').update(value).digest('hex');
+
+// Reset tokens are "<selector>.<verifier>": the selector is stored in the
+// clear and indexed for lookup, only a hash of the verifier is stored.
+const createResetToken = () => {
+    const selector = crypto.randomBytes(12).toString('hex');
+    const verifier = crypto.randomBytes(32).toString('hex');
+    return { selector, verifier, token: `${selector}.${verifier}` };
+};
+
+const parseResetToken = token => {
+    const [selector, verifier, ...rest] = String(token || '')
+        .trim()
+        .split('.');
+    if (rest.length || !/^[0-9a-f]{24}$/.test(selector || '')) return null;
+    if (!/^[0-9a-f]{64}$/.test(verifier || '')) return null;
+    return { selector, verifier };
+};
+
+const hashVerificationCode = (userId, code) =>
+    crypto.createHash('sha256').update(`${userId}:${code}`).digest('hex');
+
+// Create a verification code for the user and email it.
+// Any earlier unused code for the user stops working.
+const sendVerificationEmail = async (userId, email) => {
+    const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+    const expiresAt = new Date(Date.now() + VERIFICATION_CODE_TTL);
+
+    await pool.query(
+        'UPDATE email_verifications SET consumed_at = NOW() WHERE user_id = ? AND consumed_at IS NULL',
+        [userId],
+    );
+    await pool.query(
+        'INSERT INTO email_verifications (user_id, email, code_hash, expires_at) VALUES (?, ?, ?, ?)',
+        [userId, email, hashVerificationCode(userId, code), expiresAt],
+    );
+
+    return mailService.send('verification', email, { email, code }, { userId });
+};
+
+// Sent once an account is confirmed; never holds up the response
+const sendWelcomeEmail = user =>
+    mailService
+        .send('welcome', user.email, { name: user.name }, { userId: user.id })
+        .catch(mailError =>
+            console.error('Welcome email error:', mailError.message),
+        );
+
+// Tell the owner their account was locked, with a link to unlock it
+const sendUnlockEmail = (user, unlockToken) =>
+    mailService.send('account_locked', user.email, { unlockToken }, { userId: user.id });
+
+// Body for a password the policy rejects; `key` follows the handler's
+// existing error field
+const passwordRejection = (result, key = 'error') => ({
+    [key]: result.errors[0].message,
+    code: 'WEAK_PASSWORD',
+    errors: result.errors,
+    strength: result.strength,
 });
 
-// Rate limiting for password resets (prevent quota exhaustion)
-const resetRateLimiter = new Map();
-const RESET_COOLDOWN = 60000; // 1 minute between reset requests per email
+const PASSWORD_REUSED = key => ({
+    [key]: 'Choose a password you have not used recently',
+    code: 'PASSWORD_REUSED',
+});
 
 // Input validation helper
 const validateEmail = email => {
@@ -50,10 +128,9 @@ const register = async (req, res) => {
         if (!validateEmail(email)) {
             return res.status(400).json({ error: 'Invalid email format' });
         }
-        if (password.length < 8) {
-            return res
-                .status(400)
-                .json({ error: 'Password must be at least 8 characters long' });
+        const policy = passwordPolicyService.validate(password, { email, name });
+        if (!policy.valid) {
+            return res.status(400).json(passwordRejection(policy));
         }
         if (caregiverType && !CAREGIVER_TYPES.includes(caregiverType)) {
             return res
@@ -96,31 +173,25 @@ const register = async (req, res) => {
             Array.isArray(childrenDetails) &&
             childrenDetails.length > 0
         ) {
-            // Validate age values
+            // Birth date or month per child (a 1-5 age from older app
+            // versions is stored as an estimate)
+            const childrenValues = [];
             for (const child of childrenDetails) {
-                if (!child.age || child.age < 1 || child.age > 5 || !Number.isInteger(child.age)) {
+                const birth = parseBirthDate(child);
+                if (birth.error) {
                     await connection.rollback();
-                    return res.status(400).json({ error: 'Child age must be an integer between 1 and 5' });
+                    return res.status(400).json({ error: birth.error });
                 }
-            }
-
-            const childrenValues = childrenDetails.map(child => {
-                // Calculate approximate date of birth from age
-                const today = new Date();
-                const birthYear = today.getFullYear() - child.age;
-                const dateOfBirth = new Date(birthYear, today.getMonth(), today.getDate());
-                const formattedDOB = dateOfBirth.toISOString().split('T')[0]; // YYYY-MM-DD
-
-                return [
+                childrenValues.push([
                     userId,
                     child.nickname,
-                    child.age,
-                    formattedDOB
-                ];
-            });
+                    birth.dateOfBirth,
+                    birth.precision,
+                ]);
+            }
 
             await connection.query(
-                'INSERT INTO children (user_id, nickname, age, date_of_birth) VALUES ?',
+                'INSERT INTO children (user_id, nickname, date_of_birth, birth_date_precision) VALUES ?',
                 [childrenValues],
             );
         }
@@ -133,41 +204,44 @@ const register = async (req, res) => {
             );
         }
 
-        // Generate access token (1 hour expiry)
-        const accessToken = jwt.sign(
-            { id: userId },
-            process.env.JWT_SECRET || 'your_jwt_secret',
-            { expiresIn: '7d' },
-        );
-
-        // Generate refresh token (30 days expiry)
-        const refreshToken = jwt.sign(
+        // Open a device session for the registering device
+        const session = await sessionService.createSession(
             { id: userId },
-            process.env.REFRESH_SECRET || 'your_refresh_secret',
-            { expiresIn: '30d' },
-        );
-
-        // Store refresh token in database
-        await connection.query(
-            'UPDATE users SET refresh_token = ? WHERE id = ?',
-            [refreshToken, userId],
+            deviceFromRequest(req),
+            connection,
         );
 
         await connection.commit();
 
         console.log('Registration successful for userId:', userId);
+        await securityEventService.record(req, 'register', {
+            actorId: userId,
+        });
+
+        // A failed verification email shouldn't fail the registration;
+        // the user can ask for another one via /resend-verification
+        let verificationSent = false;
+        try {
+            verificationSent = Boolean(
+                await sendVerificationEmail(userId, email),
+            );
+        } catch (mailError) {
+            console.error('Verification email error:', mailError.message);
+        }
 
         return res.status(201).json({
             message: 'User registered successfully!',
             userId,
-            access_token: accessToken,
-            refresh_token: refreshToken,
+            access_token: session.access_token,
+            refresh_token: session.refresh_token,
             user: {
                 id: userId,
                 name: userName,
                 email,
                 number_of_children: numberOfChildren,
+                email_verified: false,
             },
+            verification_sent: verificationSent,
         });
     } catch (error) {
         console.error('Registration error:', error);
@@ -194,76 +268,199 @@ const register = async (req, res) => {
     }
 };
 
+// Refuse a throttled sign-in attempt (see authThrottleService.checkLogin)
+const sendThrottled = (res, throttle) => {
+    res.set('Retry-After', String(throttle.retryAfter));
+    if (throttle.reason === 'locked') {
+        return res.status(423).json({
+            message: 'Account temporarily locked due to too many failed login attempts',
+            code: 'ACCOUNT_LOCKED',
+            lockedUntil: throttle.lockedUntil,
+        });
+    }
+    return res.status(429).json({
+        message: `Too many failed login attempts. Please wait ${throttle.retryAfter} seconds.`,
+        code: 'TOO_MANY_ATTEMPTS',
+        retryAfter: throttle.retryAfter,
+    });
+};
+
+// Users with two-factor authentication get a challenge instead of tokens;
+// they finish signing in at POST /login/2fa
+const twoFactorChallenge = async user => {
+    if (!(await totpService.isEnabled(user.id))) return null;
+    return {
+        twoFactorRequired: true,
+        challengeToken: totpService.createChallenge(user),
+    };
+};
+
+// Accounts scheduled for deletion can only sign in to restore themselves.
+// Call after the credentials check; sends the refusal and returns true when
+// the sign-in must stop.
+const rejectPendingDeletion = async (user, req, res) => {
+    if (!user.deleted_at) return false;
+
+    if (req.body?.restore === true) {
+        if (await userDataService.restoreAccount(user.id)) {
+            console.log(`Restored account ${user.id}`);
+            await securityEventService.record(req, 'account_restore', {
+                actorId: user.id,
+            });
+            user.deleted_at = null;
+            user.purge_after = null;
+            return false;
+        }
+        res.status(410).json({
+            message: 'This account has been deleted',
+            code: 'ACCOUNT_DELETED',
+        });
+        return true;
+    }
+
+    res.status(403).json({
+        message: 'This account is scheduled for deletion. Sign in with restore: true to keep it.',
+        code: 'ACCOUNT_PENDING_DELETION',
+        purgeAfter: user.purge_after,
+    });
+    return true;
+};
+
+// Open a device session for an authenticated users row and build the
+// response body every sign-in method returns
+const buildLoginResponse = async (user, req) => {
+    // The whole household's children, as /children lists them, oldest
+    // first; ages are derived from the birth date
+    const memberIds = await householdService.getMemberIds(user.id);
+    const [children] = await pool.query(
+        `SELECT id, nickname, date_of_birth, birth_date_precision,
+                interests, home_languages, temperament_notes
+         FROM children WHERE user_id IN (?) ORDER BY date_of_birth ASC`,
+        [memberIds],
+    );
+    user.children = children.map(child => withProfile(withAge(child)));
+
+    user.roles = await roleService.getRoles(user.id);
+    user.isAdmin = user.roles.includes('admin');
+
+    // Each device gets its own session, so logging in here leaves
+    // the user's other devices signed in
+    const session = await sessionService.createSession(
+        user,
+        deviceFromRequest(req),
+    );
+
+    delete user.password;
+    delete user.refresh_token;
+    delete user.locked_until;
+    delete user.deleted_at;
+    delete user.purge_after;
+    user.email_verified = !!user.email_verified_at;
+
+    return {
+        access_token: session.access_token,
+        refresh_token: session.refresh_token,
+        isAdmin: user.isAdmin, // Include in response
+        // Staff permissions stay off until 2FA is enabled (REQUIRE_2FA_ROLES)
+        twoFactorSetupRequired:
+            twoFactorRequiredFor(user.roles) &&
+            !(await totpService.isEnabled(user.id)),
+        user,
+    };
+};
+
 // Login handler
 const login = async (req, res) => {
     const { email, password } = req.body;
+    const ip = req.ip;
     try {
-        // Get user with isAdmin flag included
+        if (!email || !password) {
+            return res
+                .status(400)
+                .json({ message: 'Email and password are required' });
+        }
+
+        // Throttle repeated failures before touching the password hash
+        const throttle = await authThrottleService.checkLogin({ email, ip });
+        if (!throttle.allowed) {
+            await securityEventService.record(req, 'login', {
+                actorId: null,
+                outcome: 'blocked',
+                details: { method: 'password', email, reason: throttle.reason },
+            });
+            return sendThrottled(res, throttle);
+        }
+
         const [rows] = await pool.query(
-            'SELECT *, isAdmin FROM users WHERE email = ?',
+            'SELECT * FROM users WHERE email = ?',
             [email],
         );
 
         if (rows.length === 0) {
+            await authThrottleService.recordLoginFailure({ email, ip });
+            await securityEventService.record(req, 'login', {
+                actorId: null,
+                outcome: 'failure',
+                details: { method: 'password', email, reason: 'unknown_email' },
+            });
             return res
                 .status(401)
                 .json({ message: 'Invalid email or password' });
         }
 
         const user = rows[0];
-        const isPasswordValid = await bcrypt.compare(password, user.password);
+        // Accounts created through Google/Apple may have no password
+        const isPasswordValid =
+            !!user.password && (await bcrypt.compare(password, user.password));
 
         if (!isPasswordValid) {
+            const unlockToken = await authThrottleService.recordLoginFailure({
+                email,
+                ip,
+                userId: user.id,
+            });
+            await securityEventService.record(req, 'login', {
+                actorId: null,
+                targetId: user.id,
+                outcome: 'failure',
+                details: { method: 'password', reason: 'bad_password' },
+            });
+            if (unlockToken) {
+                console.warn(`🔒 Locked account ${user.id} after repeated login failures`);
+                await securityEventService.record(req, 'account_lock', {
+                    actorId: null,
+                    targetId: user.id,
+                });
+                sendUnlockEmail(user, unlockToken).catch(mailError =>
+                    console.error('Unlock email error:', mailError.message),
+                );
+            }
             return res
                 .status(401)
                 .json({ message: 'Invalid email or password' });
         }
 
-        if (user.number_of_children > 0) {
-            const [children] = await pool.query(
-                'SELECT id, nickname, age FROM children WHERE user_id = ? ORDER BY age DESC',
-                [user.id],
-            );
-            user.children = children;
-        } else {
-            user.children = [];
+        // The failure count is only reset once the second factor passes too
+        const challenge = await twoFactorChallenge(user);
+        if (challenge) {
+            return res.status(200).json(challenge);
         }
 
-        // Generate access token with isAdmin included
-        const accessToken = jwt.sign(
-            {
-                id: user.id,
-                isAdmin: user.isAdmin || false, // Include admin status in token
-            },
-            process.env.JWT_SECRET || 'your_jwt_secret',
-            { expiresIn: '7d' },
-        );
-
-        // Generate refresh token (longer expiry)
-        const refreshToken = jwt.sign(
-            {
-                id: user.id,
-                isAdmin: user.isAdmin || false, // Include admin status in refresh token too
-            },
-            process.env.REFRESH_SECRET || 'your_refresh_secret',
-            { expiresIn: '30d' },
-        );
-
-        // Store refresh token in database
-        await pool.query('UPDATE users SET refresh_token = ? WHERE id = ?', [
-            refreshToken,
-            user.id,
-        ]);
+        await authThrottleService.recordAttempt({
+            action: 'login',
+            email,
+            ip,
+            userId: user.id,
+            success: true,
+        });
 
-        delete user.password;
-        delete user.refresh_token;
+        if (await rejectPendingDeletion(user, req, res)) return;
 
-        return res.status(200).json({
-            access_token: accessToken,
-            refresh_token: refreshToken,
-            isAdmin: user.isAdmin || false, // Include in response
-            user,
+        await securityEventService.record(req, 'login', {
+            actorId: user.id,
+            details: { method: 'password' },
         });
+        return res.status(200).json(await buildLoginResponse(user, req));
     } catch (error) {
         return res.status(500).json({ error: error.message });
     }
@@ -288,14 +485,11 @@ const authenticateJWTReval = async (req, res) => {
                 .json({ message: 'Invalid authorization format' });
         }
 
-        const decoded = jwt.verify(
-            token,
-            process.env.JWT_SECRET || 'your_jwt_secret',
-        );
+        const decoded = await sessionService.verifyAccessToken(token);
 
         // Get user data
         const [rows] = await pool.query(
-            'SELECT id, name, email, number_of_children FROM users WHERE id = ?',
+            'SELECT id, name, email, number_of_children, email_verified_at FROM users WHERE id = ?',
             [decoded.id],
         );
 
@@ -303,6 +497,9 @@ const authenticateJWTReval = async (req, res) => {
             return res.status(401).json({ message: 'User not found' });
         }
 
+        rows[0].email_verified = !!rows[0].email_verified_at;
+        rows[0].roles = decoded.roles;
+
         return res.status(200).json({
             user: rows[0],
             token: token,
@@ -314,11 +511,17 @@ const authenticateJWTReval = async (req, res) => {
                 code: 'TOKEN_EXPIRED',
             });
         }
+        if (error.code === 'TOKEN_REVOKED') {
+            return res.status(401).json({
+                message: 'Token revoked',
+                code: 'TOKEN_REVOKED',
+            });
+        }
         return res.status(401).json({ message: 'Invalid token' });
     }
 };
 
-// New refresh token endpoint
+// Refresh token endpoint - rotates the refresh token on every call
 const refreshAccessToken = async (req, res) => {
     const { refresh_token } = req.body;
 
@@ -327,38 +530,32 @@ const refreshAccessToken = async (req, res) => {
     }
 
     try {
-        // Verify refresh token
-        const decoded = jwt.verify(
+        const session = await sessionService.rotateSession(
             refresh_token,
-            process.env.REFRESH_SECRET || 'your_refresh_secret',
-        );
-
-        // Check if refresh token exists in database
-        const [rows] = await pool.query(
-            'SELECT id, isAdmin FROM users WHERE id = ? AND refresh_token = ?',
-            [decoded.id, refresh_token],
-        );
-
-        if (rows.length === 0) {
-            return res.status(401).json({ message: 'Invalid refresh token' });
-        }
-
-        const user = rows[0];
-
-        // Generate new access token with isAdmin included
-        const newAccessToken = jwt.sign(
-            {
-                id: decoded.id,
-                isAdmin: user.isAdmin || false,
-            },
-            process.env.JWT_SECRET || 'your_jwt_secret',
-            { expiresIn: '7d' },
+            deviceFromRequest(req),
         );
 
         return res.status(200).json({
-            access_token: newAccessToken,
+            access_token: session.access_token,
+            refresh_token: session.refresh_token,
         });
     } catch (error) {
+        if (error.code === 'REFRESH_TOKEN_REUSED') {
+            // Likely a stolen token; the session has been revoked
+            await securityEventService.record(req, 'token_refresh', {
+                actorId: null,
+                targetId: jwt.decode(refresh_token)?.id || null,
+                outcome: 'blocked',
+                details: { reason: 'reuse_detected' },
+            });
+            return res.status(401).json({
+                message: 'Refresh token has already been used',
+                code: 'REFRESH_TOKEN_REUSED',
+            });
+        }
+        if (error.code !== 'INVALID_REFRESH_TOKEN') {
+            console.error('Refresh token error:', error);
+        }
         return res.status(401).json({ message: 'Invalid refresh token' });
     }
 };
@@ -367,122 +564,90 @@ const requestPasswordReset = async (req, res) => {
     const { email } = req.body;
 
     try {
-        // Rate limiting check
-        const lastRequest = resetRateLimiter.get(email);
-        if (lastRequest && Date.now() - lastRequest < RESET_COOLDOWN) {
-            const waitTime = Math.ceil((RESET_COOLDOWN - (Date.now() - lastRequest)) / 1000);
+        // Rate limiting check (persisted, so it survives restarts)
+        const throttle = await authThrottleService.checkRequest('reset', {
+            email,
+            ip: req.ip,
+        });
+        if (!throttle.allowed) {
+            await securityEventService.record(req, 'password_reset_request', {
+                actorId: null,
+                outcome: 'blocked',
+                details: { email },
+            });
+            res.set('Retry-After', String(throttle.retryAfter));
             return res.status(429).json({
-                message: `Please wait ${waitTime} seconds before requesting another reset`,
+                message: `Please wait ${throttle.retryAfter} seconds before requesting another reset`,
                 cooldown: true
             });
         }
+        await authThrottleService.recordAttempt({
+            action: 'reset',
+            email,
+            ip: req.ip,
+            success: true,
+        });
 
         // Check if user exists
         const [users] = await pool.query(
-            'SELECT id FROM users WHERE email = ?',
+            'SELECT id, email_verified_at FROM users WHERE email = ?',
             [email],
         );
         if (users.length === 0) {
+            await securityEventService.record(req, 'password_reset_request', {
+                actorId: null,
+                outcome: 'failure',
+                details: { email, reason: 'unknown_email' },
+            });
             return res.status(404).json({ message: 'User not found' });
         }
 
+        await securityEventService.record(req, 'password_reset_request', {
+            actorId: null,
+            targetId: users[0].id,
+        });
+
+        // Only send reset codes to addresses the user has proven they own
+        if (!users[0].email_verified_at) {
+            return res.status(403).json({
+                message: 'Email address has not been verified',
+                code: 'EMAIL_NOT_VERIFIED',
+            });
+        }
+
         // Generate reset token
-        const resetToken = crypto.randomBytes(32).toString('hex');
-        const hashedResetToken = await bcrypt.hash(resetToken, 12);
+        const {
+            selector,
+            verifier,
+            token: resetToken,
+        } = createResetToken();
 
         // Set token expiration (1 hour from now)
-        const expiryDate = new Date(Date.now() + 3600000);
+        const expiryDate = new Date(Date.now() + RESET_TOKEN_TTL);
 
-        // Save reset token and expiry in database
+        // Only the newest reset token for a user stays usable
         await pool.query(
-            'UPDATE users SET reset_token = ?, reset_token_expires = ? WHERE email = ?',
-            [hashedResetToken, expiryDate, email],
-        );
-
-        const html = `
-      <div style="font-family: Arial, sans-serif; padding: 20px; max-width: 600px; margin: 0 auto;">
-        <h1 style="color: #4A90E2; text-align: center;">Password Reset Request</h1>
-        <p style="color: #666; font-size: 16px;">You requested a password reset for your Talk Around Town account.</p>
-
-        <div style="text-align: center; margin: 40px 0;">
-          <p style="color: #333; font-size: 16px; margin-bottom: 10px;">Copy and paste this code in the app:</p>
-          <div style="background: #f5f5f5; border: 2px solid #4A90E2; border-radius: 8px; padding: 20px; margin: 20px 0;">
-            <p style="color: #4A90E2; font-size: 24px; font-weight: bold; font-family: monospace; margin: 0; letter-spacing: 2px;">${resetToken}</p>
-          </div>
-        </div>
-
-        <div style="background: #f9f9f9; border-left: 4px solid #4A90E2; padding: 15px; margin: 20px 0;">
-          <p style="color: #666; font-size: 14px; margin: 0;"><strong>How to reset your password:</strong></p>
-          <ol style="color: #666; font-size: 14px; margin: 10px 0 0 0; padding-left: 20px;">
-            <li>Open the Talk Around Town app</li>
-            <li>Go to the password reset screen</li>
-            <li>Paste the code above</li>
-            <li>Enter your new password</li>
-          </ol>
-        </div>
-
-        <p style="color: #666; font-size: 14px; margin-top: 30px;">⏱️ This code will expire in <strong>1 hour</strong>.</p>
-        <p style="color: #999; font-size: 14px;">If you didn't request this, please ignore this email.</p>
-        <p style="color: #999; font-size: 12px;">For security, this code will only work once.</p>
-      </div>
-    `;
-
-        let emailSent = false;
-        let provider = 'unknown';
-
-        // Try SendGrid first
-        try {
-            console.log('📧 Attempting to send via SendGrid...');
-            await sgMail.send({
-                to: email,
-                from: process.env.SENDGRID_FROM,
-                subject: 'Password Reset Request',
-                html,
-            });
-            emailSent = true;
-            provider = 'SendGrid';
-            console.log('✅ Email sent via SendGrid');
-        } catch (sgError) {
-            const sgErr = sgError?.response?.body?.errors?.map(e => e.message).join('; ');
-            console.warn('⚠️  SendGrid failed:', sgErr || sgError.message);
-
-            // Fallback to nodemailer with Gmail
-            try {
-                console.log('📧 Attempting fallback via Gmail SMTP...');
-                await gmailTransporter.sendMail({
-                    from: process.env.SENDGRID_FROM,
-                    to: email,
-                    subject: 'Password Reset Request',
-                    html,
-                });
-                emailSent = true;
-                provider = 'Gmail SMTP';
-                console.log('✅ Email sent via Gmail SMTP (fallback)');
-            } catch (gmailError) {
-                console.error('❌ Gmail SMTP also failed:', gmailError.message);
-                throw new Error('All email providers failed');
-            }
-        }
-
-        if (emailSent) {
-            // Update rate limiter
-            resetRateLimiter.set(email, Date.now());
-
-            // Clean up old rate limit entries (older than 2 minutes)
-            for (const [key, timestamp] of resetRateLimiter.entries()) {
-                if (Date.now() - timestamp > 120000) {
-                    resetRateLimiter.delete(key);
-                }
-            }
+            'UPDATE password_reset_tokens SET consumed_at = NOW() WHERE user_id = ? AND consumed_at IS NULL',
+            [users[0].id],
+        );
+        await pool.query(
+            'INSERT INTO password_reset_tokens (user_id, email, selector, verifier_hash, expires_at) VALUES (?, ?, ?, ?, ?)',
+            [users[0].id, email, selector, sha256(verifier), expiryDate],
+        );
 
-            return res.status(200).json({
-                message: 'Password reset instructions sent to email',
-                success: true,
-                provider, // Include which provider worked
-            });
-        }
+        const provider = await mailService.send(
+            'password_reset',
+            email,
+            { token: resetToken },
+            { userId: users[0].id },
+        );
 
-        throw new Error('Failed to send email');
+        return res.status(200).json({
+            message: 'Password reset instructions sent to email',
+            success: true,
+            provider, // Include which provider worked
+            queued: !provider,
+        });
 
     } catch (error) {
         console.error('Password reset request error:', error.message);
@@ -493,47 +658,91 @@ const requestPasswordReset = async (req, res) => {
     }
 };
 
-const resetPassword = async (req, res) => {
-    const { token, newPassword } = req.body;
+const verifyEmail = async (req, res) => {
+    const { email, code } = req.body;
+
+    if (!email || !code) {
+        return res
+            .status(400)
+            .json({ message: 'Email and verification code are required' });
+    }
 
     try {
-        // Find user with valid reset token
         const [users] = await pool.query(
-            'SELECT id, email, reset_token, reset_token_expires FROM users WHERE reset_token_expires > NOW()',
+            'SELECT id, name, email, email_verified_at FROM users WHERE email = ?',
+            [email],
         );
+        if (users.length === 0) {
+            return res
+                .status(400)
+                .json({ message: 'Invalid or expired verification code' });
+        }
 
-        let foundUser = null;
-        for (const user of users) {
-            if (!user.reset_token) continue;
-            const isMatch = await bcrypt.compare(token, user.reset_token);
-            if (isMatch) {
-                foundUser = user;
-                break;
-            }
+        const user = users[0];
+        if (user.email_verified_at) {
+            return res.status(200).json({
+                message: 'Email already verified',
+                success: true,
+            });
         }
 
-        if (!foundUser) {
+        const [rows] = await pool.query(
+            `SELECT id, code_hash, attempts FROM email_verifications
+             WHERE user_id = ? AND email = ? AND consumed_at IS NULL AND expires_at > NOW()
+             ORDER BY created_at DESC LIMIT 1`,
+            [user.id, email],
+        );
+        const verification = rows[0];
+
+        if (!verification) {
             return res
                 .status(400)
-                .json({ message: 'Invalid or expired reset token' });
+                .json({ message: 'Invalid or expired verification code' });
         }
 
-        // Use foundUser instead of user for the rest of the function
-        const hashedPassword = await bcrypt.hash(newPassword, 12);
+        if (verification.attempts >= VERIFICATION_MAX_ATTEMPTS) {
+            return res.status(429).json({
+                message: 'Too many attempts. Please request a new code.',
+                code: 'TOO_MANY_ATTEMPTS',
+            });
+        }
 
+        const expected = Buffer.from(verification.code_hash, 'hex');
+        const actual = Buffer.from(
+            hashVerificationCode(user.id, String(code).trim()),
+            'hex',
+        );
+        if (!crypto.timingSafeEqual(expected, actual)) {
+            await pool.query(
+                'UPDATE email_verifications SET attempts = attempts + 1 WHERE id = ?',
+                [verification.id],
+            );
+            return res
+                .status(400)
+                .json({ message: 'Invalid or expired verification code' });
+        }
+
+        await pool.query(
+            'UPDATE email_verifications SET consumed_at = NOW() WHERE id = ?',
+            [verification.id],
+        );
         await pool.query(
-            'UPDATE users SET password = ?, reset_token = NULL, reset_token_expires = NULL WHERE id = ?',
-            [hashedPassword, foundUser.id],
+            'UPDATE users SET email_verified_at = NOW() WHERE id = ?',
+            [user.id],
         );
+        await securityEventService.record(req, 'email_verify', {
+            actorId: user.id,
+        });
+        sendWelcomeEmail(user);
 
-        res.status(200).json({
-            message: 'Password reset successful',
+        return res.status(200).json({
+            message: 'Email verified successfully',
             success: true,
         });
     } catch (error) {
-        console.error('Password reset error:', error);
-        res.status(500).json({
-            message: 'Error resetting password',
+        console.error('Email verification error:', error);
+        return res.status(500).json({
+            message: 'Error verifying email',
             error:
                 process.env.NODE_ENV === 'development'
                     ? error.message
@@ -542,141 +751,309 @@ const resetPassword = async (req, res) => {
     }
 };
 
-const deleteAccount = async (req, res) => {
-    const userId = req.user.id; // User ID from JWT token
-
-    let connection;
-    try {
-        console.log(`Processing account deletion for user ID: ${userId}`);
-
-        connection = await pool.getConnection();
-        await connection.beginTransaction();
-
-        // Delete children records
-        const [childrenResult] = await connection.query(
-            'DELETE FROM children WHERE user_id = ?',
-            [userId],
-        );
-        console.log(`Deleted ${childrenResult.affectedRows} children records`);
-
-        // Delete location records
-        const [locationResult] = await connection.query(
-            'DELETE FROM locations WHERE user_id = ?',
-            [userId],
-        );
-        console.log(`Deleted ${locationResult.affectedRows} location records`);
+const resendVerification = async (req, res) => {
+    const { email } = req.body;
 
-        // Delete user's app sessions
-        const [sessionsResult] = await connection.query(
-            'DELETE FROM app_sessions WHERE user_id = ?',
-            [userId],
-        );
-        console.log(`Deleted ${sessionsResult.affectedRows} session records`);
+    if (!email) {
+        return res.status(400).json({ message: 'Email is required' });
+    }
 
-        // Delete any notifications
-        const [notificationsResult] = await connection.query(
-            'DELETE FROM notifications WHERE user_id = ?',
-            [userId],
-        );
-        console.log(
-            `Deleted ${notificationsResult.affectedRows} notification records`,
+    try {
+        const [users] = await pool.query(
+            'SELECT id, email_verified_at FROM users WHERE email = ?',
+            [email],
         );
-
-        // Delete tips related to this user (if applicable)
-        try {
-            const [tipsResult] = await connection.query(
-                'DELETE FROM tips WHERE user_id = ?',
-                [userId],
-            );
-            console.log(`Deleted ${tipsResult.affectedRows} tip records`);
-        } catch (error) {
-            console.log(
-                'No tips records deleted - table might not have user_id column',
-            );
+        if (users.length === 0) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+        if (users[0].email_verified_at) {
+            return res.status(200).json({
+                message: 'Email already verified',
+                success: true,
+            });
         }
 
-        // Finally delete the user
-        const [userResult] = await connection.query(
-            'DELETE FROM users WHERE id = ?',
-            [userId],
+        const [recent] = await pool.query(
+            'SELECT created_at FROM email_verifications WHERE user_id = ? ORDER BY created_at DESC LIMIT 1',
+            [users[0].id],
         );
-
-        if (userResult.affectedRows === 0) {
-            await connection.rollback();
-            return res.status(404).json({ error: 'User not found' });
+        const elapsed = recent.length
+            ? Date.now() - new Date(recent[0].created_at).getTime()
+            : Infinity;
+        if (elapsed < VERIFICATION_COOLDOWN) {
+            const waitTime = Math.ceil((VERIFICATION_COOLDOWN - elapsed) / 1000);
+            return res.status(429).json({
+                message: `Please wait ${waitTime} seconds before requesting another code`,
+                cooldown: true,
+            });
         }
 
-        await connection.commit();
-        console.log(`Successfully deleted user account with ID: ${userId}`);
+        const provider = await sendVerificationEmail(users[0].id, email);
 
         return res.status(200).json({
-            message: 'Account deleted successfully',
+            message: 'Verification email sent',
             success: true,
+            provider,
+            queued: !provider,
         });
     } catch (error) {
-        console.error('Error deleting account:', error);
+        console.error('Resend verification error:', error.message);
+        return res.status(500).json({
+            message: 'Error sending verification email. Please try again later.',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+        });
+    }
+};
 
-        if (connection) {
-            await connection.rollback();
+const unlockAccount = async (req, res) => {
+    const { token } = req.body;
+
+    if (!token) {
+        return res.status(400).json({ message: 'Unlock token is required' });
+    }
+
+    try {
+        const userId = await authThrottleService.unlockWithToken(token, req.ip);
+        if (!userId) {
+            await securityEventService.record(req, 'account_unlock', {
+                actorId: null,
+                outcome: 'failure',
+                details: { method: 'email_token' },
+            });
+            return res
+                .status(400)
+                .json({ message: 'Invalid or expired unlock token' });
         }
+        await securityEventService.record(req, 'account_unlock', {
+            actorId: userId,
+            details: { method: 'email_token' },
+        });
 
+        return res.status(200).json({
+            message: 'Account unlocked successfully',
+            success: true,
+        });
+    } catch (error) {
+        console.error('Unlock account error:', error);
         return res.status(500).json({
-            error: 'Failed to delete account. Please try again.',
-            details:
+            message: 'Error unlocking account',
+            error:
                 process.env.NODE_ENV === 'development'
                     ? error.message
                     : undefined,
         });
-    } finally {
-        if (connection) {
-            connection.release();
-        }
     }
 };
 
-const changePassword = async (req, res) => {
-    const userId = req.user.id; // From JWT authentication
-    const { currentPassword, newPassword } = req.body;
-
-    // Validate inputs
-    if (!currentPassword || !newPassword) {
-        return res
-            .status(400)
-            .json({ error: 'Current password and new password are required' });
-    }
+const resetPassword = async (req, res) => {
+    const { token, email, newPassword } = req.body;
 
-    if (newPassword.length < 8) {
+    if (!token || !newPassword) {
         return res
             .status(400)
-            .json({ error: 'New password must be at least 8 characters long' });
+            .json({ message: 'Reset token and new password are required' });
     }
 
-    let connection;
     try {
-        // Get user's current password hash from database
-        const [users] = await pool.query(
-            'SELECT password FROM users WHERE id = ?',
-            [userId],
-        );
-
-        if (users.length === 0) {
-            return res.status(404).json({ error: 'User not found' });
+        const parsed = parseResetToken(token);
+        if (!parsed) {
+            return res
+                .status(400)
+                .json({ message: 'Invalid or expired reset token' });
         }
 
-        const user = users[0];
+        // Look the token up by its selector (indexed, single row)
+        const [rows] = await pool.query(
+            `SELECT t.id, t.user_id, t.email, t.verifier_hash, t.attempts,
+                    u.email AS current_email, u.name, u.password AS current_password
+             FROM password_reset_tokens t
+             JOIN users u ON u.id = t.user_id
+             WHERE t.selector = ? AND t.consumed_at IS NULL AND t.expires_at > NOW()`,
+            [parsed.selector],
+        );
+        const resetToken = rows[0];
 
-        // Verify current password
-        const isPasswordValid = await bcrypt.compare(
-            currentPassword,
-            user.password,
+        // The token only works for the address it was sent to
+        if (
+            !resetToken ||
+            resetToken.attempts >= RESET_MAX_ATTEMPTS ||
+            resetToken.email !== resetToken.current_email ||
+            (email && email !== resetToken.email)
+        ) {
+            return res
+                .status(400)
+                .json({ message: 'Invalid or expired reset token' });
+        }
+
+        const isMatch = crypto.timingSafeEqual(
+            Buffer.from(resetToken.verifier_hash, 'hex'),
+            Buffer.from(sha256(parsed.verifier), 'hex'),
         );
+        if (!isMatch) {
+            await pool.query(
+                'UPDATE password_reset_tokens SET attempts = attempts + 1 WHERE id = ?',
+                [resetToken.id],
+            );
+            await securityEventService.record(req, 'password_reset', {
+                actorId: null,
+                targetId: resetToken.user_id,
+                outcome: 'failure',
+                details: { reason: 'bad_token' },
+            });
+            return res
+                .status(400)
+                .json({ message: 'Invalid or expired reset token' });
+        }
+
+        // Checked before the token is consumed so the user can pick another
+        // password with the same code
+        const policy = passwordPolicyService.validate(newPassword, {
+            email: resetToken.email,
+            name: resetToken.name,
+        });
+        if (!policy.valid) {
+            return res.status(400).json(passwordRejection(policy, 'message'));
+        }
+        if (await passwordPolicyService.isReused(resetToken.user_id, newPassword)) {
+            return res.status(400).json(PASSWORD_REUSED('message'));
+        }
+
+        // Consume the token before using it so it can only ever work once
+        const [consumed] = await pool.query(
+            'UPDATE password_reset_tokens SET consumed_at = NOW() WHERE id = ? AND consumed_at IS NULL',
+            [resetToken.id],
+        );
+        if (consumed.affectedRows === 0) {
+            return res
+                .status(400)
+                .json({ message: 'Invalid or expired reset token' });
+        }
+
+        const foundUser = { id: resetToken.user_id };
+        const hashedPassword = await bcrypt.hash(newPassword, 12);
+
+        await pool.query('UPDATE users SET password = ? WHERE id = ?', [
+            hashedPassword,
+            foundUser.id,
+        ]);
+        await passwordPolicyService.remember(
+            foundUser.id,
+            resetToken.current_password,
+        );
+
+        // Sign out every device that was using the old password
+        await sessionService.bumpTokenVersion(foundUser.id, {
+            revokeSessions: true,
+        });
+
+        // Proving ownership of the email also lifts a login lockout
+        await authThrottleService.unlockAccount(foundUser.id, req.ip);
+
+        await securityEventService.record(req, 'password_reset', {
+            actorId: foundUser.id,
+        });
+
+        res.status(200).json({
+            message: 'Password reset successful',
+            success: true,
+        });
+    } catch (error) {
+        console.error('Password reset error:', error);
+        res.status(500).json({
+            message: 'Error resetting password',
+            error:
+                process.env.NODE_ENV === 'development'
+                    ? error.message
+                    : undefined,
+        });
+    }
+};
+
+// Schedule the account for deletion. It is disabled immediately and can be
+// restored by signing in with `restore: true` until the purge date.
+const deleteAccount = async (req, res) => {
+    const userId = req.user.id; // User ID from JWT token
+
+    try {
+        console.log(`Processing account deletion for user ID: ${userId}`);
+
+        const purgeAfter = await userDataService.requestDeletion(userId);
+        if (!purgeAfter) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        console.log(
+            `Scheduled account ${userId} for deletion after ${purgeAfter}`,
+        );
+        await securityEventService.record(req, 'account_delete', {
+            details: { purge_after: purgeAfter },
+        });
+
+        return res.status(200).json({
+            message: 'Account deleted. Sign in again before the purge date to restore it.',
+            success: true,
+            purgeAfter,
+        });
+    } catch (error) {
+        console.error('Error deleting account:', error);
+        return res.status(500).json({
+            error: 'Failed to delete account. Please try again.',
+            details:
+                process.env.NODE_ENV === 'development'
+                    ? error.message
+                    : undefined,
+        });
+    }
+};
+
+const changePassword = async (req, res) => {
+    const userId = req.user.id; // From JWT authentication
+    const { currentPassword, newPassword } = req.body;
+
+    // Validate inputs
+    if (!currentPassword || !newPassword) {
+        return res
+            .status(400)
+            .json({ error: 'Current password and new password are required' });
+    }
+
+    let connection;
+    try {
+        // Get user's current password hash from database
+        const [users] = await pool.query(
+            'SELECT password, email, name FROM users WHERE id = ?',
+            [userId],
+        );
+
+        if (users.length === 0) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const user = users[0];
+
+        // Verify current password
+        const isPasswordValid =
+            !!user.password &&
+            (await bcrypt.compare(currentPassword, user.password));
 
         if (!isPasswordValid) {
+            await securityEventService.record(req, 'password_change', {
+                outcome: 'failure',
+                details: { reason: 'bad_password' },
+            });
             return res
                 .status(401)
                 .json({ error: 'Current password is incorrect' });
         }
 
+        const policy = passwordPolicyService.validate(newPassword, user);
+        if (!policy.valid) {
+            return res.status(400).json(passwordRejection(policy));
+        }
+        if (await passwordPolicyService.isReused(userId, newPassword)) {
+            return res.status(400).json(PASSWORD_REUSED('error'));
+        }
+
         // Hash new password
         const hashedNewPassword = await bcrypt.hash(newPassword, 12);
 
@@ -689,12 +1066,31 @@ const changePassword = async (req, res) => {
             hashedNewPassword,
             userId,
         ]);
+        await passwordPolicyService.remember(userId, user.password, connection);
+
+        // Sign out every device, then give this one a fresh session
+        await sessionService.bumpTokenVersion(userId, {
+            revokeSessions: true,
+            db: connection,
+        });
+        const [updated] = await connection.query(
+            'SELECT id, token_version FROM users WHERE id = ?',
+            [userId],
+        );
+        const session = await sessionService.createSession(
+            updated[0],
+            deviceFromRequest(req),
+            connection,
+        );
 
         await connection.commit();
+        await securityEventService.record(req, 'password_change');
 
         return res.status(200).json({
             message: 'Password changed successfully',
             success: true,
+            access_token: session.access_token,
+            refresh_token: session.refresh_token,
         });
     } catch (error) {
         console.error('Change password error:', error);
@@ -717,7 +1113,39 @@ const changePassword = async (req, res) => {
     }
 };
 
-// Modified logout to handle refresh tokens
+// Score a candidate password for a strength meter. Pass email and name when
+// known so passwords built from them score lower.
+const passwordStrength = async (req, res) => {
+    const { password, email, name } = req.body;
+
+    if (typeof password !== 'string') {
+        return res.status(400).json({ message: 'Password is required' });
+    }
+
+    try {
+        // Unauthenticated, so capped per IP; counted in memory since the
+        // meter checks on every keystroke
+        const throttle = authThrottleService.checkMemory('strength', req.ip);
+        if (!throttle.allowed) {
+            res.set('Retry-After', String(throttle.retryAfter));
+            return res.status(429).json({
+                message: `Too many requests. Please wait ${throttle.retryAfter} seconds.`,
+                retryAfter: throttle.retryAfter,
+            });
+        }
+
+        const { valid, errors, strength } = passwordPolicyService.validate(
+            password,
+            { email, name },
+        );
+        return res.status(200).json({ ...strength, valid, errors });
+    } catch (error) {
+        console.error('Password strength check error:', error);
+        return res.status(500).json({ message: 'Internal server error' });
+    }
+};
+
+// Logout ends only the calling device's session
 const logout = async (req, res) => {
     try {
         const authHeader = req.headers.authorization;
@@ -725,15 +1153,26 @@ const logout = async (req, res) => {
             const [bearer, token] = authHeader.split(' ');
             if (bearer === 'Bearer' && token) {
                 try {
-                    const decoded = jwt.verify(
-                        token,
-                        process.env.JWT_SECRET || 'your_jwt_secret',
-                    );
-                    // Clear refresh token in database
-                    await pool.query(
-                        'UPDATE users SET refresh_token = NULL WHERE id = ?',
-                        [decoded.id],
-                    );
+                    // Same checks as authenticateJWT: a token whose version
+                    // was bumped or whose session is revoked can't log out
+                    const decoded =
+                        await sessionService.verifyAccessToken(token);
+                    await securityEventService.record(req, 'logout', {
+                        actorId: decoded.id,
+                    });
+                    if (decoded.sid) {
+                        await sessionService.revokeSession(
+                            decoded.id,
+                            decoded.sid,
+                            'logout',
+                        );
+                    } else {
+                        // Token issued before device sessions existed
+                        await pool.query(
+                            'UPDATE users SET refresh_token = NULL WHERE id = ?',
+                            [decoded.id],
+                        );
+                    }
                 } catch (error) {
                     // Token verification failed, but we'll still send success response
                     console.error('Logout token verification failed:', error);
@@ -793,32 +1232,17 @@ const token = async (req, res) => {
 
 const testEmail = async (req, res) => {
     try {
-        // Create email transporter
-        const transporter = nodemailer.createTransport({
-            host: 'smtp.gmail.com',
-            port: 587,
-            secure: false,
-            auth: {
-                user: process.env.EMAIL_USER,
-                pass: process.env.EMAIL_PASS,
-            },
-        });
-
-        // Test email
-        await transporter.sendMail({
-            from: process.env.EMAIL_USER,
-            to: process.env.EMAIL_USER, // Sending to self for testing
-            subject: 'Test Email from TAT App',
-            html: `
-        <h1>Test Email</h1>
-        <p>This is a test email to verify the email configuration is working.</p>
-        <p>Time sent: ${new Date().toLocaleString()}</p>
-      `,
+        // Bypasses the outbox so a broken transport shows up here
+        const provider = await sendEmail({
+            to: MAIL_FROM(), // Sending to self for testing
+            ...renderTemplate('test'),
         });
 
         res.status(200).json({
             message: 'Test email sent successfully',
             success: true,
+            provider,
+            transports: transportChain(),
         });
     } catch (error) {
         console.error('Test email error:', error);
@@ -832,6 +1256,863 @@ const testEmail = async (req, res) => {
     }
 };
 
+// List the user's signed-in devices
+const listSessions = async (req, res) => {
+    try {
+        const sessions = await sessionService.listSessions(req.user.id);
+        return res.status(200).json({
+            sessions: sessions.map(session => ({
+                ...session,
+                current: session.id === req.user.sid,
+            })),
+        });
+    } catch (error) {
+        console.error('Error listing sessions:', error);
+        return res.status(500).json({ error: 'Failed to list sessions' });
+    }
+};
+
+// Revoke one of the user's devices
+const revokeSession = async (req, res) => {
+    const sessionId = parseInt(req.params.id, 10);
+    if (!sessionId) {
+        return res.status(400).json({ error: 'Valid session ID is required' });
+    }
+
+    try {
+        const revoked = await sessionService.revokeSession(
+            req.user.id,
+            sessionId,
+        );
+        if (!revoked) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        await securityEventService.record(req, 'session_revoke', {
+            details: { session_id: sessionId },
+        });
+        return res.status(200).json({
+            message: 'Session revoked successfully',
+            success: true,
+        });
+    } catch (error) {
+        console.error('Error revoking session:', error);
+        return res.status(500).json({ error: 'Failed to revoke session' });
+    }
+};
+
+const oauthErrorResponse = (res, error) => {
+    switch (error.code) {
+        case 'UNSUPPORTED_PROVIDER':
+            return res.status(404).json({ message: 'Unsupported provider' });
+        case 'PROVIDER_NOT_CONFIGURED':
+        case 'PROVIDER_UNAVAILABLE':
+            console.error('OAuth provider not available:', error.message);
+            return res
+                .status(503)
+                .json({ message: 'Sign-in provider is not available' });
+        case 'INVALID_ID_TOKEN':
+            return res.status(401).json({
+                message: 'Invalid ID token',
+                code: 'INVALID_ID_TOKEN',
+            });
+        default:
+            console.error('OAuth error:', error);
+            return res.status(500).json({
+                message: 'Sign-in failed. Please try again.',
+                error:
+                    process.env.NODE_ENV === 'development'
+                        ? error.message
+                        : undefined,
+            });
+    }
+};
+
+const linkIdentity = (userId, identity) =>
+    pool.query(
+        'INSERT INTO user_identities (user_id, provider, provider_subject, email) VALUES (?, ?, ?, ?)',
+        [userId, identity.provider, identity.subject, identity.email],
+    );
+
+// Sign in (or sign up) with a Google or Apple ID token
+const oauthLogin = async (req, res) => {
+    const { provider } = req.params;
+    const { idToken, nonce, name, caregiverType } = req.body;
+
+    if (!idToken) {
+        return res.status(400).json({ message: 'ID token is required' });
+    }
+    if (caregiverType && !CAREGIVER_TYPES.includes(caregiverType)) {
+        return res
+            .status(400)
+            .json({ error: `Invalid caregiver type. Must be one of: ${CAREGIVER_TYPES.join(', ')}` });
+    }
+
+    try {
+        const identity = await oauthService.verifyIdToken(provider, idToken, {
+            nonce,
+        });
+
+        // Returning user: identity already linked
+        const [linked] = await pool.query(
+            `SELECT u.* FROM user_identities i
+             JOIN users u ON u.id = i.user_id
+             WHERE i.provider = ? AND i.provider_subject = ?`,
+            [provider, identity.subject],
+        );
+        if (linked.length > 0) {
+            const challenge = await twoFactorChallenge(linked[0]);
+            if (challenge) {
+                return res.status(200).json(challenge);
+            }
+            if (await rejectPendingDeletion(linked[0], req, res)) return;
+            await pool.query(
+                'UPDATE user_identities SET last_login_at = NOW() WHERE provider = ? AND provider_subject = ?',
+                [provider, identity.subject],
+            );
+            await securityEventService.record(req, 'login', {
+                actorId: linked[0].id,
+                details: { method: provider },
+            });
+            return res
+                .status(200)
+                .json(await buildLoginResponse(linked[0], req));
+        }
+
+        if (!identity.email) {
+            return res
+                .status(400)
+                .json({ message: 'The provider did not share an email address' });
+        }
+
+        const [existing] = await pool.query(
+            'SELECT * FROM users WHERE email = ?',
+            [identity.email],
+        );
+        if (existing.length > 0) {
+            // Only link automatically when both sides have verified the address;
+            // otherwise the owner must sign in and link the provider themselves
+            if (!identity.emailVerified || !existing[0].email_verified_at) {
+                return res.status(409).json({
+                    message: 'An account with this email already exists. Sign in with your password to link this provider.',
+                    code: 'ACCOUNT_EXISTS',
+                });
+            }
+            // With 2FA on, the provider is not linked until the user links
+            // it from a fully signed-in session
+            const challenge = await twoFactorChallenge(existing[0]);
+            if (challenge) {
+                return res.status(200).json(challenge);
+            }
+            if (await rejectPendingDeletion(existing[0], req, res)) return;
+            await linkIdentity(existing[0].id, identity);
+            await securityEventService.record(req, 'oauth_link', {
+                actorId: existing[0].id,
+                details: { provider, automatic: true },
+            });
+            await securityEventService.record(req, 'login', {
+                actorId: existing[0].id,
+                details: { method: provider },
+            });
+            return res
+                .status(200)
+                .json(await buildLoginResponse(existing[0], req));
+        }
+
+        // New user without a password
+        const userName = name || identity.name || identity.email.split('@')[0];
+        const [userResult] = await pool.query(
+            'INSERT INTO users (name, email, password, number_of_children, caregiver_type, email_verified_at) VALUES (?, ?, NULL, 0, ?, ?)',
+            [
+                userName,
+                identity.email,
+                caregiverType || null,
+                identity.emailVerified ? new Date() : null,
+            ],
+        );
+        await linkIdentity(userResult.insertId, identity);
+
+        const [created] = await pool.query(
+            'SELECT * FROM users WHERE id = ?',
+            [userResult.insertId],
+        );
+
+        console.log(`Registered user ${userResult.insertId} via ${provider}`);
+        await securityEventService.record(req, 'register', {
+            actorId: userResult.insertId,
+            details: { method: provider },
+        });
+        sendWelcomeEmail(created[0]);
+
+        return res.status(201).json({
+            ...(await buildLoginResponse(created[0], req)),
+            isNewUser: true,
+        });
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ message: 'Account already exists' });
+        }
+        if (error.code === 'INVALID_ID_TOKEN') {
+            await securityEventService.record(req, 'login', {
+                actorId: null,
+                outcome: 'failure',
+                details: { method: provider, reason: 'invalid_id_token' },
+            });
+        }
+        return oauthErrorResponse(res, error);
+    }
+};
+
+// Link a provider to the signed-in account
+const oauthLink = async (req, res) => {
+    const { provider } = req.params;
+    const { idToken, nonce } = req.body;
+
+    if (!idToken) {
+        return res.status(400).json({ message: 'ID token is required' });
+    }
+
+    try {
+        const identity = await oauthService.verifyIdToken(provider, idToken, {
+            nonce,
+        });
+
+        const [linked] = await pool.query(
+            'SELECT user_id FROM user_identities WHERE provider = ? AND provider_subject = ?',
+            [provider, identity.subject],
+        );
+        if (linked.length > 0) {
+            if (linked[0].user_id === req.user.id) {
+                return res
+                    .status(200)
+                    .json({ message: `${provider} already linked`, success: true });
+            }
+            return res.status(409).json({
+                message: `This ${provider} account is linked to another user`,
+            });
+        }
+
+        const [own] = await pool.query(
+            'SELECT id FROM user_identities WHERE user_id = ? AND provider = ?',
+            [req.user.id, provider],
+        );
+        if (own.length > 0) {
+            return res.status(409).json({
+                message: `A different ${provider} account is already linked. Unlink it first.`,
+            });
+        }
+
+        await linkIdentity(req.user.id, identity);
+        await securityEventService.record(req, 'oauth_link', {
+            details: { provider },
+        });
+
+        return res.status(201).json({
+            message: `${provider} linked successfully`,
+            success: true,
+        });
+    } catch (error) {
+        return oauthErrorResponse(res, error);
+    }
+};
+
+// Unlink a provider, keeping at least one way to sign in
+const oauthUnlink = async (req, res) => {
+    const { provider } = req.params;
+    const userId = req.user.id;
+
+    if (!oauthService.isSupported(provider)) {
+        return res.status(404).json({ message: 'Unsupported provider' });
+    }
+
+    try {
+        const [users] = await pool.query(
+            'SELECT password FROM users WHERE id = ?',
+            [userId],
+        );
+        if (users.length === 0) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const [identities] = await pool.query(
+            'SELECT provider FROM user_identities WHERE user_id = ?',
+            [userId],
+        );
+        if (!identities.some(i => i.provider === provider)) {
+            return res.status(404).json({ message: `${provider} is not linked` });
+        }
+        if (!users[0].password && identities.length === 1) {
+            return res.status(400).json({
+                message: 'Set a password before unlinking your only sign-in method',
+                code: 'LAST_SIGN_IN_METHOD',
+            });
+        }
+
+        await pool.query(
+            'DELETE FROM user_identities WHERE user_id = ? AND provider = ?',
+            [userId, provider],
+        );
+        await securityEventService.record(req, 'oauth_unlink', {
+            details: { provider },
+        });
+
+        return res.status(200).json({
+            message: `${provider} unlinked successfully`,
+            success: true,
+        });
+    } catch (error) {
+        console.error('OAuth unlink error:', error);
+        return res.status(500).json({ error: 'Failed to unlink provider' });
+    }
+};
+
+// Email a one-time login code
+const requestLoginCode = async (req, res) => {
+    const { email } = req.body;
+
+    if (!email || !validateEmail(email)) {
+        return res.status(400).json({ message: 'Valid email is required' });
+    }
+
+    try {
+        const throttle = await authThrottleService.checkRequest('otp', {
+            email,
+            ip: req.ip,
+        });
+        if (!throttle.allowed) {
+            res.set('Retry-After', String(throttle.retryAfter));
+            return res.status(429).json({
+                message: `Please wait ${throttle.retryAfter} seconds before requesting another code`,
+                cooldown: true,
+            });
+        }
+
+        const [users] = await pool.query(
+            'SELECT id FROM users WHERE email = ?',
+            [email],
+        );
+        if (users.length === 0) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+        const userId = users[0].id;
+
+        await authThrottleService.recordAttempt({
+            action: 'otp',
+            email,
+            ip: req.ip,
+            userId,
+            success: true,
+        });
+
+        const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+        // Only the newest code stays usable
+        await pool.query(
+            'UPDATE login_otps SET consumed_at = NOW() WHERE user_id = ? AND consumed_at IS NULL',
+            [userId],
+        );
+        await pool.query(
+            'INSERT INTO login_otps (user_id, code_hash, expires_at) VALUES (?, ?, NOW() + INTERVAL ? MINUTE)',
+            [userId, hashVerificationCode(userId, code), OTP_TTL_MINUTES],
+        );
+
+        const provider = await mailService.send(
+            'login_code',
+            email,
+            { code, ttlMinutes: OTP_TTL_MINUTES },
+            { userId },
+        );
+
+        return res.status(200).json({
+            message: 'Sign-in code sent to email',
+            success: true,
+            provider,
+            queued: !provider,
+            expiresInMinutes: OTP_TTL_MINUTES,
+        });
+    } catch (error) {
+        console.error('Login code request error:', error.message);
+        return res.status(500).json({
+            message: 'Error sending sign-in code. Please try again later.',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+        });
+    }
+};
+
+// Exchange a one-time login code for tokens
+const verifyLoginCode = async (req, res) => {
+    const { email, code } = req.body;
+
+    if (!email || !code) {
+        return res
+            .status(400)
+            .json({ message: 'Email and code are required' });
+    }
+
+    try {
+        const [users] = await pool.query(
+            'SELECT * FROM users WHERE email = ?',
+            [email],
+        );
+        if (users.length === 0) {
+            return res.status(400).json({ message: 'Invalid or expired code' });
+        }
+        const user = users[0];
+
+        if (user.locked_until && new Date(user.locked_until) > new Date()) {
+            return res.status(423).json({
+                message: 'Account temporarily locked due to too many failed login attempts',
+                code: 'ACCOUNT_LOCKED',
+                lockedUntil: user.locked_until,
+            });
+        }
+
+        const [rows] = await pool.query(
+            `SELECT id, code_hash, attempts FROM login_otps
+             WHERE user_id = ? AND consumed_at IS NULL AND expires_at > NOW()
+             ORDER BY created_at DESC LIMIT 1`,
+            [user.id],
+        );
+        const otp = rows[0];
+
+        if (!otp) {
+            return res.status(400).json({ message: 'Invalid or expired code' });
+        }
+        if (otp.attempts >= OTP_MAX_ATTEMPTS) {
+            return res.status(429).json({
+                message: 'Too many attempts. Please request a new code.',
+                code: 'TOO_MANY_ATTEMPTS',
+            });
+        }
+
+        const isMatch = crypto.timingSafeEqual(
+            Buffer.from(otp.code_hash, 'hex'),
+            Buffer.from(hashVerificationCode(user.id, String(code).trim()), 'hex'),
+        );
+        if (!isMatch) {
+            await pool.query(
+                'UPDATE login_otps SET attempts = attempts + 1 WHERE id = ?',
+                [otp.id],
+            );
+            await authThrottleService.recordAttempt({
+                action: 'otp_verify',
+                email,
+                ip: req.ip,
+                userId: user.id,
+                success: false,
+            });
+            await securityEventService.record(req, 'login', {
+                actorId: null,
+                targetId: user.id,
+                outcome: 'failure',
+                details: { method: 'email_code', reason: 'bad_code' },
+            });
+            return res.status(400).json({ message: 'Invalid or expired code' });
+        }
+
+        // Consume atomically so a code can't be replayed by a parallel request
+        const [consumed] = await pool.query(
+            'UPDATE login_otps SET consumed_at = NOW() WHERE id = ? AND consumed_at IS NULL',
+            [otp.id],
+        );
+        if (consumed.affectedRows === 0) {
+            return res.status(400).json({ message: 'Invalid or expired code' });
+        }
+
+        await authThrottleService.recordAttempt({
+            action: 'otp_verify',
+            email,
+            ip: req.ip,
+            userId: user.id,
+            success: true,
+        });
+
+        // Receiving the code proves the user owns the address
+        if (!user.email_verified_at) {
+            await pool.query(
+                'UPDATE users SET email_verified_at = NOW() WHERE id = ?',
+                [user.id],
+            );
+            user.email_verified_at = new Date();
+        }
+
+        const challenge = await twoFactorChallenge(user);
+        if (challenge) {
+            return res.status(200).json(challenge);
+        }
+
+        if (await rejectPendingDeletion(user, req, res)) return;
+
+        await securityEventService.record(req, 'login', {
+            actorId: user.id,
+            details: { method: 'email_code' },
+        });
+        return res.status(200).json(await buildLoginResponse(user, req));
+    } catch (error) {
+        console.error('Login code verification error:', error);
+        return res.status(500).json({
+            message: 'Error verifying sign-in code',
+            error:
+                process.env.NODE_ENV === 'development'
+                    ? error.message
+                    : undefined,
+        });
+    }
+};
+
+// List providers linked to the signed-in account
+const listIdentities = async (req, res) => {
+    try {
+        const [identities] = await pool.query(
+            'SELECT provider, email, created_at, last_login_at FROM user_identities WHERE user_id = ?',
+            [req.user.id],
+        );
+        return res.status(200).json({ identities });
+    } catch (error) {
+        console.error('Error listing identities:', error);
+        return res.status(500).json({ error: 'Failed to list linked providers' });
+    }
+};
+
+// Second sign-in step: exchange the challenge token plus an authenticator
+// or recovery code for tokens
+const verifyTwoFactorLogin = async (req, res) => {
+    const { challengeToken, code, recoveryCode } = req.body;
+    const ip = req.ip;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+        return res.status(400).json({
+            message: 'Challenge token and code are required',
+        });
+    }
+
+    try {
+        const userId = await totpService.verifyChallenge(challengeToken);
+        const [users] = userId
+            ? await pool.query('SELECT * FROM users WHERE id = ?', [userId])
+            : [[]];
+        const user = users[0];
+
+        // The account may have been purged, or its grace period may have
+        // run out, since the challenge was issued. Accounts still pending
+        // deletion go on to the restore check below.
+        if (
+            !user ||
+            (user.deleted_at && new Date(user.purge_after) <= new Date())
+        ) {
+            await securityEventService.record(req, 'login_2fa', {
+                actorId: null,
+                targetId: userId || null,
+                outcome: 'failure',
+                details: { reason: 'invalid_challenge' },
+            });
+            return res.status(401).json({
+                message: 'Sign-in challenge is invalid or has expired',
+                code: 'INVALID_CHALLENGE',
+            });
+        }
+
+        // Wrong codes count as failed logins and can lock the account
+        const throttle = await authThrottleService.checkLogin({
+            email: user.email,
+            ip,
+        });
+        if (!throttle.allowed) {
+            await securityEventService.record(req, 'login_2fa', {
+                actorId: null,
+                targetId: userId,
+                outcome: 'blocked',
+                details: { reason: throttle.reason },
+            });
+            return sendThrottled(res, throttle);
+        }
+
+        const verified = code
+            ? await totpService.verifyCode(userId, code)
+            : await totpService.useRecoveryCode(userId, recoveryCode);
+
+        if (!verified) {
+            const unlockToken = await authThrottleService.recordLoginFailure({
+                email: user.email,
+                ip,
+                userId,
+            });
+            await securityEventService.record(req, 'login_2fa', {
+                actorId: null,
+                targetId: userId,
+                outcome: 'failure',
+                details: { method: code ? 'totp' : 'recovery_code' },
+            });
+            if (unlockToken) {
+                console.warn(`🔒 Locked account ${userId} after repeated 2FA failures`);
+                await securityEventService.record(req, 'account_lock', {
+                    actorId: null,
+                    targetId: userId,
+                });
+                sendUnlockEmail(user, unlockToken).catch(mailError =>
+                    console.error('Unlock email error:', mailError.message),
+                );
+            }
+            return res.status(401).json({
+                message: 'Invalid authentication code',
+                code: 'INVALID_2FA_CODE',
+            });
+        }
+
+        await authThrottleService.recordAttempt({
+            action: 'login',
+            email: user.email,
+            ip,
+            userId,
+            success: true,
+        });
+
+        if (await rejectPendingDeletion(user, req, res)) return;
+
+        await securityEventService.record(req, 'login_2fa', {
+            actorId: userId,
+            details: { method: code ? 'totp' : 'recovery_code' },
+        });
+        const response = await buildLoginResponse(user, req);
+        if (recoveryCode) {
+            response.recoveryCodesRemaining =
+                await totpService.remainingRecoveryCodes(userId);
+        }
+        return res.status(200).json(response);
+    } catch (error) {
+        console.error('Two-factor login error:', error);
+        return res.status(500).json({ message: 'Error verifying code' });
+    }
+};
+
+// Map totpService error codes onto responses
+const twoFactorErrorStatus = {
+    ALREADY_ENABLED: 409,
+    NOT_ENROLLED: 400,
+    INVALID_CODE: 400,
+};
+
+const getTwoFactorStatus = async (req, res) => {
+    try {
+        const enabled = await totpService.isEnabled(req.user.id);
+        return res.status(200).json({
+            enabled,
+            required: twoFactorRequiredFor(req.user.roles || []),
+            recoveryCodesRemaining: enabled
+                ? await totpService.remainingRecoveryCodes(req.user.id)
+                : 0,
+        });
+    } catch (error) {
+        console.error('Error fetching 2FA status:', error);
+        return res.status(500).json({ error: 'Failed to fetch 2FA status' });
+    }
+};
+
+// Start 2FA enrollment: returns the secret and an otpauth:// URI for a QR code
+const setupTwoFactor = async (req, res) => {
+    try {
+        const [users] = await pool.query('SELECT email FROM users WHERE id = ?', [
+            req.user.id,
+        ]);
+        if (users.length === 0) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const { secret, otpauthUri } = await totpService.startEnrollment(
+            req.user.id,
+            users[0].email,
+        );
+        return res.status(200).json({ secret, otpauthUri });
+    } catch (error) {
+        if (twoFactorErrorStatus[error.code]) {
+            return res
+                .status(twoFactorErrorStatus[error.code])
+                .json({ error: error.message, code: error.code });
+        }
+        console.error('Error starting 2FA setup:', error);
+        return res.status(500).json({ error: 'Failed to start 2FA setup' });
+    }
+};
+
+// Finish enrollment with a code from the app. Other devices are signed out
+// since their sessions never passed a second factor.
+const confirmTwoFactor = async (req, res) => {
+    const userId = req.user.id;
+    try {
+        const recoveryCodes = await totpService.confirmEnrollment(
+            userId,
+            req.body.code,
+        );
+
+        await sessionService.bumpTokenVersion(userId, { revokeSessions: true });
+        const [updated] = await pool.query(
+            'SELECT id, token_version FROM users WHERE id = ?',
+            [userId],
+        );
+        const session = await sessionService.createSession(
+            updated[0],
+            deviceFromRequest(req),
+        );
+        await securityEventService.record(req, 'two_factor_enable');
+
+        return res.status(200).json({
+            message: 'Two-factor authentication enabled',
+            recoveryCodes,
+            access_token: session.access_token,
+            refresh_token: session.refresh_token,
+        });
+    } catch (error) {
+        if (twoFactorErrorStatus[error.code]) {
+            return res
+                .status(twoFactorErrorStatus[error.code])
+                .json({ error: error.message, code: error.code });
+        }
+        console.error('Error confirming 2FA:', error);
+        return res.status(500).json({ error: 'Failed to enable 2FA' });
+    }
+};
+
+// Check the code or recovery code that authorizes a 2FA settings change.
+// Runs through the same failure ledger, delays and lockout as /login/2fa,
+// so a stolen access token can't be used to guess codes. Sends the refusal
+// and returns false when the change must not go ahead.
+const confirmSecondFactor = async (req, res, event) => {
+    const { code, recoveryCode } = req.body;
+    const userId = req.user.id;
+    const ip = req.ip;
+
+    if (!code && !recoveryCode) {
+        res.status(400).json({ error: 'Code or recovery code is required' });
+        return false;
+    }
+
+    const [users] = await pool.query(
+        'SELECT id, name, email FROM users WHERE id = ?',
+        [userId],
+    );
+    if (users.length === 0) {
+        res.status(404).json({ error: 'User not found' });
+        return false;
+    }
+    const user = users[0];
+
+    const throttle = await authThrottleService.checkLogin({
+        email: user.email,
+        ip,
+    });
+    if (!throttle.allowed) {
+        await securityEventService.record(req, event, {
+            outcome: 'blocked',
+            details: { reason: throttle.reason },
+        });
+        sendThrottled(res, throttle);
+        return false;
+    }
+
+    const verified = code
+        ? await totpService.verifyCode(userId, code)
+        : await totpService.useRecoveryCode(userId, recoveryCode);
+
+    if (!verified) {
+        const unlockToken = await authThrottleService.recordLoginFailure({
+            email: user.email,
+            ip,
+            userId,
+        });
+        await securityEventService.record(req, event, {
+            outcome: 'failure',
+            details: { method: code ? 'totp' : 'recovery_code' },
+        });
+        if (unlockToken) {
+            console.warn(`🔒 Locked account ${userId} after repeated 2FA failures`);
+            await securityEventService.record(req, 'account_lock', {
+                actorId: null,
+                targetId: userId,
+            });
+            sendUnlockEmail(user, unlockToken).catch(mailError =>
+                console.error('Unlock email error:', mailError.message),
+            );
+        }
+        res.status(400).json({
+            error: 'Invalid authentication code',
+            code: 'INVALID_CODE',
+        });
+        return false;
+    }
+
+    await authThrottleService.recordAttempt({
+        action: 'login',
+        email: user.email,
+        ip,
+        userId,
+        success: true,
+    });
+    return true;
+};
+
+const disableTwoFactor = async (req, res) => {
+    try {
+        if (twoFactorRequiredFor(req.user.roles || [])) {
+            return res.status(403).json({
+                error: 'Two-factor authentication is required for your role',
+                code: 'TWO_FACTOR_REQUIRED',
+            });
+        }
+        if (!(await confirmSecondFactor(req, res, 'two_factor_disable'))) return;
+
+        await totpService.disable(req.user.id);
+        await securityEventService.record(req, 'two_factor_disable');
+        return res
+            .status(200)
+            .json({ message: 'Two-factor authentication disabled' });
+    } catch (error) {
+        console.error('Error disabling 2FA:', error);
+        return res.status(500).json({ error: 'Failed to disable 2FA' });
+    }
+};
+
+const regenerateRecoveryCodes = async (req, res) => {
+    try {
+        if (
+            !(await confirmSecondFactor(req, res, 'recovery_codes_regenerate'))
+        ) {
+            return;
+        }
+
+        const recoveryCodes = await totpService.regenerateRecoveryCodes(
+            req.user.id,
+        );
+        await securityEventService.record(req, 'recovery_codes_regenerate');
+        return res.status(200).json({ recoveryCodes });
+    } catch (error) {
+        console.error('Error regenerating recovery codes:', error);
+        return res
+            .status(500)
+            .json({ error: 'Failed to regenerate recovery codes' });
+    }
+};
+
+// Download everything we hold about the user as a JSON archive
+const exportData = async (req, res) => {
+    try {
+        const data = await userDataService.exportUserData(req.user.id);
+        if (!data.profile) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        await securityEventService.record(req, 'data_export');
+
+        const date = data.exported_at.slice(0, 10);
+        res.setHeader(
+            'Content-Disposition',
+            `attachment; filename="talk-around-town-export-${date}.json"`,
+        );
+        return res.status(200).json(data);
+    } catch (error) {
+        console.error('Error exporting user data:', error);
+        return res.status(500).json({ error: 'Failed to export data' });
+    }
+};
+
 // Get device tokens
 const getDeviceTokens = async (req, res) => {
     const user_id = req.user.id;
@@ -859,15 +2140,34 @@ const getDeviceTokens = async (req, res) => {
 // Routes
 router.post('/register', register);
 router.post('/login', login);
+router.post('/login/2fa', verifyTwoFactorLogin);
+router.post('/otp/request', requestLoginCode);
+router.post('/otp/verify', verifyLoginCode);
 router.post('/logout', logout);
 router.post('/verify', authenticateJWTReval);
 router.post('/refresh', refreshAccessToken);
+router.get('/sessions', authenticateJWT, listSessions);
+router.delete('/sessions/:id', authenticateJWT, revokeSession);
+router.get('/oauth/identities', authenticateJWT, listIdentities);
+router.post('/oauth/:provider', oauthLogin);
+router.post('/oauth/:provider/link', authenticateJWT, oauthLink);
+router.delete('/oauth/:provider', authenticateJWT, oauthUnlink);
 router.post('/token', authenticateJWT, token);
 router.get('/device-tokens', authenticateJWT, getDeviceTokens);
+router.get('/export', authenticateJWT, exportData);
+router.get('/2fa', authenticateJWT, getTwoFactorStatus);
+router.post('/2fa/setup', authenticateJWT, setupTwoFactor);
+router.post('/2fa/confirm', authenticateJWT, confirmTwoFactor);
+router.post('/2fa/disable', authenticateJWT, disableTwoFactor);
+router.post('/2fa/recovery-codes', authenticateJWT, regenerateRecoveryCodes);
+router.post('/verify-email', verifyEmail);
+router.post('/resend-verification', resendVerification);
 router.post('/request-reset', requestPasswordReset);
 router.post('/reset-password', resetPassword);
+router.post('/unlock', unlockAccount);
 router.post('/test-email', testEmail);
 router.delete('/delete-account', authenticateJWT, deleteAccount);
 router.post('/change-password', authenticateJWT, changePassword);
+router.post('/password-strength', passwordStrength);
 
 export default router;
\ No newline at end of file
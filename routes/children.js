@@ -1,24 +1,47 @@
 import express from 'express';
 import pool from '../config/db.js';
 import { authenticateJWT } from './middleware.js';
+import householdService from '../services/householdService.js';
+import milestoneService, {
+    MILESTONE_DOMAINS,
+} from '../services/milestoneService.js';
+import { parseBirthDate, withAge } from '../utils/childAge.js';
+import { parseChildProfile, withProfile } from '../utils/childProfile.js';
 
 const router = express.Router();
 
-// Get children information for a user
+const milestoneErrorStatus = {
+    NOT_FOUND: 404,
+    UNKNOWN_MILESTONE: 404,
+    INVALID_DATE: 400,
+};
+
+const sendMilestoneError = (res, error, fallback) => {
+    if (milestoneErrorStatus[error.code]) {
+        return res
+            .status(milestoneErrorStatus[error.code])
+            .json({ success: false, message: error.message });
+    }
+    console.error(`${fallback}:`, error);
+    return res.status(500).json({ success: false, message: fallback });
+};
+
+// Get children information for a user (including their household's children)
 router.get('/children', authenticateJWT, async (req, res) => {
     try {
-        const user_id = req.user.id;
+        const memberIds = await householdService.getMemberIds(req.user.id);
 
         const [rows] = await pool.query(
-            `SELECT id, nickname, age, date_of_birth
+            `SELECT id, nickname, date_of_birth, birth_date_precision,
+              interests, home_languages, temperament_notes
        FROM children
-       WHERE user_id = ?`,
-            [user_id],
+       WHERE user_id IN (?)`,
+            [memberIds],
         );
 
         return res.status(200).json({
             success: true,
-            children: rows,
+            children: rows.map(child => withProfile(withAge(child))),
         });
     } catch (error) {
         console.error('Error fetching children:', error);
@@ -33,32 +56,55 @@ router.get('/children', authenticateJWT, async (req, res) => {
 router.post('/children', authenticateJWT, async (req, res) => {
     const connection = await pool.getConnection();
     try {
-        const { nickname, age } = req.body;
+        const { nickname } = req.body;
         const user_id = req.user.id;
 
-        // Validate age
-        if (!age || age < 1 || age > 5 || !Number.isInteger(age)) {
-            connection.release();
+        // Caregivers see and update the household's children but cannot add them
+        if (!(await householdService.isOwner(user_id))) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only the household owner can add children',
+            });
+        }
+
+        // Birth date (or month); a whole-year age from older app versions
+        // is still accepted and stored as an estimate
+        const birth = parseBirthDate(req.body);
+        if (birth.error) {
             return res.status(400).json({
                 success: false,
-                message: 'Child age must be an integer between 1 and 5',
+                message: birth.error,
             });
         }
 
-        // Calculate date_of_birth from age
-        const today = new Date();
-        const birthYear = today.getFullYear() - age;
-        const dateOfBirth = new Date(birthYear, today.getMonth(), today.getDate());
-        const formattedDOB = dateOfBirth.toISOString().split('T')[0]; // YYYY-MM-DD
+        // Interests, home languages and temperament are optional
+        const { profile, error: profileError } = parseChildProfile(req.body);
+        if (profileError) {
+            return res.status(400).json({
+                success: false,
+                message: profileError,
+            });
+        }
+        const interests = profile.interests ?? [];
+        const homeLanguages = profile.homeLanguages ?? [];
+        const temperamentNotes = profile.temperamentNotes ?? null;
 
         // Start transaction
         await connection.beginTransaction();
 
-        // Insert new child with both age and date_of_birth
         const [result] = await connection.query(
-            `INSERT INTO children (user_id, nickname, age, date_of_birth)
-       VALUES (?, ?, ?, ?)`,
-            [user_id, nickname, age, formattedDOB],
+            `INSERT INTO children (user_id, nickname, date_of_birth, birth_date_precision,
+                             interests, home_languages, temperament_notes)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [
+                user_id,
+                nickname,
+                birth.dateOfBirth,
+                birth.precision,
+                JSON.stringify(interests),
+                JSON.stringify(homeLanguages),
+                temperamentNotes,
+            ],
         );
 
         // Update user's number_of_children
@@ -76,6 +122,17 @@ router.post('/children', authenticateJWT, async (req, res) => {
             success: true,
             message: 'Child added successfully',
             childId: result.insertId,
+            child: withProfile(
+                withAge({
+                    id: result.insertId,
+                    nickname,
+                    date_of_birth: birth.dateOfBirth,
+                    birth_date_precision: birth.precision,
+                    interests,
+                    home_languages: homeLanguages,
+                    temperament_notes: temperamentNotes,
+                }),
+            ),
         });
     } catch (error) {
         await connection.rollback();
@@ -95,16 +152,16 @@ router.post('/updateChildren', authenticateJWT, async (req, res) => {
 
     try {
         const { children } = req.body;
-        const user_id = req.user.id;
+        const memberIds = await householdService.getMemberIds(req.user.id);
 
         // Start transaction
         await connection.beginTransaction();
 
         for (const child of children) {
-            // Verify child belongs to user
+            // Verify child belongs to the user's household
             const [childRows] = await connection.query(
-                'SELECT id FROM children WHERE id = ? AND user_id = ?',
-                [child.id, user_id],
+                'SELECT id FROM children WHERE id = ? AND user_id IN (?)',
+                [child.id, memberIds],
             );
 
             if (childRows.length === 0) {
@@ -115,22 +172,56 @@ router.post('/updateChildren', authenticateJWT, async (req, res) => {
                 });
             }
 
-            // Validate age if provided
-            if (child.age && (child.age < 1 || child.age > 5 || !Number.isInteger(child.age))) {
+            // The birth date only changes when one is sent
+            let birth = { dateOfBirth: null, precision: null };
+            if (
+                child.dateOfBirth !== undefined ||
+                child.birthMonth !== undefined ||
+                child.age !== undefined
+            ) {
+                birth = parseBirthDate(child);
+                if (birth.error) {
+                    await connection.rollback();
+                    return res.status(400).json({
+                        success: false,
+                        message: birth.error,
+                    });
+                }
+            }
+
+            // Likewise each profile field; null clears it
+            const { profile, error: profileError } = parseChildProfile(child);
+            if (profileError) {
                 await connection.rollback();
                 return res.status(400).json({
                     success: false,
-                    message: 'Child age must be an integer between 1 and 5',
+                    message: profileError,
                 });
             }
 
             // Update child information
             await connection.query(
                 `UPDATE children
-         SET nickname = ?,
-             age = ?
-         WHERE id = ? AND user_id = ?`,
-                [child.nickname, child.age, child.id, user_id],
+         SET nickname = COALESCE(?, nickname),
+             date_of_birth = COALESCE(?, date_of_birth),
+             birth_date_precision = COALESCE(?, birth_date_precision),
+             interests = COALESCE(?, interests),
+             home_languages = COALESCE(?, home_languages),
+             temperament_notes = IF(?, ?, temperament_notes)
+         WHERE id = ? AND user_id IN (?)`,
+                [
+                    child.nickname ?? null,
+                    birth.dateOfBirth,
+                    birth.precision,
+                    profile.interests ? JSON.stringify(profile.interests) : null,
+                    profile.homeLanguages
+                        ? JSON.stringify(profile.homeLanguages)
+                        : null,
+                    profile.temperamentNotes !== undefined,
+                    profile.temperamentNotes ?? null,
+                    child.id,
+                    memberIds,
+                ],
             );
         }
 
@@ -163,13 +254,21 @@ router.delete('/children/:id', authenticateJWT, async (req, res) => {
 
         console.table([childId, user_id]);
 
+        if (!(await householdService.isOwner(user_id))) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only the household owner can delete children',
+            });
+        }
+        const memberIds = await householdService.getMemberIds(user_id);
+
         // Start transaction
         await connection.beginTransaction();
 
-        // Verify the child belongs to this user
+        // Verify the child belongs to this user's household
         const [childRows] = await connection.query(
-            'SELECT id FROM children WHERE id = ? AND user_id = ?',
-            [childId, user_id],
+            'SELECT id FROM children WHERE id = ? AND user_id IN (?)',
+            [childId, memberIds],
         );
 
         const data = await connection.query('SELECT * FROM children');
@@ -185,8 +284,8 @@ router.delete('/children/:id', authenticateJWT, async (req, res) => {
 
         // Delete the child record
         await connection.query(
-            'DELETE FROM children WHERE id = ? AND user_id = ?',
-            [childId, user_id],
+            'DELETE FROM children WHERE id = ? AND user_id IN (?)',
+            [childId, memberIds],
         );
 
         // Commit transaction
@@ -208,4 +307,89 @@ router.delete('/children/:id', authenticateJWT, async (req, res) => {
     }
 });
 
+// Milestone catalogue, optionally for one domain and/or age in months
+router.get('/milestones', authenticateJWT, (req, res) => {
+    const { domain } = req.query;
+    const ageMonths =
+        req.query.ageMonths !== undefined ? Number(req.query.ageMonths) : undefined;
+
+    if (domain && !MILESTONE_DOMAINS.includes(domain)) {
+        return res.status(400).json({
+            success: false,
+            message: `Domain must be one of: ${MILESTONE_DOMAINS.join(', ')}`,
+        });
+    }
+    if (ageMonths !== undefined && !(Number.isInteger(ageMonths) && ageMonths >= 0)) {
+        return res.status(400).json({
+            success: false,
+            message: 'ageMonths must be a non-negative integer',
+        });
+    }
+
+    return res.status(200).json({
+        success: true,
+        domains: MILESTONE_DOMAINS,
+        milestones: milestoneService.catalogue({ domain, ageMonths }),
+    });
+});
+
+// A child's milestone checklist (household members)
+router.get('/children/:id/milestones', authenticateJWT, async (req, res) => {
+    try {
+        const checklist = await milestoneService.checklist(req.user.id, req.params.id);
+        return res.status(200).json({ success: true, ...checklist });
+    } catch (error) {
+        return sendMilestoneError(res, error, 'Failed to fetch milestones');
+    }
+});
+
+// Milestones the child is working toward next
+router.get('/children/:id/milestones/upcoming', authenticateJWT, async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit, 10) || 5, 20);
+        const upcoming = await milestoneService.upcoming(req.user.id, req.params.id, { limit });
+        return res.status(200).json({ success: true, ...upcoming });
+    } catch (error) {
+        return sendMilestoneError(res, error, 'Failed to fetch upcoming milestones');
+    }
+});
+
+// Tick a milestone off; achievedOn (YYYY-MM-DD) defaults to today
+router.put('/children/:id/milestones/:milestoneId', authenticateJWT, async (req, res) => {
+    try {
+        const record = await milestoneService.setAchieved(
+            req.user.id,
+            req.params.id,
+            req.params.milestoneId,
+            req.body.achievedOn,
+        );
+        return res.status(200).json({
+            success: true,
+            message: 'Milestone recorded',
+            ...record,
+        });
+    } catch (error) {
+        return sendMilestoneError(res, error, 'Failed to record milestone');
+    }
+});
+
+router.delete('/children/:id/milestones/:milestoneId', authenticateJWT, async (req, res) => {
+    try {
+        const removed = await milestoneService.clearAchieved(
+            req.user.id,
+            req.params.id,
+            req.params.milestoneId,
+        );
+        if (!removed) {
+            return res.status(404).json({
+                success: false,
+                message: 'Milestone not recorded for this child',
+            });
+        }
+        return res.status(200).json({ success: true, message: 'Milestone cleared' });
+    } catch (error) {
+        return sendMilestoneError(res, error, 'Failed to clear milestone');
+    }
+});
+
 export default router;
\ No newline at end of file
@@ -1,11 +1,15 @@
 import express from 'express';
 import pool from '../config/db.js';
-import { authenticateJWT, authorizeAdmin } from './middleware.js';
+import { authenticateJWT, requirePermission } from './middleware.js';
+import journalService from '../services/journalService.js';
+import { AGED_OUT_MONTHS } from '../utils/childAge.js';
 
 const router = express.Router();
 
+// Aggregate figures need analytics:read; anything naming a family needs users:read
+
 // Get dashboard summary data
-router.get('/summary', authenticateJWT, async (req, res) => {
+router.get('/summary', authenticateJWT, requirePermission('analytics:read'), async (req, res) => {
     try {
         // Get counts of main entities
         const [userCount] = await pool.query('SELECT COUNT(*) as count FROM users');
@@ -30,7 +34,7 @@ router.get('/summary', authenticateJWT, async (req, res) => {
 });
 
 // Get user registration stats
-router.get('/users/timeline', authenticateJWT, async (req, res) => {
+router.get('/users/timeline', authenticateJWT, requirePermission('analytics:read'), async (req, res) => {
     try {
         const [results] = await pool.query(`
             SELECT 
@@ -49,16 +53,32 @@ router.get('/users/timeline', authenticateJWT, async (req, res) => {
 });
 
 // Get children age distribution
-router.get('/children/ages', authenticateJWT, async (req, res) => {
+router.get('/children/ages', authenticateJWT, requirePermission('analytics:read'), async (req, res) => {
     try {
-        const [results] = await pool.query(`
+        // Counted in completed months, as ageInMonths derives them, then
+        // folded into the whole years the children API reports as `age`
+        const [rows] = await pool.query(`
             SELECT
-                age,
+                GREATEST(TIMESTAMPDIFF(MONTH, date_of_birth, CURDATE()), 0) as age_months,
                 COUNT(*) as count
             FROM children
-            GROUP BY age
-            ORDER BY age ASC
+            GROUP BY age_months
         `);
+
+        const buckets = new Map();
+        for (const row of rows) {
+            const age = row.age_months === null ? null : Math.floor(row.age_months / 12);
+            const bucket = buckets.get(age) || {
+                age,
+                aged_out: age !== null && age * 12 >= AGED_OUT_MONTHS,
+                count: 0,
+            };
+            bucket.count += Number(row.count);
+            buckets.set(age, bucket);
+        }
+        const results = [...buckets.values()].sort(
+            (a, b) => (a.age ?? Infinity) - (b.age ?? Infinity),
+        );
         return res.status(200).json(results);
     } catch (error) {
         console.error('Error fetching children ages:', error);
@@ -67,7 +87,7 @@ router.get('/children/ages', authenticateJWT, async (req, res) => {
 });
 
 // Get location types
-router.get('/locations/types', authenticateJWT, async (req, res) => {
+router.get('/locations/types', authenticateJWT, requirePermission('analytics:read'), async (req, res) => {
     try {
         const [results] = await pool.query(`
             SELECT 
@@ -86,7 +106,7 @@ router.get('/locations/types', authenticateJWT, async (req, res) => {
 });
 
 // Get notification trends by time of day
-router.get('/notifications/time', authenticateJWT, async (req, res) => {
+router.get('/notifications/time', authenticateJWT, requirePermission('analytics:read'), async (req, res) => {
     try {
         const [results] = await pool.query(`
             SELECT 
@@ -103,8 +123,28 @@ router.get('/notifications/time', authenticateJWT, async (req, res) => {
     }
 });
 
+// Talk-moment journal engagement by week (from/to optional dates)
+router.get('/journal/engagement', authenticateJWT, requirePermission('analytics:read'), async (req, res) => {
+    try {
+        const { from, to } = req.query;
+        for (const [name, value] of [['from', from], ['to', to]]) {
+            if (value && isNaN(Date.parse(value))) {
+                return res.status(400).json({ error: `${name} must be a valid date` });
+            }
+        }
+        const results = await journalService.engagement({
+            from: from ? new Date(from) : null,
+            to: to ? new Date(to) : null,
+        });
+        return res.status(200).json(results);
+    } catch (error) {
+        console.error('Error fetching journal engagement:', error);
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 // Get top location usage
-router.get('/locations/usage', authenticateJWT, async (req, res) => {
+router.get('/locations/usage', authenticateJWT, requirePermission('users:read'), async (req, res) => {
     try {
         const [results] = await pool.query(`
             SELECT 
@@ -124,7 +164,7 @@ router.get('/locations/usage', authenticateJWT, async (req, res) => {
 });
 
 // Get users with the most children
-router.get('/users/children', authenticateJWT, async (req, res) => {
+router.get('/users/children', authenticateJWT, requirePermission('users:read'), async (req, res) => {
     try {
         const [results] = await pool.query(`
             SELECT 
@@ -146,7 +186,7 @@ router.get('/users/children', authenticateJWT, async (req, res) => {
 });
 
 // Get recent user activity
-router.get('/recent-activity', authenticateJWT, async (req, res) => {
+router.get('/recent-activity', authenticateJWT, requirePermission('users:read'), async (req, res) => {
     try {
         const [recentUsers] = await pool.query(`
             SELECT 
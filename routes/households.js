@@ -0,0 +1,233 @@
+import express from 'express';
+import pool from '../config/db.js';
+import { authenticateJWT } from './middleware.js';
+import householdService, {
+    HOUSEHOLD_ROLES,
+} from '../services/householdService.js';
+import mailService from '../services/mailService.js';
+import authThrottleService from '../services/authThrottleService.js';
+
+const router = express.Router();
+
+const errorStatus = {
+    FORBIDDEN: 403,
+    NOT_FOUND: 404,
+    ALREADY_MEMBER: 409,
+    IN_OTHER_HOUSEHOLD: 409,
+    INVALID_INVITATION: 400,
+};
+
+const sendInvitationEmail = (email, inviterName, token) =>
+    mailService.send('household_invitation', email, { inviterName, token });
+
+// Get the current user's household (members, and pending invitations for owners)
+router.get('/', authenticateJWT, async (req, res) => {
+    try {
+        const household = await householdService.getHousehold(req.user.id);
+        return res.status(200).json({ success: true, household });
+    } catch (error) {
+        console.error('Error fetching household:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to fetch household',
+        });
+    }
+});
+
+// Invite a caregiver by email (owner only)
+router.post('/invitations', authenticateJWT, async (req, res) => {
+    try {
+        const { email, role = 'caregiver' } = req.body;
+
+        if (!email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+            return res
+                .status(400)
+                .json({ success: false, message: 'Valid email is required' });
+        }
+        if (!HOUSEHOLD_ROLES.includes(role) || role === 'owner') {
+            return res.status(400).json({
+                success: false,
+                message: 'Role must be caregiver',
+            });
+        }
+
+        const [users] = await pool.query(
+            'SELECT name, email FROM users WHERE id = ?',
+            [req.user.id],
+        );
+        if (users[0]?.email?.toLowerCase() === email.toLowerCase()) {
+            return res.status(400).json({
+                success: false,
+                message: 'You cannot invite yourself',
+            });
+        }
+
+        // Every invitation mails an outside address, so senders are capped
+        const throttle = await authThrottleService.checkRequest('invite', {
+            email: users[0]?.email,
+            ip: req.ip,
+        });
+        if (!throttle.allowed) {
+            res.set('Retry-After', String(throttle.retryAfter));
+            return res.status(429).json({
+                success: false,
+                message: `Too many invitations. Please wait ${throttle.retryAfter} seconds.`,
+            });
+        }
+        await authThrottleService.recordAttempt({
+            action: 'invite',
+            email: users[0]?.email,
+            ip: req.ip,
+            userId: req.user.id,
+            success: true,
+        });
+
+        const { invitation, token } = await householdService.createInvitation(
+            req.user.id,
+            email,
+            role,
+        );
+
+        let emailSent = false;
+        try {
+            emailSent = Boolean(
+                await sendInvitationEmail(
+                    email,
+                    users[0]?.name || 'A parent',
+                    token,
+                ),
+            );
+        } catch (mailError) {
+            console.error('Invitation email error:', mailError.message);
+        }
+
+        return res.status(201).json({
+            success: true,
+            message: 'Invitation created',
+            invitation,
+            emailSent,
+        });
+    } catch (error) {
+        if (errorStatus[error.code]) {
+            return res
+                .status(errorStatus[error.code])
+                .json({ success: false, message: error.message });
+        }
+        console.error('Error creating invitation:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to create invitation',
+        });
+    }
+});
+
+// Invitations addressed to the current user
+router.get('/invitations/pending', authenticateJWT, async (req, res) => {
+    try {
+        const [users] = await pool.query(
+            'SELECT email FROM users WHERE id = ?',
+            [req.user.id],
+        );
+        if (users.length === 0) {
+            return res
+                .status(404)
+                .json({ success: false, message: 'User not found' });
+        }
+
+        const invitations = await householdService.listInvitationsFor(
+            users[0].email,
+        );
+        return res.status(200).json({ success: true, invitations });
+    } catch (error) {
+        console.error('Error fetching invitations:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to fetch invitations',
+        });
+    }
+});
+
+// Accept an invitation with the emailed token
+router.post('/invitations/accept', authenticateJWT, async (req, res) => {
+    try {
+        const { token } = req.body;
+        if (!token) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invitation token is required',
+            });
+        }
+
+        const householdId = await householdService.acceptInvitation(
+            req.user.id,
+            token,
+        );
+
+        return res.status(200).json({
+            success: true,
+            message: 'You have joined the household',
+            householdId,
+        });
+    } catch (error) {
+        if (errorStatus[error.code]) {
+            return res
+                .status(errorStatus[error.code])
+                .json({ success: false, message: error.message });
+        }
+        console.error('Error accepting invitation:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to accept invitation',
+        });
+    }
+});
+
+// Revoke a pending invitation (owner only)
+router.delete('/invitations/:id', authenticateJWT, async (req, res) => {
+    try {
+        const revoked = await householdService.revokeInvitation(
+            req.user.id,
+            parseInt(req.params.id, 10),
+        );
+        if (!revoked) {
+            return res
+                .status(404)
+                .json({ success: false, message: 'Invitation not found' });
+        }
+        return res
+            .status(200)
+            .json({ success: true, message: 'Invitation revoked' });
+    } catch (error) {
+        console.error('Error revoking invitation:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to revoke invitation',
+        });
+    }
+});
+
+// Remove a caregiver (owner), or leave the household (caregiver removing themselves)
+router.delete('/members/:userId', authenticateJWT, async (req, res) => {
+    try {
+        await householdService.removeMember(
+            req.user.id,
+            parseInt(req.params.userId, 10),
+        );
+        return res
+            .status(200)
+            .json({ success: true, message: 'Member removed' });
+    } catch (error) {
+        if (errorStatus[error.code]) {
+            return res
+                .status(errorStatus[error.code])
+                .json({ success: false, message: error.message });
+        }
+        console.error('Error removing member:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to remove member',
+        });
+    }
+});
+
+export default router;
@@ -0,0 +1,136 @@
+import express from 'express';
+import { authenticateJWT } from './middleware.js';
+import journalService, {
+    TALK_MOMENT_MOODS,
+} from '../services/journalService.js';
+
+const router = express.Router();
+
+const errorStatus = {
+    INVALID: 400,
+    FORBIDDEN: 403,
+    NOT_FOUND: 404,
+};
+
+const sendJournalError = (res, error, fallback) => {
+    if (errorStatus[error.code]) {
+        return res
+            .status(errorStatus[error.code])
+            .json({ success: false, message: error.message });
+    }
+    console.error(`${fallback}:`, error);
+    return res.status(500).json({ success: false, message: fallback });
+};
+
+// Log a talk moment: { childId, tipId?, locationId?, occurredAt?,
+// durationMinutes?, mood?, notes? }; occurredAt defaults to now
+router.post('/', authenticateJWT, async (req, res) => {
+    try {
+        const moment = await journalService.create(req.user.id, req.body);
+        return res.status(201).json({
+            success: true,
+            message: 'Talk moment logged',
+            moment,
+        });
+    } catch (error) {
+        return sendJournalError(res, error, 'Failed to log talk moment');
+    }
+});
+
+// The household's journal, newest first. Filters: childId, tipId,
+// locationId, mood, from/to (dates), limit/offset
+router.get('/', authenticateJWT, async (req, res) => {
+    try {
+        const { childId, tipId, locationId, mood, from, to } = req.query;
+
+        if (mood && !TALK_MOMENT_MOODS.includes(mood)) {
+            return res.status(400).json({
+                success: false,
+                message: `mood must be one of: ${TALK_MOMENT_MOODS.join(', ')}`,
+            });
+        }
+        for (const [name, value] of [['from', from], ['to', to]]) {
+            if (value && isNaN(Date.parse(value))) {
+                return res.status(400).json({
+                    success: false,
+                    message: `${name} must be a valid date`,
+                });
+            }
+        }
+
+        const result = await journalService.list(req.user.id, {
+            childId: parseInt(childId, 10) || null,
+            tipId: parseInt(tipId, 10) || null,
+            locationId: parseInt(locationId, 10) || null,
+            mood,
+            from: from ? new Date(from) : null,
+            to: to ? new Date(to) : null,
+            limit: parseInt(req.query.limit, 10) || 20,
+            offset: parseInt(req.query.offset, 10) || 0,
+        });
+        return res.status(200).json({ success: true, ...result });
+    } catch (error) {
+        return sendJournalError(res, error, 'Failed to fetch journal');
+    }
+});
+
+// Moods a talk moment can be tagged with
+router.get('/moods', authenticateJWT, (req, res) => {
+    res.status(200).json({ success: true, moods: TALK_MOMENT_MOODS });
+});
+
+// Week-by-week progress for one child (`weeks`, default 8)
+router.get('/children/:childId/weekly', authenticateJWT, async (req, res) => {
+    try {
+        const summary = await journalService.weeklySummary(
+            req.user.id,
+            req.params.childId,
+            { weeks: parseInt(req.query.weeks, 10) || 8 },
+        );
+        return res.status(200).json({ success: true, ...summary });
+    } catch (error) {
+        return sendJournalError(res, error, 'Failed to fetch weekly summary');
+    }
+});
+
+router.get('/:id', authenticateJWT, async (req, res) => {
+    try {
+        const moment = await journalService.get(req.user.id, req.params.id);
+        return res.status(200).json({ success: true, moment });
+    } catch (error) {
+        return sendJournalError(res, error, 'Failed to fetch talk moment');
+    }
+});
+
+// Edit a talk moment (the member who logged it); only the fields sent
+// change and null clears an optional one
+router.put('/:id', authenticateJWT, async (req, res) => {
+    try {
+        const moment = await journalService.update(
+            req.user.id,
+            req.params.id,
+            req.body,
+        );
+        return res.status(200).json({
+            success: true,
+            message: 'Talk moment updated',
+            moment,
+        });
+    } catch (error) {
+        return sendJournalError(res, error, 'Failed to update talk moment');
+    }
+});
+
+router.delete('/:id', authenticateJWT, async (req, res) => {
+    try {
+        await journalService.remove(req.user.id, req.params.id);
+        return res.status(200).json({
+            success: true,
+            message: 'Talk moment deleted',
+        });
+    } catch (error) {
+        return sendJournalError(res, error, 'Failed to delete talk moment');
+    }
+});
+
+export default router;
@@ -2,12 +2,30 @@ import express from 'express';
 import axios from 'axios';
 import admin from 'firebase-admin';
 import pool from '../config/db.js';
-import { authenticateJWT } from './middleware.js';
+import { authenticateJWT, requireVerifiedEmail } from './middleware.js';
 import { GoogleAuth } from 'google-auth-library';
 import { readFileSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import personalizationService from '../services/personalizationService.js';
+import householdService from '../services/householdService.js';
+import locationService from '../services/locationService.js';
+import milestoneService from '../services/milestoneService.js';
+import visitService, { visitTiming } from '../services/visitService.js';
+import { parseLocationBatch } from '../utils/locationBatch.js';
+import {
+    DEFAULT_PLACE_TYPE,
+    PLACE_TYPES,
+    placeTypeFor,
+    resolvePlaceType,
+} from '../utils/placeTypes.js';
+import { withAge } from '../utils/childAge.js';
+import { withProfile } from '../utils/childProfile.js';
+import {
+    GEOFENCE_DEFAULT_RADIUS_M,
+    parseGeofence,
+    toBoundary,
+} from '../utils/geofence.js';
 
 // ESM equivalent of __dirname
 const __filename = fileURLToPath(import.meta.url);
@@ -31,25 +49,6 @@ admin.initializeApp({
     credential: admin.credential.cert(serviceAccount),
 });
 
-function getDistanceFromLatLonInKm(lat1, lon1, lat2, lon2) {
-    var R = 6371; // Radius of the Earth in km
-    var dLat = deg2rad(lat2 - lat1); // deg2rad below
-    var dLon = deg2rad(lon2 - lon1);
-    var a =
-        Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-        Math.cos(deg2rad(lat1)) *
-            Math.cos(deg2rad(lat2)) *
-            Math.sin(dLon / 2) *
-            Math.sin(dLon / 2);
-    var c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-    var d = R * c; // Distance in km
-    return d;
-}
-
-function deg2rad(deg) {
-    return deg * (Math.PI / 180);
-}
-
 async function validateFCMToken(token) {
     try {
         // Attempt to send a test message with dry run option
@@ -73,6 +72,33 @@ async function validateFCMToken(token) {
     }
 }
 
+const placeTypeError = () =>
+    `type must be one of: ${PLACE_TYPES.map(type => type.label).join(', ')}`;
+
+// A saved location as the map screens show it; its icon and pin colour come
+// from its place type
+const toLocationDetails = row => {
+    const placeType = placeTypeFor(row.type);
+    return {
+        id: row.id,
+        title: row.name,
+        description: row.desc,
+        type: placeType.label,
+        placeType,
+        radius: row.radius_m,
+        boundary: toBoundary(row.boundary),
+        pinColor: placeType.color,
+    };
+};
+
+const toCoordinate = value =>
+    value === null || value === '' ? NaN : Number(value);
+
+// Pins outside these ranges would fail the position trigger's
+// ST_SRID(POINT(...), 4326) with a server error
+const isValidPin = ({ latitude, longitude }) =>
+    Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180;
+
 router.post('/addLocation', authenticateJWT, async (req, res) => {
     try {
         // Get user_id from req.user
@@ -86,16 +112,50 @@ router.post('/addLocation', authenticateJWT, async (req, res) => {
             return res.status(400).json({ error: 'All fields are required' });
         }
 
+        // A key, label or alias of a place type; Other when left out
+        const placeType =
+            type === undefined || type === null || type === ''
+                ? DEFAULT_PLACE_TYPE
+                : resolvePlaceType(type);
+        if (!placeType) {
+            return res.status(400).json({ error: placeTypeError() });
+        }
+
+        const pin = {
+            latitude: toCoordinate(latitude),
+            longitude: toCoordinate(longitude),
+        };
+        if (!isValidPin(pin)) {
+            return res
+                .status(400)
+                .json({ error: 'latitude and longitude must be valid coordinates' });
+        }
+
+        // Optional fence: radius in metres and/or a polygon boundary
+        const fence = parseGeofence(req.body, pin);
+        if (fence.error) {
+            return res.status(400).json({ error: fence.error });
+        }
+
         // Insert the new location into the database
         const [result] = await pool.query(
-            'INSERT INTO locations (user_id, lat, `long`, type, name, `desc`) VALUES (?, ?, ?, ?, ?, ?)',
-            [user_id, latitude, longitude, type, name, description],
+            'INSERT INTO locations (user_id, lat, `long`, type, name, `desc`, radius_m, boundary) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+            [
+                user_id,
+                pin.latitude,
+                pin.longitude,
+                placeType.label,
+                name,
+                description,
+                fence.radiusMeters ?? GEOFENCE_DEFAULT_RADIUS_M,
+                fence.boundary ? JSON.stringify(fence.boundary) : null,
+            ],
         );
         // Check if the insertion was successful
         if (result.affectedRows === 1) {
             return res
                 .status(201)
-                .json({ message: 'Location added successfully'});
+                .json({ message: 'Location added successfully', id: result.insertId });
         } else {
             return res.status(500).json({ error: 'Failed to add location' });
         }
@@ -123,10 +183,15 @@ router.delete('/deleteLocation', authenticateJWT, async (req, res) => {
         }
 
         try {
+            // Household owners can delete any shared location, caregivers only their own
+            const deletableIds = (await householdService.isOwner(user_id))
+                ? await householdService.getMemberIds(user_id)
+                : [user_id];
+
             // Delete the location from the database using ID
             const [result] = await pool.query(
-                'DELETE FROM locations WHERE user_id = ? AND id = ?',
-                [user_id, id]
+                'DELETE FROM locations WHERE user_id IN (?) AND id = ?',
+                [deletableIds, id]
             );
 
             // Check if the deletion was successful
@@ -158,9 +223,11 @@ router.post('/tips', authenticateJWT, async (req, res) => {
     // const user_id = req.user.id;
     try {
         const { type } = req.body;
+        // Any spelling of a place type finds its catalogue tips
+        const placeType = resolvePlaceType(type);
         // const db = await pool.getConnection();
         const [rows] = await pool.query('SELECT * FROM tips WHERE type = ?', [
-            type,
+            placeType ? placeType.tipType : type,
         ]);
         // db.release();
         // select 3 random tips
@@ -186,10 +253,12 @@ router.post('/locations', authenticateJWT, async (req, res) => {
     // then get location from db
     // return location
     const user_id = req.user.id;
+    // Include locations shared by the user's household
+    const memberIds = await householdService.getMemberIds(user_id);
     // const db = await pool.getConnection();
     const [rows] = await pool.query(
-        'SELECT * FROM locations WHERE user_id = ?',
-        [user_id],
+        'SELECT * FROM locations WHERE user_id IN (?)',
+        [memberIds],
     );
     // db.release();
     const locations = rows.map(row => ({
@@ -199,24 +268,142 @@ router.post('/locations', authenticateJWT, async (req, res) => {
         longitudeDelta: 0.0121, // Assuming a default value
     }));
 
-    const colors = ['red', 'green', 'blue'];
-
-    const getRandomColor = () => {
-        const randomIndex = Math.floor(Math.random() * colors.length);
-        return colors[randomIndex];
-    };
-
-    const details = rows.map(row => ({
-        id: row.id,
-        title: row.name,
-        description: row.desc,
-        pinColor: getRandomColor(),
-    }));
+    const details = rows.map(toLocationDetails);
     // Send the transformed data as a JSON response
     return res.status(200).json({ locations, details });
     // return res.json(rows);
 });
 
+// The place types a location can have, with their icon, colour and the tip
+// type whose catalogue tips they get
+router.get('/place-types', authenticateJWT, (req, res) => {
+    res.status(200).json({
+        placeTypes: PLACE_TYPES.map(type => placeTypeFor(type.key)),
+    });
+});
+
+// Rename, move, re-type or re-fence a saved location. Any of name,
+// description, type, latitude/longitude, radius and boundary may be sent;
+// the rest are kept and a null boundary removes it. Household owners can
+// edit any shared location, caregivers only their own.
+router.put('/locations/:id', authenticateJWT, async (req, res) => {
+    try {
+        const user_id = req.user.id;
+        const id = parseInt(req.params.id, 10);
+        if (!id) {
+            return res.status(400).json({ error: 'Valid location ID is required' });
+        }
+
+        const editableIds = (await householdService.isOwner(user_id))
+            ? await householdService.getMemberIds(user_id)
+            : [user_id];
+        const [rows] = await pool.query(
+            'SELECT * FROM locations WHERE id = ? AND user_id IN (?)',
+            [id, editableIds],
+        );
+        if (rows.length === 0) {
+            return res.status(404).json({
+                error: 'Location not found or you do not have permission to edit it',
+            });
+        }
+        const current = rows[0];
+
+        const { name, description, type, latitude, longitude } = req.body;
+        const values = {};
+
+        if (name !== undefined) {
+            if (typeof name !== 'string' || !name.trim() || name.trim().length > 255) {
+                return res
+                    .status(400)
+                    .json({ error: 'name must be between 1 and 255 characters' });
+            }
+            values.name = name.trim();
+        }
+        if (description !== undefined) {
+            if (description !== null && typeof description !== 'string') {
+                return res.status(400).json({ error: 'description must be a string' });
+            }
+            values.desc = description;
+        }
+        if (type !== undefined) {
+            const placeType = resolvePlaceType(type);
+            if (!placeType) {
+                return res.status(400).json({ error: placeTypeError() });
+            }
+            values.type = placeType.label;
+            values.legacy_type = null;
+        }
+
+        let pin = {
+            latitude: parseFloat(current.lat),
+            longitude: parseFloat(current.long),
+        };
+        let moved = false;
+        if (latitude !== undefined || longitude !== undefined) {
+            const moveTo = {
+                latitude: latitude === undefined ? pin.latitude : toCoordinate(latitude),
+                longitude: longitude === undefined ? pin.longitude : toCoordinate(longitude),
+            };
+            if (!isValidPin(moveTo)) {
+                return res
+                    .status(400)
+                    .json({ error: 'latitude and longitude must be valid coordinates' });
+            }
+            moved =
+                moveTo.latitude !== pin.latitude || moveTo.longitude !== pin.longitude;
+            pin = moveTo;
+            values.lat = pin.latitude;
+            values.long = pin.longitude;
+        }
+
+        // A boundary kept through a move must still be within reach of the
+        // new pin
+        const keptBoundary = moved ? toBoundary(current.boundary) : null;
+        const fence = parseGeofence(
+            {
+                radius: req.body.radius,
+                boundary:
+                    req.body.boundary !== undefined
+                        ? req.body.boundary
+                        : keptBoundary || undefined,
+            },
+            pin,
+        );
+        if (fence.error) {
+            return res.status(400).json({ error: fence.error });
+        }
+        if (fence.radiusMeters !== undefined) {
+            values.radius_m = fence.radiusMeters;
+        }
+        if (fence.boundary !== undefined) {
+            values.boundary = fence.boundary ? JSON.stringify(fence.boundary) : null;
+        }
+
+        const columns = Object.keys(values);
+        if (columns.length === 0) {
+            return res.status(400).json({ error: 'Nothing to update' });
+        }
+        await pool.query(
+            `UPDATE locations SET ${columns.map(column => `\`${column}\` = ?`).join(', ')}
+             WHERE id = ?`,
+            [...columns.map(column => values[column]), id],
+        );
+
+        const [[location]] = await pool.query('SELECT * FROM locations WHERE id = ?', [id]);
+        return res.status(200).json({
+            message: 'Location updated successfully',
+            location: {
+                latitude: parseFloat(location.lat),
+                longitude: parseFloat(location.long),
+                ...toLocationDetails(location),
+            },
+        });
+    } catch (error) {
+        console.error('Error updating location:', error);
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
 const sendNotification = async (deviceToken, title, body, data, isIOS) => {
     try {
         console.log('Preparing to send notification:', {
@@ -284,9 +471,161 @@ const sendNotification = async (deviceToken, title, body, data, isIOS) => {
     }
 };
 
+// Send tips for a visit that has lasted the dwell time, unless the user was
+// notified at this location in the last 6 hours. Returns the response body
+// for the location check (`status`: cooldown, no_token or success).
+const notifyArrival = async (user_id, memberIds, nearbyLocation, visit) => {
+    // Check for recent notifications
+    const [notifs] = await pool.query(
+        `SELECT COUNT(*) AS notification_count
+         FROM notifications
+         WHERE user_id = ? AND loc_id = ?
+         AND timestamp >= CURRENT_TIMESTAMP - INTERVAL 6 HOUR;`,
+        [user_id, nearbyLocation.id],
+    );
+    
+    if (notifs[0].notification_count > 0) {
+        return {
+            message: 'Notification cooldown active',
+            status: 'cooldown',
+        };
+    }
+
+    // Get user's device token
+    const [result] = await pool.query(
+        'SELECT android_token, ios_token FROM users WHERE id = ?',
+        [user_id],
+    );
+
+    const deviceToken = result[0].android_token || result[0].ios_token;
+    const isIOS = !!result[0].ios_token;
+    console.log('Device token:', deviceToken);
+    console.log('Is iOS:', isIOS);
+    if (!deviceToken) {
+        return {
+            message: 'No device token found',
+            status: 'no_token',
+        };
+    }
+
+    // Fetch user context for personalized tips
+    const [childRows] = await pool.query(
+        `SELECT nickname, date_of_birth, interests, home_languages, temperament_notes
+         FROM children WHERE user_id IN (?)`,
+        [memberIds],
+    );
+    // Aged-out children no longer shape the tips
+    const children = childRows
+        .map(child => withProfile(withAge(child)))
+        .filter(child => !child.aged_out);
+
+    const [userPrefs] = await pool.query(
+        'SELECT content_preferences FROM user_survey_responses WHERE user_id = ?',
+        [user_id],
+    );
+
+    let tips;
+    let tipsText;
+
+    try {
+        // Try AI-generated location-based tips
+        console.log('🤖 Attempting AI-generated location tips...');
+        const aiTips = await personalizationService.generateLocationBasedTips({
+            userId: user_id,
+            locationName: nearbyLocation.name,
+            locationType: nearbyLocation.type,
+            children: children,
+            milestones: await milestoneService
+                .upcomingForUser(user_id)
+                .catch(error => {
+                    console.warn('Could not load upcoming milestones:', error.message);
+                    return [];
+                }),
+            preferences: userPrefs[0]?.content_preferences ? JSON.parse(userPrefs[0].content_preferences) : [],
+        });
+
+        tipsText = aiTips
+            .map(tip => `${tip.title}\n${tip.body}`)
+            .join('\n\n');
+
+        console.log('✅ Using AI-generated tips');
+    } catch (aiError) {
+        // Fallback to generic database tips
+        console.warn('⚠️  AI generation failed, using generic tips:', aiError.message);
+        const [dbTips] = await pool.query(
+            'SELECT title, description FROM tips WHERE type = ? ORDER BY RAND() LIMIT 3',
+            [placeTypeFor(nearbyLocation.type).tipType],
+        );
+
+        tips = dbTips;
+        tipsText = dbTips
+            .map(tip => `${tip.title}\n${tip.description}`)
+            .join('\n\n');
+
+        console.log('✅ Using generic database tips');
+    }
+
+    // Send notification with unique identifier
+    const notificationId = `${user_id}-${nearbyLocation.id}-${Date.now()}`;
+    await sendNotification(
+        deviceToken,
+        `You have arrived at ${nearbyLocation.name}`,
+        `${nearbyLocation.type} Tips:\n\n${tipsText}`,
+        {
+            notificationId,
+            locationType: nearbyLocation.type,
+            locationId: nearbyLocation.id.toString(),
+            locationName: nearbyLocation.name,
+        },
+        isIOS,
+    );
+
+    // Record notification
+    await pool.query(
+        `INSERT INTO notifications (user_id, loc_id, device_id)
+         VALUES (?, ?, ?);`,
+        [user_id, nearbyLocation.id, deviceToken],
+    );
+    await visitService.markNotified(visit.id);
+
+    return {
+        message: 'Notification sent successfully',
+        status: 'success',
+        location: nearbyLocation.name,
+        type: nearbyLocation.type,
+        notificationId,
+    };
+};
+
 const notificationCache = new Map();
 
-router.post('/', authenticateJWT, async (req, res) => {
+// The user's visits to saved locations, newest first. Filters: locationId,
+// from/to (dates), limit/offset
+router.get('/visits', authenticateJWT, async (req, res) => {
+    try {
+        const { locationId, from, to } = req.query;
+
+        for (const [name, value] of [['from', from], ['to', to]]) {
+            if (value && isNaN(Date.parse(value))) {
+                return res.status(400).json({ error: `${name} must be a valid date` });
+            }
+        }
+
+        const result = await visitService.history(req.user.id, {
+            locationId: parseInt(locationId, 10) || null,
+            from: from ? new Date(from) : null,
+            to: to ? new Date(to) : null,
+            limit: parseInt(req.query.limit, 10) || 20,
+            offset: parseInt(req.query.offset, 10) || 0,
+        });
+        return res.status(200).json(result);
+    } catch (error) {
+        console.error('Error fetching visits:', error);
+        return res.status(500).json({ error: 'Failed to fetch visits' });
+    }
+});
+
+router.post('/', authenticateJWT, requireVerifiedEmail, async (req, res) => {
     const requestId = `${req.user.id}-${Date.now()}`;
 
     try {
@@ -313,166 +652,185 @@ router.post('/', authenticateJWT, async (req, res) => {
 
         notificationCache.set(user_id, Date.now());
 
-        // Get user's locations
-        const [rows] = await pool.query(
-            'SELECT * FROM locations WHERE user_id = ?;',
-            [user_id],
-        );
+        // Find the location whose fence we're in, among the user's and the
+        // household's shared locations; the smallest fence wins where they
+        // overlap
+        const memberIds = await householdService.getMemberIds(user_id);
+        const match = await locationService.findGeofenceMatch(memberIds, {
+            latitude: parseFloat(latitude),
+            longitude: parseFloat(longitude),
+        });
+        const nearbyLocation = match ? match.location : null;
 
-        const locations = rows.map(row => ({
-            id: row.id,
-            latitude: parseFloat(row.lat),
-            longitude: parseFloat(row.long),
-            name: row.name,
-            type: row.type,
-        }));
-
-        // Find nearby location
-        let nearbyLocation = null;
-        for (const location of locations) {
-            const distance = getDistanceFromLatLonInKm(
-                latitude,
-                longitude,
-                location.latitude,
-                location.longitude,
-            );
-            if (distance < 0.1) {
-                nearbyLocation = location;
-                break;
-            }
-        }
+        // Feed the ping to the visit tracker: it records entering, staying
+        // at and leaving a location
+        const { visit, dwellSeconds } = await visitService.recordPing(
+            user_id,
+            nearbyLocation ? nearbyLocation.id : null,
+        );
 
-        if (!nearbyLocation) {
+        if (!nearbyLocation || !visit) {
             return res.status(200).json({
                 message: 'Not in range of any point',
                 status: 'out_of_range',
             });
         }
 
-        // Check for recent notifications
-        const [notifs] = await pool.query(
-            `SELECT COUNT(*) AS notification_count
-             FROM notifications
-             WHERE user_id = ? AND loc_id = ?
-             AND timestamp >= CURRENT_TIMESTAMP - INTERVAL 6 HOUR;`,
-            [user_id, nearbyLocation.id],
-        );
-        
-        if (notifs[0].notification_count > 0) {
+        // One notification per visit, and only once the user has stayed
+        if (visit.notified_at) {
             return res.status(200).json({
                 message: 'Notification cooldown active',
                 status: 'cooldown',
             });
         }
 
-        // Get user's device token
-        const [result] = await pool.query(
-            'SELECT android_token, ios_token FROM users WHERE id = ?',
-            [user_id],
-        );
-
-        const deviceToken = result[0].android_token || result[0].ios_token;
-        const isIOS = !!result[0].ios_token;
-        console.log('Device token:', deviceToken);
-        console.log('Is iOS:', isIOS);
-        if (!deviceToken) {
-            return res.status(400).json({
-                message: 'No device token found',
-                status: 'no_token',
+        const { dwellSeconds: requiredSeconds } = visitTiming();
+        if (dwellSeconds < requiredSeconds) {
+            return res.status(200).json({
+                message: 'Waiting for dwell time',
+                status: 'dwelling',
+                location: nearbyLocation.name,
+                dwellSeconds,
+                requiredSeconds,
             });
         }
 
-        // Fetch user context for personalized tips
-        const [children] = await pool.query(
-            'SELECT nickname, age FROM children WHERE user_id = ?',
-            [user_id],
+        const notification = await notifyArrival(
+            user_id,
+            memberIds,
+            nearbyLocation,
+            visit,
         );
+        return res
+            .status(notification.status === 'no_token' ? 400 : 200)
+            .json(notification);
+    } catch (error) {
+        console.error('Error in location check:', error);
+        return res.status(500).json({
+            error: 'Internal Server Error',
+            details: error.message,
+        });
+    } finally {
+        // Clean up old cache entries
+        const now = Date.now();
+        for (const [key, timestamp] of notificationCache.entries()) {
+            if (now - timestamp > 60000) {
+                // Remove entries older than 1 minute
+                notificationCache.delete(key);
+            }
+        }
+    }
+});
 
-        const [userPrefs] = await pool.query(
-            'SELECT content_preferences FROM user_survey_responses WHERE user_id = ?',
-            [user_id],
-        );
+const sameLocation = (a, b) =>
+    (a ? a.location.id : null) === (b ? b.location.id : null);
 
-        let tips;
-        let tipsText;
+// A burst of background fixes: { points: [{ latitude, longitude, timestamp,
+// accuracy? }] }. Fixes are ordered, de-duplicated and filtered (see
+// utils/locationBatch.js), then fed to the visit tracker oldest first.
+// Responds with the fences entered and left during the batch; if the user is
+// still at a location at the end of it and has stayed the dwell time, tips
+// are sent just as POST / would.
+router.post('/batch', authenticateJWT, requireVerifiedEmail, async (req, res) => {
+    try {
+        const user_id = req.user.id;
+        const { points, discarded, error } = parseLocationBatch(req.body.points);
+        if (error) {
+            return res.status(400).json({ error });
+        }
 
-        try {
-            // Try AI-generated location-based tips
-            console.log('🤖 Attempting AI-generated location tips...');
-            const aiTips = await personalizationService.generateLocationBasedTips({
-                userId: user_id,
-                locationName: nearbyLocation.name,
-                locationType: nearbyLocation.type,
-                children: children,
-                preferences: userPrefs[0]?.content_preferences ? JSON.parse(userPrefs[0].content_preferences) : [],
-            });
+        const memberIds = await householdService.getMemberIds(user_id);
+        const matches = await locationService.findGeofenceMatches(memberIds, points);
+
+        const entered = [];
+        const exited = [];
+        let last = null;
+        for (let i = 0; i < points.length; i++) {
+            // Inside a run of fixes at the same place only the first and
+            // last change anything
+            if (
+                i > 0 &&
+                i < points.length - 1 &&
+                sameLocation(matches[i - 1], matches[i]) &&
+                sameLocation(matches[i], matches[i + 1])
+            ) {
+                continue;
+            }
 
-            tipsText = aiTips
-                .map(tip => `${tip.title}\n${tip.body}`)
-                .join('\n\n');
-
-            console.log('✅ Using AI-generated tips');
-        } catch (aiError) {
-            // Fallback to generic database tips
-            console.warn('⚠️  AI generation failed, using generic tips:', aiError.message);
-            const [dbTips] = await pool.query(
-                'SELECT title, description FROM tips WHERE type = ? ORDER BY RAND() LIMIT 3',
-                [nearbyLocation.type],
+            const location = matches[i] ? matches[i].location : null;
+            const { at } = points[i];
+            const result = await visitService.recordPing(
+                user_id,
+                location ? location.id : null,
+                at,
             );
-
-            tips = dbTips;
-            tipsText = dbTips
-                .map(tip => `${tip.title}\n${tip.description}`)
-                .join('\n\n');
-
-            console.log('✅ Using generic database tips');
+            if (result.exited) {
+                exited.push({
+                    visitId: result.exited.id,
+                    locationId: result.exited.location_id,
+                    enteredAt: result.exited.entered_at,
+                    exitedAt: at,
+                    durationSeconds: Math.round(
+                        (at - new Date(result.exited.entered_at)) / 1000,
+                    ),
+                });
+            }
+            if (result.entered) {
+                entered.push({
+                    visitId: result.visit.id,
+                    locationId: location.id,
+                    name: location.name,
+                    type: location.type,
+                    enteredAt: at,
+                });
+            }
+            last = { ...result, location, at };
         }
 
-        // Send notification with unique identifier
-        const notificationId = `${user_id}-${nearbyLocation.id}-${Date.now()}`;
-        await sendNotification(
-            deviceToken,
-            `You have arrived at ${nearbyLocation.name}`,
-            `${nearbyLocation.type} Tips:\n\n${tipsText}`,
-            {
-                notificationId,
-                locationType: nearbyLocation.type,
-                locationId: nearbyLocation.id.toString(),
-                locationName: nearbyLocation.name,
-            },
-            isIOS,
-        );
+        const current =
+            last && last.location && last.visit
+                ? {
+                      visitId: last.visit.id,
+                      locationId: last.location.id,
+                      name: last.location.name,
+                      type: last.location.type,
+                      dwellSeconds: last.dwellSeconds,
+                  }
+                : null;
 
-        // Record notification
-        await pool.query(
-            `INSERT INTO notifications (user_id, loc_id, device_id)
-             VALUES (?, ?, ?);`,
-            [user_id, nearbyLocation.id, deviceToken],
-        );
+        // Only notify for a visit that's still going: the batch must end
+        // with a recent fix at the location
+        let notification = null;
+        const { dwellSeconds, timeoutMinutes } = visitTiming();
+        if (
+            current &&
+            !last.visit.notified_at &&
+            last.dwellSeconds >= dwellSeconds &&
+            Date.now() - last.at <= timeoutMinutes * 60 * 1000
+        ) {
+            notification = await notifyArrival(
+                user_id,
+                memberIds,
+                last.location,
+                last.visit,
+            );
+        }
 
         return res.status(200).json({
-            message: 'Notification sent successfully',
-            status: 'success',
-            location: nearbyLocation.name,
-            type: nearbyLocation.type,
-            notificationId,
+            accepted: points.length,
+            discarded,
+            entered,
+            exited,
+            current,
+            notification,
         });
     } catch (error) {
-        console.error('Error in location check:', error);
+        console.error('Error in location batch:', error);
         return res.status(500).json({
             error: 'Internal Server Error',
             details: error.message,
         });
-    } finally {
-        // Clean up old cache entries
-        const now = Date.now();
-        for (const [key, timestamp] of notificationCache.entries()) {
-            if (now - timestamp > 60000) {
-                // Remove entries older than 1 minute
-                notificationCache.delete(key);
-            }
-        }
     }
 });
 
-export default router;
\ No newline at end of file
+export default router;
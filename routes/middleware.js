@@ -1,7 +1,7 @@
-import jwt from 'jsonwebtoken';
+import sessionService from '../services/sessionService.js';
 
 // Authenticate JWT middleware
-const authenticateJWT = (req, res, next) => {
+const authenticateJWT = async (req, res, next) => {
     const authHeader = req.headers.authorization;
     if (!authHeader) {
         return res.status(401).json({ message: 'Authorization header missing' });
@@ -14,11 +14,10 @@ const authenticateJWT = (req, res, next) => {
 
     console.log('AuthHeader:', authHeader);
 
+    let decoded;
     try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your_jwt_secret');
-        req.user = decoded;
-        next();
-        console.log('Decoded User:', decoded);
+        // Also rejects tokens revoked by a password change, account deletion or role change
+        decoded = await sessionService.verifyAccessToken(token);
     } catch (error) {
         if (error.name === 'TokenExpiredError') {
             return res.status(401).json({ 
@@ -26,24 +25,79 @@ const authenticateJWT = (req, res, next) => {
                 code: 'TOKEN_EXPIRED'
             });
         }
+        if (error.code === 'TOKEN_REVOKED') {
+            return res.status(401).json({
+                message: 'Token revoked',
+                code: 'TOKEN_REVOKED'
+            });
+        }
+        if (error.name !== 'JsonWebTokenError' && error.name !== 'NotBeforeError') {
+            console.error('Token verification error:', error);
+            return res.status(500).json({ message: 'Internal server error' });
+        }
         return res.status(401).json({ message: 'Invalid token' });
     }
+
+    req.user = decoded;
+    console.log('Decoded User:', decoded);
+    next();
 };
 
-// Authorize admin middleware
-const authorizeAdmin = (req, res, next) => {
+// Attach req.user when a valid token is sent, but let anonymous requests through
+const identifyUser = async (req, res, next) => {
+    const [bearer, token] = (req.headers.authorization || '').split(' ');
+    if (bearer === 'Bearer' && token) {
+        try {
+            req.user = await sessionService.verifyAccessToken(token);
+        } catch (error) {
+            // Treat a bad token the same as no token
+        }
+    }
+    next();
+};
+
+// Require every listed permission (use after authenticateJWT).
+// Permissions come from the user's roles, see services/roleService.js
+const requirePermission = (...permissions) => (req, res, next) => {
     // Check if user is authenticated
     if (!req.user) {
         return res.status(401).json({ message: 'User not authenticated' });
     }
 
-    // Check if user has admin role
-    if (!req.user.isAdmin) {
-        return res.status(403).json({ message: 'Access forbidden: Admin privileges required' });
+    // Privileged roles may be required to enable 2FA first (REQUIRE_2FA_ROLES)
+    if (req.user.twoFactorSetupRequired) {
+        return res.status(403).json({
+            message: 'Enable two-factor authentication to use this feature',
+            code: 'TWO_FACTOR_REQUIRED'
+        });
+    }
+
+    const granted = req.user.permissions || [];
+    const missing = permissions.filter(permission => !granted.includes(permission));
+    if (missing.length > 0) {
+        return res.status(403).json({
+            message: `Access forbidden: requires ${missing.join(', ')}`,
+            code: 'FORBIDDEN'
+        });
+    }
+
+    next();
+};
+
+// Require a verified email address (use after authenticateJWT)
+const requireVerifiedEmail = (req, res, next) => {
+    if (!req.user) {
+        return res.status(401).json({ message: 'User not authenticated' });
+    }
+
+    if (!req.user.emailVerified) {
+        return res.status(403).json({
+            message: 'Email address has not been verified',
+            code: 'EMAIL_NOT_VERIFIED'
+        });
     }
 
-    // User is admin, proceed
     next();
 };
 
-export { authenticateJWT, authorizeAdmin };
\ No newline at end of file
+export { authenticateJWT, identifyUser, requirePermission, requireVerifiedEmail };
\ No newline at end of file
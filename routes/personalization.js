@@ -1,6 +1,7 @@
 import express from 'express';
 import { authenticateJWT } from './middleware.js';
 import personalizationService from '../services/personalizationService.js';
+import householdService from '../services/householdService.js';
 import {
     isStrictlyInScope,
     REJECTION_MESSAGE,
@@ -83,11 +84,21 @@ export function categoryReply(category, originalQuery) {
     };
 }
 
+// HTTP status for a personalizationService.childTarget() failure, or null
+// when the error is something else
+export function childTargetStatus(error) {
+    if (error.code === 'INVALID_CHILD' || error.code === 'CHILD_AGED_OUT') {
+        return 400;
+    }
+    if (error.code === 'NOT_FOUND') return 404;
+    return null;
+}
+
 // Track user interaction with a tip (like/dislike/save/unsave)
 router.post('/interactions', authenticateJWT, async (req, res) => {
     try {
         const userId = req.user.id;
-        const { tipId, interactionType, tipPayload } = req.body;
+        const { tipId, interactionType, tipPayload, childId } = req.body;
         const validTypes = ['like', 'dislike', 'save', 'unsave'];
         if (!validTypes.includes(interactionType)) {
             return res.status(400).json({
@@ -97,6 +108,16 @@ router.post('/interactions', authenticateJWT, async (req, res) => {
         if (!tipId) {
             return res.status(400).json({ error: 'Tip ID is required' });
         }
+        let target;
+        try {
+            target = await personalizationService.childTarget(userId, childId, {
+                allowAgedOut: true,
+            });
+        } catch (error) {
+            const status = childTargetStatus(error);
+            if (!status) throw error;
+            return res.status(status).json({ error: error.message });
+        }
         let finalTipId = tipId;
         if (String(tipId).startsWith('generated_')) {
             finalTipId = await personalizationService.upsertGeneratedTip(
@@ -108,12 +129,14 @@ router.post('/interactions', authenticateJWT, async (req, res) => {
             userId,
             finalTipId,
             interactionType,
+            target ? target.child.id : null,
         );
         res.status(200).json({
             message: 'Interaction tracked successfully',
             userId,
             tipId: finalTipId,
             interactionType,
+            childId: target ? target.child.id : null,
         });
     } catch (error) {
         console.error('Error tracking interaction:', error);
@@ -127,6 +150,39 @@ router.post('/interactions', authenticateJWT, async (req, res) => {
     }
 });
 
+// Saved tips for the user's household, one entry per tip. Each member's
+// save is their own: unsaving only removes the caller's, so a tip stays
+// listed while anyone else still has it saved (`saved_by_me` tells them apart).
+router.get('/saved-tips', authenticateJWT, async (req, res) => {
+    try {
+        const memberIds = await householdService.getMemberIds(req.user.id);
+        const [rows] = await pool.query(
+            `SELECT t.id, t.type, t.title, t.description,
+                    MAX(uti.created_at) AS saved_at,
+                    GROUP_CONCAT(DISTINCT u.name ORDER BY u.name SEPARATOR ', ') AS saved_by,
+                    MAX(uti.user_id = ?) AS saved_by_me
+             FROM user_tip_interactions uti
+             JOIN tips t ON t.id = uti.tip_id
+             JOIN users u ON u.id = uti.user_id
+             WHERE uti.user_id IN (?) AND uti.interaction_type = 'save'
+             GROUP BY t.id, t.type, t.title, t.description
+             ORDER BY saved_at DESC`,
+            [req.user.id, memberIds],
+        );
+        const tips = rows.map(tip => ({ ...tip, saved_by_me: !!tip.saved_by_me }));
+        res.status(200).json({ tips });
+    } catch (error) {
+        console.error('Error getting saved tips:', error);
+        res.status(500).json({
+            error: 'Failed to get saved tips',
+            details:
+                process.env.NODE_ENV === 'development'
+                    ? error.message
+                    : undefined,
+        });
+    }
+});
+
 // Personalized recommendations feed
 router.get('/recommendations', authenticateJWT, async (req, res) => {
     try {
@@ -161,11 +217,22 @@ router.post('/enhanced-tips', authenticateJWT, async (req, res) => {
             prompt,
             contentPreferences = [],
             generateMode = 'hybrid',
+            childId,
         } = req.body;
         if (!prompt) {
             return res.status(400).json({ error: 'Prompt is required' });
         }
 
+        let target;
+        try {
+            target = await personalizationService.childTarget(userId, childId);
+        } catch (error) {
+            const status = childTargetStatus(error);
+            if (!status) throw error;
+            return res.status(status).json({ error: error.message });
+        }
+        const targetChildId = target ? target.child.id : null;
+
         // Soft override handling
         let effectivePrompt = prompt;
         const v = validateParentingQuery(prompt);
@@ -194,12 +261,15 @@ router.post('/enhanced-tips', authenticateJWT, async (req, res) => {
                     effectivePrompt,
                     5,
                     contentPreferences,
+                    undefined,
+                    target,
                 );
             return res.status(200).json({
                 tips: result.tips,
                 isPersonalized: result.isPersonalized,
                 isGenerated: result.isGenerated,
                 originalQuery: prompt,
+                childId: targetChildId,
                 source: 'ai_generated',
                 message: result.isPersonalized
                     ? `Generated ${result.tips.length} personalized parenting tips about "${prompt}" just for you!`
@@ -213,6 +283,7 @@ router.post('/enhanced-tips', authenticateJWT, async (req, res) => {
                 effectivePrompt,
                 3,
                 contentPreferences,
+                target,
             );
             if (result.tips && result.tips.length > 0) {
                 return res.status(200).json({
@@ -220,6 +291,7 @@ router.post('/enhanced-tips', authenticateJWT, async (req, res) => {
                     isPersonalized: result.isPersonalized,
                     isGenerated: false,
                     originalQuery: prompt,
+                    childId: targetChildId,
                     source: 'database_search',
                     message: `Found ${result.tips.length} relevant parenting tips about "${prompt}" in our database`,
                 });
@@ -234,6 +306,7 @@ router.post('/enhanced-tips', authenticateJWT, async (req, res) => {
                 effectivePrompt,
                 3,
                 contentPreferences,
+                target,
             );
             if (result.tips && result.tips.length > 0) {
                 return res.status(200).json({
@@ -241,6 +314,7 @@ router.post('/enhanced-tips', authenticateJWT, async (req, res) => {
                     isPersonalized: result.isPersonalized,
                     isGenerated: false,
                     originalQuery: prompt,
+                    childId: targetChildId,
                     source: 'database_found',
                     message: result.isPersonalized
                         ? `Found ${result.tips.length} relevant parenting tips about "${prompt}" tailored to your preferences`
@@ -258,6 +332,8 @@ router.post('/enhanced-tips', authenticateJWT, async (req, res) => {
                     effectivePrompt,
                     3,
                     contentPreferences,
+                    undefined,
+                    target,
                 );
             if (result.tips && result.tips.length > 0) {
                 return res.status(200).json({
@@ -265,6 +341,7 @@ router.post('/enhanced-tips', authenticateJWT, async (req, res) => {
                     isPersonalized: result.isPersonalized,
                     isGenerated: result.isGenerated,
                     originalQuery: prompt,
+                    childId: targetChildId,
                     source: 'ai_generated_fallback',
                     message: result.isPersonalized
                         ? `Generated ${result.tips.length} personalized parenting tips about "${prompt}" just for you!`
@@ -283,6 +360,7 @@ router.post('/enhanced-tips', authenticateJWT, async (req, res) => {
             isPersonalized: false,
             isGenerated: false,
             originalQuery: prompt,
+            childId: targetChildId,
             source: 'no_results',
             message: `Sorry, I couldn't find or generate parenting tips about "${prompt}". Try asking about more general parenting topics like bedtime routines, activities for your child's age, or developmental milestones.`,
         });
@@ -302,11 +380,20 @@ router.post('/enhanced-tips', authenticateJWT, async (req, res) => {
 router.post('/generate-tips', authenticateJWT, async (req, res) => {
     try {
         const userId = req.user.id;
-        const { prompt, count = 5, contentPreferences = [] } = req.body;
+        const { prompt, count = 5, contentPreferences = [], childId } = req.body;
         if (!prompt) {
             return res.status(400).json({ error: 'Prompt is required' });
         }
 
+        let target;
+        try {
+            target = await personalizationService.childTarget(userId, childId);
+        } catch (error) {
+            const status = childTargetStatus(error);
+            if (!status) throw error;
+            return res.status(status).json({ error: error.message });
+        }
+
         // Soft override handling
         let effectivePrompt = prompt;
         const v = validateParentingQuery(prompt);
@@ -332,12 +419,15 @@ router.post('/generate-tips', authenticateJWT, async (req, res) => {
                 effectivePrompt,
                 count,
                 contentPreferences,
+                undefined,
+                target,
             );
         res.status(200).json({
             tips: result.tips,
             isPersonalized: result.isPersonalized,
             isGenerated: true,
             originalQuery: prompt,
+            childId: target ? target.child.id : null,
             source: 'ai_generated',
             message: result.isPersonalized
                 ? `Generated ${result.tips.length} personalized parenting tips about "${prompt}" based on your preferences!`
@@ -397,10 +487,16 @@ router.post('/ai-interactions/batch', authenticateJWT, async (req, res) => {
             });
 
             try {
+                const target = await personalizationService.childTarget(
+                    userId,
+                    item?.childId,
+                    { allowAgedOut: true },
+                );
                 await personalizationService.trackUserInteraction(
                     userId,
                     tipId,
                     interactionType,
+                    target ? target.child.id : null,
                 );
                 persisted++;
             } catch (e) {
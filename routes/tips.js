@@ -1,6 +1,8 @@
 import express from 'express';
 import { OpenAI } from 'openai';
 import pool from '../config/db.js';
+import { authenticateJWT, requirePermission } from './middleware.js';
+import personalizationService from '../services/personalizationService.js';
 
 const router = express.Router();
 const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
@@ -77,4 +79,74 @@ router.post('/get-tips', async (req, res) => {
     }
 });
 
+// Re-embed an edited or new tip so personalization ranks its current text
+const refreshTipEmbedding = async (tipId, title, description) => {
+    try {
+        const embedding = await personalizationService.generateTipEmbedding({
+            title,
+            body: description,
+            details: '',
+        });
+        await personalizationService.storeTipEmbedding(tipId, embedding);
+    } catch (error) {
+        console.warn(`Failed to embed tip ${tipId}:`, error.message);
+    }
+};
+
+const validateTip = ({ type, title, description }) => {
+    if (!type || !title || !description) {
+        return 'type, title and description are required';
+    }
+    if (String(type).length > 50) return 'type must be at most 50 characters';
+    if (String(title).length > 100) return 'title must be at most 100 characters';
+    return null;
+};
+
+// Add a tip to the catalogue (tips:write)
+router.post('/', authenticateJWT, requirePermission('tips:write'), async (req, res) => {
+    try {
+        const invalid = validateTip(req.body);
+        if (invalid) {
+            return res.status(400).json({ message: invalid });
+        }
+
+        const { type, title, description } = req.body;
+        const [result] = await pool.query(
+            'INSERT INTO tips (type, title, description) VALUES (?, ?, ?)',
+            [type, title, description],
+        );
+        await refreshTipEmbedding(result.insertId, title, description);
+
+        return res.status(201).json({ id: result.insertId, type, title, description });
+    } catch (error) {
+        console.error('Error creating tip', error);
+        return res.status(500).json({ message: 'Failed to create tip' });
+    }
+});
+
+// Edit a catalogue tip (tips:write)
+router.put('/:id', authenticateJWT, requirePermission('tips:write'), async (req, res) => {
+    try {
+        const invalid = validateTip(req.body);
+        if (invalid) {
+            return res.status(400).json({ message: invalid });
+        }
+
+        const { type, title, description } = req.body;
+        const [result] = await pool.query(
+            'UPDATE tips SET type = ?, title = ?, description = ? WHERE id = ?',
+            [type, title, description, req.params.id],
+        );
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ message: 'Tip not found' });
+        }
+        await refreshTipEmbedding(Number(req.params.id), title, description);
+
+        return res.status(200).json({ id: Number(req.params.id), type, title, description });
+    } catch (error) {
+        console.error('Error updating tip', error);
+        return res.status(500).json({ message: 'Failed to update tip' });
+    }
+});
+
 export default router;
\ No newline at end of file
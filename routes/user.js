@@ -1,12 +1,14 @@
 import express from 'express';
 import pool from '../config/db.js';
+import { authenticateJWT, requirePermission } from './middleware.js';
 
 const router = express.Router();
 
-router.get('/users', async (req, res) => {
+router.get('/users', authenticateJWT, requirePermission('users:read'), async (req, res) => {
     try {
-        const [result] = await pool.query('SELECT * FROM users;');
-        console.log(result);
+        const [result] = await pool.query(
+            'SELECT id, name, email, created_at, number_of_children, caregiver_type FROM users;',
+        );
         return res.json({ message: 'Success', data: result });
     } catch (err) {
         console.log(err);
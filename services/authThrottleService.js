@@ -0,0 +1,309 @@
+import crypto from 'crypto';
+import pool from '../config/db.js';
+
+// Per-action limits. Failures are counted per email inside `windowMinutes`,
+// starting over after a success (or an unlock).
+const RULES = {
+    login: {
+        windowMinutes: 15,
+        freeFailures: 3, // failures allowed before delays kick in
+        maxDelaySeconds: 60, // delay doubles per failure up to this cap
+        lockAfter: 10, // failures that lock the account
+        lockMinutes: 30,
+        ipMaxFailures: 50, // failures from one IP across all emails
+    },
+    reset: {
+        windowMinutes: 60,
+        cooldownSeconds: 60, // between requests for the same email
+        ipMaxRequests: 10,
+    },
+    otp: {
+        windowMinutes: 60,
+        cooldownSeconds: 60,
+        ipMaxRequests: 20,
+    },
+    // Household invitations, keyed by the inviter's email: each one mails an
+    // outside address, so the sender is capped per day as well
+    invite: {
+        windowMinutes: 24 * 60,
+        cooldownSeconds: 10,
+        emailMaxRequests: 20,
+        ipMaxRequests: 50,
+    },
+};
+
+// Per-IP limits counted in process memory instead of auth_attempts, for
+// requests too frequent to log: strength meter checks arrive as the user
+// types. Each process counts on its own.
+const MEMORY_RULES = {
+    strength: {
+        windowMinutes: 10,
+        ipMaxRequests: 300,
+    },
+};
+// Expired counters are swept once this many IPs are tracked
+const MEMORY_SWEEP_SIZE = 10000;
+
+const UNLOCK_TOKEN_TTL_HOURS = 24;
+
+const sha256 = value => crypto.createHash('sha256').update(value).digest('hex');
+
+const normalizeEmail = email =>
+    String(email || '')
+        .trim()
+        .toLowerCase();
+
+class AuthThrottleService {
+    constructor() {
+        // "<action>:<ip>" -> { count, resetAt } for MEMORY_RULES
+        this.memoryCounters = new Map();
+    }
+
+    async recordAttempt({ action, email, ip, success, userId = null }) {
+        await pool.query(
+            'INSERT INTO auth_attempts (action, email, ip_address, user_id, success) VALUES (?, ?, ?, ?, ?)',
+            [action, normalizeEmail(email), ip || null, userId, !!success],
+        );
+    }
+
+    // Failed login attempts for an email since the last success/unlock
+    async countLoginFailures(email) {
+        const rule = RULES.login;
+        const [rows] = await pool.query(
+            `SELECT COUNT(*) AS failures, MAX(created_at) AS last_failure
+             FROM auth_attempts
+             WHERE action = 'login' AND email = ? AND success = 0
+               AND created_at > NOW() - INTERVAL ? MINUTE
+               AND created_at > COALESCE((
+                   SELECT MAX(created_at) FROM auth_attempts
+                   WHERE email = ? AND success = 1 AND action IN ('login', 'unlock')
+               ), '1970-01-01')`,
+            [normalizeEmail(email), rule.windowMinutes, normalizeEmail(email)],
+        );
+        return {
+            failures: Number(rows[0].failures),
+            lastFailure: rows[0].last_failure
+                ? new Date(rows[0].last_failure)
+                : null,
+        };
+    }
+
+    // Decide whether a login attempt may proceed. Returns
+    // { allowed, reason, retryAfter (seconds), lockedUntil }.
+    async checkLogin({ email, ip }) {
+        const rule = RULES.login;
+
+        const [users] = await pool.query(
+            'SELECT locked_until FROM users WHERE email = ? AND locked_until > NOW()',
+            [email],
+        );
+        if (users.length > 0) {
+            const lockedUntil = new Date(users[0].locked_until);
+            return {
+                allowed: false,
+                reason: 'locked',
+                lockedUntil,
+                retryAfter: Math.ceil((lockedUntil - Date.now()) / 1000),
+            };
+        }
+
+        if (ip) {
+            const [ipRows] = await pool.query(
+                `SELECT COUNT(*) AS failures FROM auth_attempts
+                 WHERE action = 'login' AND ip_address = ? AND success = 0
+                   AND created_at > NOW() - INTERVAL ? MINUTE`,
+                [ip, rule.windowMinutes],
+            );
+            if (Number(ipRows[0].failures) >= rule.ipMaxFailures) {
+                return {
+                    allowed: false,
+                    reason: 'ip_throttled',
+                    retryAfter: rule.windowMinutes * 60,
+                };
+            }
+        }
+
+        const { failures, lastFailure } = await this.countLoginFailures(email);
+        if (failures >= rule.freeFailures && lastFailure) {
+            const delay = Math.min(
+                2 ** (failures - rule.freeFailures),
+                rule.maxDelaySeconds,
+            );
+            const wait = Math.ceil(
+                (lastFailure.getTime() + delay * 1000 - Date.now()) / 1000,
+            );
+            if (wait > 0) {
+                return { allowed: false, reason: 'delayed', retryAfter: wait };
+            }
+        }
+
+        return { allowed: true };
+    }
+
+    // Record a failed login and lock the account once it crosses the threshold.
+    // Returns an unlock token when this failure caused a lock.
+    async recordLoginFailure({ email, ip, userId = null }) {
+        await this.recordAttempt({
+            action: 'login',
+            email,
+            ip,
+            userId,
+            success: false,
+        });
+        if (!userId) return null;
+
+        const { failures } = await this.countLoginFailures(email);
+        if (failures < RULES.login.lockAfter) return null;
+
+        return this.lockAccount(userId, RULES.login.lockMinutes);
+    }
+
+    // Lock the account and create a one-time unlock token for the email link
+    async lockAccount(userId, minutes) {
+        const token = crypto.randomBytes(32).toString('hex');
+        const expiresAt = new Date(
+            Date.now() + UNLOCK_TOKEN_TTL_HOURS * 3600000,
+        );
+
+        await pool.query(
+            'UPDATE users SET locked_until = NOW() + INTERVAL ? MINUTE WHERE id = ?',
+            [minutes, userId],
+        );
+        await pool.query(
+            'INSERT INTO account_unlock_tokens (user_id, token_hash, expires_at) VALUES (?, ?, ?)',
+            [userId, sha256(token), expiresAt],
+        );
+        return token;
+    }
+
+    async unlockAccount(userId, ip = null) {
+        const [users] = await pool.query(
+            'SELECT email FROM users WHERE id = ?',
+            [userId],
+        );
+        if (users.length === 0) return false;
+
+        await pool.query('UPDATE users SET locked_until = NULL WHERE id = ?', [
+            userId,
+        ]);
+        await pool.query(
+            'UPDATE account_unlock_tokens SET consumed_at = NOW() WHERE user_id = ? AND consumed_at IS NULL',
+            [userId],
+        );
+        // Start the failure count over
+        await this.recordAttempt({
+            action: 'unlock',
+            email: users[0].email,
+            ip,
+            userId,
+            success: true,
+        });
+        return true;
+    }
+
+    // Redeem an emailed unlock token. Returns the user id or null.
+    async unlockWithToken(token, ip = null) {
+        const [rows] = await pool.query(
+            `SELECT user_id FROM account_unlock_tokens
+             WHERE token_hash = ? AND consumed_at IS NULL AND expires_at > NOW()`,
+            [sha256(String(token || ''))],
+        );
+        if (rows.length === 0) return null;
+
+        await this.unlockAccount(rows[0].user_id, ip);
+        return rows[0].user_id;
+    }
+
+    // Emailed-code requests (password reset, login codes, invitations):
+    // per-email cooldown, an optional per-email cap and a per-IP cap.
+    // Returns { allowed, retryAfter }.
+    async checkRequest(action, { email, ip }) {
+        const rule = RULES[action];
+
+        const [rows] = await pool.query(
+            `SELECT MAX(created_at) AS last_request FROM auth_attempts
+             WHERE action = ? AND email = ?
+               AND created_at > NOW() - INTERVAL ? SECOND`,
+            [action, normalizeEmail(email), rule.cooldownSeconds],
+        );
+        if (rows[0].last_request) {
+            const elapsed =
+                Date.now() - new Date(rows[0].last_request).getTime();
+            return {
+                allowed: false,
+                retryAfter: Math.max(
+                    1,
+                    Math.ceil((rule.cooldownSeconds * 1000 - elapsed) / 1000),
+                ),
+            };
+        }
+
+        if (rule.emailMaxRequests) {
+            const [emailRows] = await pool.query(
+                `SELECT COUNT(*) AS requests FROM auth_attempts
+                 WHERE action = ? AND email = ?
+                   AND created_at > NOW() - INTERVAL ? MINUTE`,
+                [action, normalizeEmail(email), rule.windowMinutes],
+            );
+            if (Number(emailRows[0].requests) >= rule.emailMaxRequests) {
+                return { allowed: false, retryAfter: rule.windowMinutes * 60 };
+            }
+        }
+
+        if (ip) {
+            const [ipRows] = await pool.query(
+                `SELECT COUNT(*) AS requests FROM auth_attempts
+                 WHERE action = ? AND ip_address = ?
+                   AND created_at > NOW() - INTERVAL ? MINUTE`,
+                [action, ip, rule.windowMinutes],
+            );
+            if (Number(ipRows[0].requests) >= rule.ipMaxRequests) {
+                return { allowed: false, retryAfter: rule.windowMinutes * 60 };
+            }
+        }
+
+        return { allowed: true };
+    }
+
+    // Count a request against an in-memory per-IP limit (MEMORY_RULES).
+    // Returns { allowed, retryAfter }.
+    checkMemory(action, ip, now = Date.now()) {
+        const rule = MEMORY_RULES[action];
+        const key = `${action}:${ip || ''}`;
+
+        if (this.memoryCounters.size >= MEMORY_SWEEP_SIZE) {
+            for (const [counterKey, counter] of this.memoryCounters) {
+                if (counter.resetAt <= now) this.memoryCounters.delete(counterKey);
+            }
+        }
+
+        let counter = this.memoryCounters.get(key);
+        if (!counter || counter.resetAt <= now) {
+            counter = { count: 0, resetAt: now + rule.windowMinutes * 60 * 1000 };
+            this.memoryCounters.set(key, counter);
+        }
+        if (counter.count >= rule.ipMaxRequests) {
+            return {
+                allowed: false,
+                retryAfter: Math.ceil((counter.resetAt - now) / 1000),
+            };
+        }
+        counter.count++;
+        return { allowed: true };
+    }
+
+    async listLockedAccounts() {
+        const [rows] = await pool.query(
+            `SELECT u.id, u.name, u.email, u.locked_until,
+                    (SELECT COUNT(*) FROM auth_attempts a
+                     WHERE a.email = u.email AND a.action = 'login' AND a.success = 0
+                       AND a.created_at > NOW() - INTERVAL 1 DAY) AS failures_24h
+             FROM users u
+             WHERE u.locked_until > NOW()
+             ORDER BY u.locked_until DESC`,
+        );
+        return rows;
+    }
+}
+
+export default new AuthThrottleService();
@@ -0,0 +1,327 @@
+import crypto from 'crypto';
+import pool from '../config/db.js';
+
+const INVITATION_TTL_DAYS = 7;
+
+export const HOUSEHOLD_ROLES = ['owner', 'caregiver'];
+
+const sha256 = value => crypto.createHash('sha256').update(value).digest('hex');
+
+const householdError = (code, message) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+// Children and locations stay owned by the user who created them; a household
+// shares them by widening every lookup from one user_id to all member ids.
+// A user outside any household behaves as the owner of a household of one.
+class HouseholdService {
+    async getMembership(userId, db = pool) {
+        const [rows] = await db.query(
+            'SELECT household_id, role FROM household_members WHERE user_id = ?',
+            [userId],
+        );
+        return rows[0] || null;
+    }
+
+    // Every user id whose children/locations/saved tips this user can see
+    async getMemberIds(userId, db = pool) {
+        const [rows] = await db.query(
+            `SELECT m2.user_id
+             FROM household_members m1
+             JOIN household_members m2 ON m2.household_id = m1.household_id
+             WHERE m1.user_id = ?`,
+            [userId],
+        );
+        return rows.length ? rows.map(r => r.user_id) : [userId];
+    }
+
+    // Owners (and users without a household) can add/delete children,
+    // delete any shared location and manage the membership
+    async isOwner(userId, db = pool) {
+        const membership = await this.getMembership(userId, db);
+        return !membership || membership.role === 'owner';
+    }
+
+    async getHousehold(userId) {
+        const membership = await this.getMembership(userId);
+        if (!membership) return null;
+
+        const [households] = await pool.query(
+            'SELECT id, name, created_by, created_at FROM households WHERE id = ?',
+            [membership.household_id],
+        );
+        const [members] = await pool.query(
+            `SELECT u.id, u.name, u.email, u.caregiver_type, m.role, m.joined_at
+             FROM household_members m
+             JOIN users u ON u.id = m.user_id
+             WHERE m.household_id = ?
+             ORDER BY m.role = 'owner' DESC, m.joined_at ASC`,
+            [membership.household_id],
+        );
+
+        let invitations = [];
+        if (membership.role === 'owner') {
+            [invitations] = await pool.query(
+                `SELECT id, email, role, created_at, expires_at
+                 FROM household_invitations
+                 WHERE household_id = ? AND accepted_at IS NULL AND revoked_at IS NULL
+                   AND expires_at > NOW()
+                 ORDER BY created_at DESC`,
+                [membership.household_id],
+            );
+        }
+
+        return {
+            ...households[0],
+            role: membership.role,
+            members,
+            invitations,
+        };
+    }
+
+    // Create a household owned by the user if they are not in one yet
+    async ensureHousehold(userId, name = null) {
+        const membership = await this.getMembership(userId);
+        if (membership) return membership;
+
+        const [result] = await pool.query(
+            'INSERT INTO households (name, created_by) VALUES (?, ?)',
+            [name, userId],
+        );
+        await pool.query(
+            "INSERT INTO household_members (household_id, user_id, role) VALUES (?, ?, 'owner')",
+            [result.insertId, userId],
+        );
+        return { household_id: result.insertId, role: 'owner' };
+    }
+
+    // Returns { invitation, token }; the token goes in the invitation email
+    async createInvitation(ownerId, email, role = 'caregiver') {
+        const membership = await this.ensureHousehold(ownerId);
+        if (membership.role !== 'owner') {
+            throw householdError(
+                'FORBIDDEN',
+                'Only the household owner can invite caregivers',
+            );
+        }
+
+        const [members] = await pool.query(
+            `SELECT u.id FROM household_members m JOIN users u ON u.id = m.user_id
+             WHERE m.household_id = ? AND u.email = ?`,
+            [membership.household_id, email],
+        );
+        if (members.length > 0) {
+            throw householdError(
+                'ALREADY_MEMBER',
+                'This person is already in your household',
+            );
+        }
+
+        // Re-inviting replaces any pending invitation for the same address
+        await pool.query(
+            `UPDATE household_invitations SET revoked_at = NOW()
+             WHERE household_id = ? AND email = ? AND accepted_at IS NULL AND revoked_at IS NULL`,
+            [membership.household_id, email],
+        );
+
+        const token = crypto.randomBytes(32).toString('hex');
+        const expiresAt = new Date(
+            Date.now() + INVITATION_TTL_DAYS * 24 * 3600000,
+        );
+        const [result] = await pool.query(
+            `INSERT INTO household_invitations (household_id, email, role, token_hash, invited_by, expires_at)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [
+                membership.household_id,
+                email,
+                role,
+                sha256(token),
+                ownerId,
+                expiresAt,
+            ],
+        );
+
+        return {
+            invitation: {
+                id: result.insertId,
+                email,
+                role,
+                expires_at: expiresAt,
+            },
+            token,
+        };
+    }
+
+    // Pending invitations addressed to the user's email
+    async listInvitationsFor(email) {
+        const [rows] = await pool.query(
+            `SELECT i.id, i.role, i.created_at, i.expires_at,
+                    h.name AS household_name, u.name AS invited_by_name
+             FROM household_invitations i
+             JOIN households h ON h.id = i.household_id
+             JOIN users u ON u.id = i.invited_by
+             WHERE i.email = ? AND i.accepted_at IS NULL AND i.revoked_at IS NULL
+               AND i.expires_at > NOW()
+             ORDER BY i.created_at DESC`,
+            [email],
+        );
+        return rows;
+    }
+
+    // Join the inviting household. The invitation must be addressed to the
+    // accepting user's email. Returns the household id.
+    async acceptInvitation(userId, token) {
+        const connection = await pool.getConnection();
+        try {
+            await connection.beginTransaction();
+
+            const [invitations] = await connection.query(
+                `SELECT i.id, i.household_id, i.role, i.email
+                 FROM household_invitations i
+                 WHERE i.token_hash = ? AND i.accepted_at IS NULL AND i.revoked_at IS NULL
+                   AND i.expires_at > NOW()
+                 FOR UPDATE`,
+                [sha256(String(token || ''))],
+            );
+            const invitation = invitations[0];
+            if (!invitation) {
+                throw householdError(
+                    'INVALID_INVITATION',
+                    'Invalid or expired invitation',
+                );
+            }
+
+            const [users] = await connection.query(
+                'SELECT email FROM users WHERE id = ?',
+                [userId],
+            );
+            if (
+                !users[0] ||
+                users[0].email.toLowerCase() !== invitation.email.toLowerCase()
+            ) {
+                throw householdError(
+                    'INVALID_INVITATION',
+                    'This invitation was sent to a different email address',
+                );
+            }
+
+            const membership = await this.getMembership(userId, connection);
+            if (membership) {
+                if (membership.household_id === invitation.household_id) {
+                    throw householdError(
+                        'ALREADY_MEMBER',
+                        'You are already in this household',
+                    );
+                }
+                const [others] = await connection.query(
+                    'SELECT COUNT(*) AS count FROM household_members WHERE household_id = ? AND user_id <> ?',
+                    [membership.household_id, userId],
+                );
+                if (others[0].count > 0) {
+                    throw householdError(
+                        'IN_OTHER_HOUSEHOLD',
+                        'Leave your current household before joining another',
+                    );
+                }
+                // A household of one is simply dissolved
+                await connection.query('DELETE FROM households WHERE id = ?', [
+                    membership.household_id,
+                ]);
+            }
+
+            await connection.query(
+                'INSERT INTO household_members (household_id, user_id, role) VALUES (?, ?, ?)',
+                [invitation.household_id, userId, invitation.role],
+            );
+            await connection.query(
+                'UPDATE household_invitations SET accepted_at = NOW(), accepted_by = ? WHERE id = ?',
+                [userId, invitation.id],
+            );
+
+            await connection.commit();
+            return invitation.household_id;
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    async revokeInvitation(ownerId, invitationId) {
+        const membership = await this.getMembership(ownerId);
+        if (!membership || membership.role !== 'owner') return false;
+
+        const [result] = await pool.query(
+            `UPDATE household_invitations SET revoked_at = NOW()
+             WHERE id = ? AND household_id = ? AND accepted_at IS NULL AND revoked_at IS NULL`,
+            [invitationId, membership.household_id],
+        );
+        return result.affectedRows > 0;
+    }
+
+    // Owners can remove any caregiver; caregivers can remove themselves
+    async removeMember(actorId, memberId) {
+        const membership = await this.getMembership(actorId);
+        if (!membership) {
+            throw householdError('NOT_FOUND', 'You are not in a household');
+        }
+        if (actorId !== memberId && membership.role !== 'owner') {
+            throw householdError(
+                'FORBIDDEN',
+                'Only the household owner can remove caregivers',
+            );
+        }
+
+        const [targets] = await pool.query(
+            'SELECT role FROM household_members WHERE household_id = ? AND user_id = ?',
+            [membership.household_id, memberId],
+        );
+        if (targets.length === 0) {
+            throw householdError('NOT_FOUND', 'Member not found');
+        }
+        if (targets[0].role === 'owner') {
+            throw householdError(
+                'FORBIDDEN',
+                'The household owner cannot be removed',
+            );
+        }
+
+        await pool.query(
+            'DELETE FROM household_members WHERE household_id = ? AND user_id = ?',
+            [membership.household_id, memberId],
+        );
+        return true;
+    }
+
+    // Take a purged account out of its household. Ownership passes to the
+    // longest-standing caregiver; a household left empty is dropped.
+    async detachUser(userId, db = pool) {
+        const membership = await this.getMembership(userId, db);
+        if (!membership) return;
+
+        await db.query(
+            'DELETE FROM household_members WHERE household_id = ? AND user_id = ?',
+            [membership.household_id, userId],
+        );
+        const [remaining] = await db.query(
+            'SELECT user_id FROM household_members WHERE household_id = ? ORDER BY joined_at ASC',
+            [membership.household_id],
+        );
+
+        if (remaining.length === 0) {
+            await db.query('DELETE FROM households WHERE id = ?', [
+                membership.household_id,
+            ]);
+        } else if (membership.role === 'owner') {
+            await db.query(
+                "UPDATE household_members SET role = 'owner' WHERE household_id = ? AND user_id = ?",
+                [membership.household_id, remaining[0].user_id],
+            );
+        }
+    }
+}
+
+export default new HouseholdService();
@@ -0,0 +1,395 @@
+import pool from '../config/db.js';
+import { formatDate } from '../utils/childAge.js';
+import householdService from './householdService.js';
+
+// How the parent felt the moment went
+export const TALK_MOMENT_MOODS = ['great', 'good', 'okay', 'tough'];
+
+export const JOURNAL_LIMITS = {
+    maxDurationMinutes: 240,
+    notesLength: 2000,
+    maxWeeks: 52,
+};
+
+const MAX_PAGE_SIZE = 100;
+
+const journalError = (code, message) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+const toId = value => {
+    const id = Number(value);
+    return Number.isInteger(id) && id > 0 ? id : null;
+};
+
+// Monday of the week containing `date`, as YYYY-MM-DD
+const weekStart = date => {
+    const day = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    day.setDate(day.getDate() - ((day.getDay() + 6) % 7));
+    return formatDate(day);
+};
+
+const MOMENT_COLUMNS = `
+    tm.id, tm.user_id, u.name AS logged_by, tm.child_id, c.nickname AS child_nickname,
+    tm.tip_id, t.title AS tip_title, tm.location_id, l.name AS location_name, l.type AS location_type,
+    tm.occurred_at, tm.duration_minutes, tm.mood, tm.notes, tm.created_at, tm.updated_at`;
+
+const MOMENT_JOINS = `
+    FROM talk_moments tm
+    JOIN children c ON c.id = tm.child_id
+    LEFT JOIN users u ON u.id = tm.user_id
+    LEFT JOIN tips t ON t.id = tm.tip_id
+    LEFT JOIN locations l ON l.id = tm.location_id`;
+
+// A journal of "talk moments": activities a parent actually did with a
+// child, optionally linked to the tip that prompted them and the place they
+// happened. The household shares the journal; entries can only be changed
+// by the member who logged them.
+class JournalService {
+    // Validate the fields of a talk moment from a request body. With
+    // `partial`, only the fields present are checked (for edits); null clears
+    // an optional field. Returns column values keyed by column name.
+    async parseMoment(userId, input, { partial = false } = {}) {
+        const values = {};
+        const has = field => input[field] !== undefined;
+        const memberIds = await householdService.getMemberIds(userId);
+
+        if (!partial || has('childId')) {
+            const childId = toId(input.childId);
+            if (!childId) {
+                throw journalError('INVALID', 'childId is required');
+            }
+            const [children] = await pool.query(
+                'SELECT id FROM children WHERE id = ? AND user_id IN (?)',
+                [childId, memberIds],
+            );
+            if (children.length === 0) {
+                throw journalError('NOT_FOUND', 'Child not found');
+            }
+            values.child_id = childId;
+        }
+
+        if (has('tipId')) {
+            if (input.tipId === null) {
+                values.tip_id = null;
+            } else {
+                const tipId = toId(input.tipId);
+                const [tips] = tipId
+                    ? await pool.query('SELECT id FROM tips WHERE id = ?', [tipId])
+                    : [[]];
+                if (tips.length === 0) {
+                    throw journalError('INVALID', 'tipId does not match a tip');
+                }
+                values.tip_id = tipId;
+            }
+        }
+
+        if (has('locationId')) {
+            if (input.locationId === null) {
+                values.location_id = null;
+            } else {
+                const locationId = toId(input.locationId);
+                const [locations] = locationId
+                    ? await pool.query(
+                          'SELECT id FROM locations WHERE id = ? AND user_id IN (?)',
+                          [locationId, memberIds],
+                      )
+                    : [[]];
+                if (locations.length === 0) {
+                    throw journalError(
+                        'INVALID',
+                        "locationId does not match one of your household's locations",
+                    );
+                }
+                values.location_id = locationId;
+            }
+        }
+
+        if (!partial || has('occurredAt')) {
+            const occurredAt =
+                input.occurredAt === undefined ? new Date() : new Date(input.occurredAt);
+            if (input.occurredAt === null || isNaN(occurredAt.getTime())) {
+                throw journalError('INVALID', 'occurredAt must be a valid date');
+            }
+            // A little slack for clocks that run ahead of the server's
+            if (occurredAt.getTime() > Date.now() + 5 * 60 * 1000) {
+                throw journalError('INVALID', 'occurredAt cannot be in the future');
+            }
+            values.occurred_at = occurredAt;
+        }
+
+        if (has('durationMinutes')) {
+            const duration = input.durationMinutes;
+            if (
+                duration !== null &&
+                !(
+                    Number.isInteger(duration) &&
+                    duration >= 1 &&
+                    duration <= JOURNAL_LIMITS.maxDurationMinutes
+                )
+            ) {
+                throw journalError(
+                    'INVALID',
+                    `durationMinutes must be a whole number from 1 to ${JOURNAL_LIMITS.maxDurationMinutes}`,
+                );
+            }
+            values.duration_minutes = duration;
+        }
+
+        if (has('mood')) {
+            if (input.mood !== null && !TALK_MOMENT_MOODS.includes(input.mood)) {
+                throw journalError(
+                    'INVALID',
+                    `mood must be one of: ${TALK_MOMENT_MOODS.join(', ')}`,
+                );
+            }
+            values.mood = input.mood;
+        }
+
+        if (has('notes')) {
+            if (input.notes !== null && typeof input.notes !== 'string') {
+                throw journalError('INVALID', 'notes must be a string');
+            }
+            const notes = input.notes === null ? '' : input.notes.trim();
+            if (notes.length > JOURNAL_LIMITS.notesLength) {
+                throw journalError(
+                    'INVALID',
+                    `notes must be at most ${JOURNAL_LIMITS.notesLength} characters`,
+                );
+            }
+            values.notes = notes || null;
+        }
+
+        return values;
+    }
+
+    async get(userId, momentId) {
+        const memberIds = await householdService.getMemberIds(userId);
+        const [rows] = await pool.query(
+            `SELECT ${MOMENT_COLUMNS} ${MOMENT_JOINS}
+             WHERE tm.id = ? AND c.user_id IN (?)`,
+            [momentId, memberIds],
+        );
+        if (rows.length === 0) {
+            throw journalError('NOT_FOUND', 'Talk moment not found');
+        }
+        return rows[0];
+    }
+
+    async create(userId, input) {
+        const values = await this.parseMoment(userId, input);
+        const [result] = await pool.query(
+            `INSERT INTO talk_moments
+               (user_id, child_id, tip_id, location_id, occurred_at, duration_minutes, mood, notes)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                userId,
+                values.child_id,
+                values.tip_id ?? null,
+                values.location_id ?? null,
+                values.occurred_at,
+                values.duration_minutes ?? null,
+                values.mood ?? null,
+                values.notes ?? null,
+            ],
+        );
+        return this.get(userId, result.insertId);
+    }
+
+    // Edit a moment this user logged; only the fields sent change
+    async update(userId, momentId, input) {
+        const moment = await this.get(userId, momentId);
+        if (moment.user_id !== userId) {
+            throw journalError(
+                'FORBIDDEN',
+                'Only the person who logged a talk moment can change it',
+            );
+        }
+        const values = await this.parseMoment(userId, input, { partial: true });
+        const columns = Object.keys(values);
+        if (columns.length > 0) {
+            await pool.query(
+                `UPDATE talk_moments SET ${columns.map(column => `${column} = ?`).join(', ')}
+                 WHERE id = ?`,
+                [...columns.map(column => values[column]), moment.id],
+            );
+        }
+        return this.get(userId, moment.id);
+    }
+
+    async remove(userId, momentId) {
+        const moment = await this.get(userId, momentId);
+        if (moment.user_id !== userId) {
+            throw journalError(
+                'FORBIDDEN',
+                'Only the person who logged a talk moment can delete it',
+            );
+        }
+        await pool.query('DELETE FROM talk_moments WHERE id = ?', [moment.id]);
+    }
+
+    // The household's journal, newest first. Filters: childId, tipId,
+    // locationId, mood, from/to (dates). Returns { moments, total }.
+    async list(
+        userId,
+        { childId, tipId, locationId, mood, from, to, limit = 20, offset = 0 } = {},
+    ) {
+        const memberIds = await householdService.getMemberIds(userId);
+        const conditions = ['c.user_id IN (?)'];
+        const params = [memberIds];
+
+        if (childId) {
+            conditions.push('tm.child_id = ?');
+            params.push(childId);
+        }
+        if (tipId) {
+            conditions.push('tm.tip_id = ?');
+            params.push(tipId);
+        }
+        if (locationId) {
+            conditions.push('tm.location_id = ?');
+            params.push(locationId);
+        }
+        if (mood) {
+            conditions.push('tm.mood = ?');
+            params.push(mood);
+        }
+        if (from) {
+            conditions.push('tm.occurred_at >= ?');
+            params.push(from);
+        }
+        if (to) {
+            conditions.push('tm.occurred_at <= ?');
+            params.push(to);
+        }
+        const where = conditions.join(' AND ');
+
+        const [[{ total }]] = await pool.query(
+            `SELECT COUNT(*) AS total ${MOMENT_JOINS} WHERE ${where}`,
+            params,
+        );
+        const [moments] = await pool.query(
+            `SELECT ${MOMENT_COLUMNS} ${MOMENT_JOINS}
+             WHERE ${where}
+             ORDER BY tm.occurred_at DESC, tm.id DESC
+             LIMIT ? OFFSET ?`,
+            [
+                ...params,
+                Math.min(Math.max(limit, 1), MAX_PAGE_SIZE),
+                Math.max(offset, 0),
+            ],
+        );
+        return { moments, total };
+    }
+
+    // Week-by-week totals for one child over the last `weeks` weeks (this
+    // week included, weeks starting Monday), oldest first and with empty
+    // weeks filled in, plus the current streak of weeks with a moment
+    async weeklySummary(userId, childId, { weeks = 8 } = {}) {
+        const memberIds = await householdService.getMemberIds(userId);
+        const [children] = await pool.query(
+            'SELECT id, nickname FROM children WHERE id = ? AND user_id IN (?)',
+            [childId, memberIds],
+        );
+        if (children.length === 0) {
+            throw journalError('NOT_FOUND', 'Child not found');
+        }
+
+        const count = Math.min(Math.max(weeks, 1), JOURNAL_LIMITS.maxWeeks);
+        const firstWeek = new Date();
+        firstWeek.setDate(firstWeek.getDate() - 7 * (count - 1));
+        const since = weekStart(firstWeek);
+
+        const [rows] = await pool.query(
+            `SELECT DATE_SUB(DATE(occurred_at), INTERVAL WEEKDAY(occurred_at) DAY) AS week_start,
+                    COUNT(*) AS moments,
+                    COALESCE(SUM(duration_minutes), 0) AS total_minutes,
+                    COUNT(DISTINCT DATE(occurred_at)) AS active_days,
+                    COUNT(DISTINCT tip_id) AS tips_used,
+                    COUNT(DISTINCT location_id) AS locations,
+                    SUM(mood = 'great') AS mood_great,
+                    SUM(mood = 'good') AS mood_good,
+                    SUM(mood = 'okay') AS mood_okay,
+                    SUM(mood = 'tough') AS mood_tough
+             FROM talk_moments
+             WHERE child_id = ? AND occurred_at >= ?
+             GROUP BY week_start`,
+            [childId, since],
+        );
+        const byWeek = new Map(rows.map(row => [formatDate(row.week_start), row]));
+
+        const summary = [];
+        const cursor = new Date(`${since}T00:00:00`);
+        for (let i = 0; i < count; i++) {
+            const start = formatDate(cursor);
+            const row = byWeek.get(start);
+            summary.push({
+                week_start: start,
+                moments: Number(row?.moments || 0),
+                total_minutes: Number(row?.total_minutes || 0),
+                active_days: Number(row?.active_days || 0),
+                tips_used: Number(row?.tips_used || 0),
+                locations: Number(row?.locations || 0),
+                moods: Object.fromEntries(
+                    TALK_MOMENT_MOODS.map(mood => [mood, Number(row?.[`mood_${mood}`] || 0)]),
+                ),
+            });
+            cursor.setDate(cursor.getDate() + 7);
+        }
+
+        // A week still in progress doesn't break the streak
+        let streak = 0;
+        for (let i = summary.length - 1; i >= 0; i--) {
+            if (summary[i].moments > 0) streak++;
+            else if (i < summary.length - 1) break;
+        }
+
+        return { child: children[0], weeks: summary, streak_weeks: streak };
+    }
+
+    // Engagement across all families for research: per week, how many
+    // moments were logged, by how many families for how many children, and
+    // how often a tip prompted them. No names or notes.
+    async engagement({ from, to } = {}) {
+        const conditions = [];
+        const params = [];
+        if (from) {
+            conditions.push('occurred_at >= ?');
+            params.push(from);
+        }
+        if (to) {
+            conditions.push('occurred_at <= ?');
+            params.push(to);
+        }
+
+        const [rows] = await pool.query(
+            `SELECT DATE_SUB(DATE(occurred_at), INTERVAL WEEKDAY(occurred_at) DAY) AS week_start,
+                    COUNT(*) AS moments,
+                    COUNT(DISTINCT user_id) AS parents,
+                    COUNT(DISTINCT child_id) AS children,
+                    SUM(tip_id IS NOT NULL) AS with_tip,
+                    SUM(location_id IS NOT NULL) AS with_location,
+                    ROUND(AVG(duration_minutes), 1) AS avg_duration_minutes
+             FROM talk_moments
+             ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+             GROUP BY week_start
+             ORDER BY week_start`,
+            params,
+        );
+
+        return rows.map(row => ({
+            week_start: formatDate(row.week_start),
+            moments: Number(row.moments),
+            parents: Number(row.parents),
+            children: Number(row.children),
+            with_tip: Number(row.with_tip),
+            with_location: Number(row.with_location),
+            avg_duration_minutes:
+                row.avg_duration_minutes === null ? null : Number(row.avg_duration_minutes),
+        }));
+    }
+}
+
+export default new JournalService();
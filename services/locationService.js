@@ -0,0 +1,80 @@
+import pool from '../config/db.js';
+import {
+    GEOFENCE_MAX_RADIUS_M,
+    bestGeofenceMatch,
+    boundingBox,
+    toBoundary,
+} from '../utils/geofence.js';
+
+// SRID 4326 polygons are written latitude first
+const boxWkt = ({ minLatitude, maxLatitude, minLongitude, maxLongitude }) =>
+    `POLYGON((${minLatitude} ${minLongitude}, ${maxLatitude} ${minLongitude}, ` +
+    `${maxLatitude} ${maxLongitude}, ${minLatitude} ${maxLongitude}, ` +
+    `${minLatitude} ${minLongitude}))`;
+
+export const toLocation = row => ({
+    id: row.id,
+    latitude: parseFloat(row.lat),
+    longitude: parseFloat(row.long),
+    name: row.name,
+    type: row.type,
+    radiusMeters: row.radius_m,
+    boundary: toBoundary(row.boundary),
+});
+
+// Geofence lookups against saved locations. Pins are indexed in MySQL
+// (locations.position, see migration_location_spatial_index.sql): a lookup
+// fetches only the pins close enough for their fence to reach the point,
+// then runs the exact fence test from utils/geofence.js on those.
+class LocationService {
+    // Locations owned by `userIds` with their pin inside `box`
+    async candidatesWithin(userIds, box) {
+        const [rows] = await pool.query(
+            `SELECT id, lat, \`long\`, name, type, radius_m, boundary
+             FROM locations
+             WHERE ST_Within(position, ST_GeomFromText(?, 4326))
+               AND user_id IN (?)`,
+            [boxWkt(box), userIds],
+        );
+        return rows.map(toLocation);
+    }
+
+    // Locations owned by `userIds` whose fence could contain `point`
+    async candidatesNear(userIds, point) {
+        return this.candidatesWithin(
+            userIds,
+            boundingBox(point, GEOFENCE_MAX_RADIUS_M),
+        );
+    }
+
+    // The best fence containing `point` (smallest, then closest), as
+    // { location, distanceMeters, areaSquareMeters }, or null. A point that
+    // isn't a valid coordinate matches nothing.
+    async findGeofenceMatch(userIds, point) {
+        if (
+            !(Math.abs(point.latitude) <= 90) ||
+            !(Math.abs(point.longitude) <= 180)
+        ) {
+            return null;
+        }
+        const candidates = await this.candidatesNear(userIds, point);
+        return bestGeofenceMatch(point, candidates);
+    }
+
+    // findGeofenceMatch for a batch of valid points (background fixes): one
+    // lookup covers the box around all of them. Returns a match or null per
+    // point, in order.
+    async findGeofenceMatches(userIds, points) {
+        if (points.length === 0) return [];
+        const boxes = points.map(point => boundingBox(point, GEOFENCE_MAX_RADIUS_M));
+        const candidates = await this.candidatesWithin(userIds, {
+            minLatitude: Math.min(...boxes.map(box => box.minLatitude)),
+            maxLatitude: Math.max(...boxes.map(box => box.maxLatitude)),
+            minLongitude: Math.min(...boxes.map(box => box.minLongitude)),
+            maxLongitude: Math.max(...boxes.map(box => box.maxLongitude)),
+        });
+        return points.map(point => bestGeofenceMatch(point, candidates));
+    }
+}
+
+export default new LocationService();
@@ -0,0 +1,149 @@
+import pool from '../config/db.js';
+import { sendEmail } from '../utils/mailer.js';
+import { MAIL_TEMPLATES, renderTemplate } from '../utils/mailTemplates.js';
+
+// Minutes to wait before each retry; a send that still fails after the last
+// one is marked failed
+const RETRY_DELAYS_MINUTES = [1, 5, 15, 60, 240];
+const OUTBOX_BATCH_SIZE = 20;
+// A row left in 'sending' this long belongs to a worker that died mid-send
+const STALE_SENDING_MINUTES = 10;
+
+// Where a row goes after a failed attempt: back to 'pending' until retryAt,
+// or to 'expired'/'failed' for good. Bodies are dropped from terminal rows,
+// since nothing will read them again.
+export const afterFailure = (attempts, expiresAt, now = new Date()) => {
+    const delay = RETRY_DELAYS_MINUTES[attempts - 1];
+    const retryAt = delay !== undefined ? new Date(now.getTime() + delay * 60 * 1000) : null;
+
+    let status = 'pending';
+    if (!retryAt) status = 'failed';
+    else if (expiresAt && retryAt > new Date(expiresAt)) status = 'expired';
+
+    return {
+        status,
+        retryAt: status === 'pending' ? retryAt : null,
+        clearBodies: status !== 'pending',
+    };
+};
+
+const ttlFor = (template, data) => {
+    const { ttlMinutes } = MAIL_TEMPLATES[template];
+    return typeof ttlMinutes === 'function' ? ttlMinutes(data) : ttlMinutes;
+};
+
+// Sends templated email through the outbox: every message is stored before
+// the first attempt, and failed sends are retried with backoff by
+// processOutbox. Bodies are cleared once a message is sent, expires or
+// fails for good, since many of them carry sign-in codes or links.
+class MailService {
+    // Render a template, record it and try to send it straight away.
+    // Returns the provider that accepted it, or null when the send failed
+    // and was queued for retry.
+    async send(template, to, data = {}, { userId = null } = {}) {
+        const { subject, text, html } = renderTemplate(template, data);
+        const ttl = ttlFor(template, data);
+        const expiresAt = ttl ? new Date(Date.now() + ttl * 60 * 1000) : null;
+
+        let id;
+        try {
+            const [result] = await pool.query(
+                `INSERT INTO email_outbox
+                   (user_id, template, to_email, subject, text_body, html_body, status, expires_at)
+                 VALUES (?, ?, ?, ?, ?, ?, 'sending', ?)`,
+                [userId, template, to, subject, text, html, expiresAt],
+            );
+            id = result.insertId;
+        } catch (error) {
+            // Never hold mail back because the outbox is unavailable
+            console.error('Failed to record email in outbox:', error.message);
+            return sendEmail({ to, subject, text, html });
+        }
+
+        return this.deliver({
+            id,
+            to_email: to,
+            subject,
+            text_body: text,
+            html_body: html,
+            attempts: 0,
+            expires_at: expiresAt,
+        });
+    }
+
+    // One attempt at an outbox row that is already claimed ('sending')
+    async deliver(row) {
+        try {
+            const provider = await sendEmail({
+                to: row.to_email,
+                subject: row.subject,
+                text: row.text_body,
+                html: row.html_body,
+            });
+            await pool.query(
+                `UPDATE email_outbox
+                 SET status = 'sent', provider = ?, attempts = attempts + 1, sent_at = NOW(),
+                     last_error = NULL, text_body = NULL, html_body = NULL
+                 WHERE id = ?`,
+                [provider, row.id],
+            );
+            return provider;
+        } catch (error) {
+            const attempts = row.attempts + 1;
+            const { status, retryAt, clearBodies } = afterFailure(attempts, row.expires_at);
+
+            await pool.query(
+                `UPDATE email_outbox
+                 SET status = ?, attempts = ?, last_error = ?, next_attempt_at = COALESCE(?, next_attempt_at),
+                     text_body = IF(?, NULL, text_body),
+                     html_body = IF(?, NULL, html_body)
+                 WHERE id = ?`,
+                [status, attempts, error.message.slice(0, 512), retryAt, clearBodies, clearBodies, row.id],
+            );
+            console.warn(
+                `📭 Email ${row.id} not sent (attempt ${attempts}), ${status === 'pending' ? `retrying at ${retryAt.toISOString()}` : `marked ${status}`}`,
+            );
+            return null;
+        }
+    }
+
+    // Retry pending messages whose next attempt is due. Safe to run from
+    // several processes: each row is claimed before it is sent.
+    async processOutbox() {
+        await pool.query(
+            `UPDATE email_outbox SET status = 'pending'
+             WHERE status = 'sending' AND updated_at < NOW() - INTERVAL ? MINUTE`,
+            [STALE_SENDING_MINUTES],
+        );
+        await pool.query(
+            `UPDATE email_outbox SET status = 'expired', text_body = NULL, html_body = NULL
+             WHERE status = 'pending' AND expires_at < NOW()`,
+        );
+
+        const [due] = await pool.query(
+            `SELECT id, to_email, subject, text_body, html_body, attempts, expires_at
+             FROM email_outbox
+             WHERE status = 'pending' AND next_attempt_at <= NOW()
+             ORDER BY next_attempt_at
+             LIMIT ?`,
+            [OUTBOX_BATCH_SIZE],
+        );
+
+        let sent = 0;
+        for (const row of due) {
+            const [claim] = await pool.query(
+                "UPDATE email_outbox SET status = 'sending' WHERE id = ? AND status = 'pending'",
+                [row.id],
+            );
+            if (claim.affectedRows === 0) continue;
+            if (await this.deliver(row)) sent++;
+        }
+
+        if (due.length > 0) {
+            console.log(`📬 Outbox: ${sent}/${due.length} queued emails sent`);
+        }
+        return sent;
+    }
+}
+
+export default new MailService();
@@ -0,0 +1,218 @@
+import pool from '../config/db.js';
+import { MILESTONES, MILESTONE_AGE_BANDS } from '../config/milestones.js';
+import { ALLOWED_DOMAINS } from '../utils/strictDomains.js';
+import { formatDate, withAge } from '../utils/childAge.js';
+import { withProfile } from '../utils/childProfile.js';
+import householdService from './householdService.js';
+
+export const MILESTONE_DOMAINS = Object.keys(ALLOWED_DOMAINS);
+
+const bandsById = new Map(MILESTONE_AGE_BANDS.map(band => [band.id, band]));
+const milestonesById = new Map(MILESTONES.map(milestone => [milestone.id, milestone]));
+
+const milestoneError = (code, message) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+const withBand = milestone => {
+    const band = bandsById.get(milestone.band);
+    return {
+        ...milestone,
+        band: {
+            id: band.id,
+            label: band.label,
+            minMonths: band.minMonths,
+            maxMonths: band.maxMonths,
+        },
+    };
+};
+
+// Where a milestone sits relative to the child's age:
+//   achieved - ticked off
+//   expected - its band has already passed
+//   current  - the child is in its band now
+//   upcoming - its band is still ahead
+const statusFor = (milestone, ageMonths, achieved) => {
+    if (achieved) return 'achieved';
+    const band = bandsById.get(milestone.band);
+    if (ageMonths >= band.maxMonths) return 'expected';
+    if (ageMonths >= band.minMonths) return 'current';
+    return 'upcoming';
+};
+
+class MilestoneService {
+    // The catalogue, optionally narrowed to one domain and/or the band that
+    // contains `ageMonths`
+    catalogue({ domain, ageMonths } = {}) {
+        return MILESTONES.filter(milestone => {
+            if (domain && milestone.domain !== domain) return false;
+            if (ageMonths !== undefined && ageMonths !== null) {
+                const band = bandsById.get(milestone.band);
+                if (ageMonths < band.minMonths || ageMonths >= band.maxMonths) {
+                    return false;
+                }
+            }
+            return true;
+        }).map(withBand);
+    }
+
+    // A child in the user's household, with its derived age and profile
+    async getChild(userId, childId) {
+        const memberIds = await householdService.getMemberIds(userId);
+        const [rows] = await pool.query(
+            `SELECT id, nickname, date_of_birth, birth_date_precision,
+                    interests, home_languages, temperament_notes
+             FROM children WHERE id = ? AND user_id IN (?)`,
+            [childId, memberIds],
+        );
+        if (rows.length === 0) {
+            throw milestoneError('NOT_FOUND', 'Child not found');
+        }
+        return withProfile(withAge(rows[0]));
+    }
+
+    async achievedFor(childIds) {
+        if (childIds.length === 0) return [];
+        const [rows] = await pool.query(
+            `SELECT child_id, milestone_id, achieved_on, recorded_by
+             FROM child_milestones WHERE child_id IN (?)`,
+            [childIds],
+        );
+        return rows;
+    }
+
+    // Every milestone up to the band after the child's current one, with
+    // its status and the date it was ticked off
+    async checklist(userId, childId) {
+        const child = await this.getChild(userId, childId);
+        const achieved = new Map(
+            (await this.achievedFor([child.id])).map(row => [row.milestone_id, row]),
+        );
+
+        const horizon = child.age_months + 12;
+        const milestones = MILESTONES.filter(
+            milestone =>
+                bandsById.get(milestone.band).minMonths <= horizon ||
+                achieved.has(milestone.id),
+        ).map(milestone => {
+            const record = achieved.get(milestone.id);
+            return {
+                ...withBand(milestone),
+                status: statusFor(milestone, child.age_months, record),
+                achieved_on: record ? formatDate(record.achieved_on) : null,
+            };
+        });
+
+        return { child, milestones };
+    }
+
+    // Tick a milestone off (or change the date it was reached)
+    async setAchieved(userId, childId, milestoneId, achievedOn) {
+        const child = await this.getChild(userId, childId);
+        if (!milestonesById.has(milestoneId)) {
+            throw milestoneError('UNKNOWN_MILESTONE', 'Unknown milestone');
+        }
+
+        const date = achievedOn ?? formatDate(new Date());
+        const [year, month, day] = String(date).split('-').map(Number);
+        if (
+            !/^\d{4}-\d{2}-\d{2}$/.test(String(date)) ||
+            formatDate(new Date(year, month - 1, day)) !== date
+        ) {
+            throw milestoneError(
+                'INVALID_DATE',
+                'achievedOn must be a date in YYYY-MM-DD format',
+            );
+        }
+        if (date > formatDate(new Date()) || date < child.date_of_birth) {
+            throw milestoneError(
+                'INVALID_DATE',
+                "achievedOn must be between the child's birth date and today",
+            );
+        }
+
+        await pool.query(
+            `INSERT INTO child_milestones (child_id, milestone_id, achieved_on, recorded_by)
+             VALUES (?, ?, ?, ?)
+             ON DUPLICATE KEY UPDATE achieved_on = VALUES(achieved_on), recorded_by = VALUES(recorded_by)`,
+            [child.id, milestoneId, date, userId],
+        );
+        return { milestone_id: milestoneId, achieved_on: date };
+    }
+
+    async clearAchieved(userId, childId, milestoneId) {
+        const child = await this.getChild(userId, childId);
+        const [result] = await pool.query(
+            'DELETE FROM child_milestones WHERE child_id = ? AND milestone_id = ?',
+            [child.id, milestoneId],
+        );
+        return result.affectedRows > 0;
+    }
+
+    // Milestones not yet reached in the child's current and next band,
+    // current band first, alternating between domains within a band
+    upcomingFrom(child, achievedIds, limit) {
+        if (child.aged_out) return [];
+
+        const seenPerDomain = new Map();
+        return MILESTONES.filter(milestone => {
+            if (achievedIds.has(milestone.id)) return false;
+            const band = bandsById.get(milestone.band);
+            return (
+                band.maxMonths > child.age_months &&
+                band.minMonths <= child.age_months + 12
+            );
+        })
+            .map(milestone => {
+                const key = `${milestone.band}:${milestone.domain}`;
+                const rank = seenPerDomain.get(key) || 0;
+                seenPerDomain.set(key, rank + 1);
+                return { milestone, rank };
+            })
+            .sort(
+                (a, b) =>
+                    bandsById.get(a.milestone.band).minMonths -
+                        bandsById.get(b.milestone.band).minMonths ||
+                    a.rank - b.rank,
+            )
+            .slice(0, limit)
+            .map(({ milestone }) => withBand(milestone));
+    }
+
+    async upcoming(userId, childId, { limit = 5 } = {}) {
+        const child = await this.getChild(userId, childId);
+        const achievedIds = new Set(
+            (await this.achievedFor([child.id])).map(row => row.milestone_id),
+        );
+        return { child, milestones: this.upcomingFrom(child, achievedIds, limit) };
+    }
+
+    // Upcoming milestones for every child in the user's household that
+    // hasn't aged out, for biasing tips: [{ child, milestones }]
+    async upcomingForUser(userId, { limit = 3 } = {}) {
+        const memberIds = await householdService.getMemberIds(userId);
+        const [rows] = await pool.query(
+            'SELECT id, nickname, date_of_birth FROM children WHERE user_id IN (?)',
+            [memberIds],
+        );
+        const children = rows.map(row => withAge(row)).filter(child => !child.aged_out);
+        const achieved = await this.achievedFor(children.map(child => child.id));
+
+        return children.map(child => ({
+            child,
+            milestones: this.upcomingFrom(
+                child,
+                new Set(
+                    achieved
+                        .filter(row => row.child_id === child.id)
+                        .map(row => row.milestone_id),
+                ),
+                limit,
+            ),
+        }));
+    }
+}
+
+export default new MilestoneService();
@@ -0,0 +1,150 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import axios from 'axios';
+import { readFile } from 'fs/promises';
+
+const JWKS_CACHE_TTL = 60 * 60 * 1000; // 1 hour
+// Tokens naming an unknown key trigger a refetch at most this often
+const JWKS_MIN_REFRESH_INTERVAL = 60 * 1000; // 1 minute
+
+// Supported identity providers. Each can read its signing keys from a local
+// JWKS file (e.g. GOOGLE_JWKS_FILE) instead of the network, which is how tests
+// sign their own ID tokens.
+const PROVIDERS = {
+    google: {
+        jwksUri: 'https://www.googleapis.com/oauth2/v3/certs',
+        jwksFileEnv: 'GOOGLE_JWKS_FILE',
+        clientIdEnv: 'GOOGLE_CLIENT_ID',
+        issuers: ['https://accounts.google.com', 'accounts.google.com'],
+    },
+    apple: {
+        jwksUri: 'https://appleid.apple.com/auth/keys',
+        jwksFileEnv: 'APPLE_JWKS_FILE',
+        clientIdEnv: 'APPLE_CLIENT_ID',
+        issuers: ['https://appleid.apple.com'],
+        // Apple puts the SHA-256 of the client's nonce in the token
+        hashedNonce: true,
+    },
+};
+
+const oauthError = (code, message) => {
+    const error = new Error(message);
+    error.code = code;
+    error.isOAuthError = true;
+    return error;
+};
+
+class OAuthService {
+    constructor() {
+        this.jwksCache = new Map();
+    }
+
+    isSupported(provider) {
+        return Object.prototype.hasOwnProperty.call(PROVIDERS, provider);
+    }
+
+    async loadKeys(provider, { refresh = false } = {}) {
+        const config = PROVIDERS[provider];
+        const cached = this.jwksCache.get(provider);
+        if (!refresh && cached && cached.exp > Date.now()) return cached.keys;
+
+        const file = process.env[config.jwksFileEnv];
+        let jwks;
+        try {
+            jwks = file
+                ? JSON.parse(await readFile(file, 'utf-8'))
+                : (await axios.get(config.jwksUri, { timeout: 5000 })).data;
+        } catch (error) {
+            console.error(`Failed to load ${provider} signing keys:`, error.message);
+            throw oauthError(
+                'PROVIDER_UNAVAILABLE',
+                `Could not load ${provider} signing keys`,
+            );
+        }
+
+        const keys = Array.isArray(jwks?.keys) ? jwks.keys : [];
+        this.jwksCache.set(provider, {
+            keys,
+            fetchedAt: Date.now(),
+            exp: Date.now() + JWKS_CACHE_TTL,
+        });
+        return keys;
+    }
+
+    async getSigningKey(provider, kid) {
+        let keys = await this.loadKeys(provider);
+        let jwk = keys.find(k => k.kid === kid);
+        // Providers rotate keys; refetch before giving up, but not for every
+        // token naming a key that doesn't exist
+        const { fetchedAt } = this.jwksCache.get(provider);
+        if (!jwk && Date.now() - fetchedAt >= JWKS_MIN_REFRESH_INTERVAL) {
+            keys = await this.loadKeys(provider, { refresh: true });
+            jwk = keys.find(k => k.kid === kid);
+        }
+        if (!jwk) {
+            throw oauthError('INVALID_ID_TOKEN', 'Unknown signing key');
+        }
+        return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+    }
+
+    // Verify a provider ID token and return the identity it asserts:
+    // { provider, subject, email, emailVerified, name }
+    async verifyIdToken(provider, idToken, { nonce } = {}) {
+        if (!this.isSupported(provider)) {
+            throw oauthError('UNSUPPORTED_PROVIDER', 'Unsupported provider');
+        }
+        const config = PROVIDERS[provider];
+
+        const audience = String(process.env[config.clientIdEnv] || '')
+            .split(',')
+            .map(id => id.trim())
+            .filter(Boolean);
+        if (audience.length === 0) {
+            throw oauthError(
+                'PROVIDER_NOT_CONFIGURED',
+                `${config.clientIdEnv} is not configured`,
+            );
+        }
+
+        const header = jwt.decode(idToken, { complete: true })?.header;
+        if (!header?.kid) {
+            throw oauthError('INVALID_ID_TOKEN', 'Malformed ID token');
+        }
+
+        let claims;
+        try {
+            const key = await this.getSigningKey(provider, header.kid);
+            claims = jwt.verify(idToken, key, {
+                algorithms: ['RS256'],
+                audience,
+                issuer: config.issuers,
+            });
+        } catch (error) {
+            // Anything else (a malformed key, a bad signature) is a bad token
+            if (error.isOAuthError) throw error;
+            throw oauthError('INVALID_ID_TOKEN', error.message);
+        }
+
+        if (nonce) {
+            const expected = config.hashedNonce
+                ? crypto.createHash('sha256').update(nonce).digest('hex')
+                : nonce;
+            if (claims.nonce !== expected) {
+                throw oauthError('INVALID_ID_TOKEN', 'Nonce mismatch');
+            }
+        }
+
+        return {
+            provider,
+            subject: String(claims.sub),
+            email: claims.email ? String(claims.email).toLowerCase() : null,
+            // Apple sends these booleans as strings
+            emailVerified:
+                claims.email_verified === true ||
+                claims.email_verified === 'true',
+            name: claims.name || null,
+        };
+    }
+}
+
+export default new OAuthService();
@@ -0,0 +1,286 @@
+import fs from 'fs';
+import path from 'path';
+import bcrypt from 'bcryptjs';
+import pool from '../config/db.js';
+
+// Rules, all overridable from the environment:
+//   PASSWORD_MIN_LENGTH  - default 8
+//   PASSWORD_MAX_LENGTH  - default 72 (bcrypt ignores anything longer)
+//   PASSWORD_REQUIRE     - character classes that must appear, any of
+//                          lowercase,uppercase,digit,symbol (default none)
+//   PASSWORD_MIN_SCORE   - minimum strength score, 0-4 (default 2)
+//   PASSWORD_HISTORY     - previous passwords that can't be reused (default 5)
+//   PASSWORD_BLOCKLIST_FILE - list of common/breached passwords, one per line
+const envInt = (name, fallback) => {
+    const value = parseInt(process.env[name], 10);
+    return Number.isNaN(value) ? fallback : value;
+};
+
+const CHARACTER_CLASSES = {
+    lowercase: { pattern: /[a-z]/, size: 26 },
+    uppercase: { pattern: /[A-Z]/, size: 26 },
+    digit: { pattern: /\d/, size: 10 },
+    symbol: { pattern: /[^A-Za-z0-9]/, size: 33 },
+};
+
+export const passwordRules = () => ({
+    minLength: envInt('PASSWORD_MIN_LENGTH', 8),
+    maxLength: envInt('PASSWORD_MAX_LENGTH', 72),
+    require: String(process.env.PASSWORD_REQUIRE || '')
+        .split(',')
+        .map(value => value.trim())
+        .filter(value => CHARACTER_CLASSES[value]),
+    minScore: envInt('PASSWORD_MIN_SCORE', 2),
+    history: envInt('PASSWORD_HISTORY', 5),
+});
+
+export const STRENGTH_LABELS = ['very weak', 'weak', 'fair', 'strong', 'very strong'];
+
+const BLOCKLIST_FILE = () =>
+    process.env.PASSWORD_BLOCKLIST_FILE ||
+    path.join(process.cwd(), 'config', 'common-passwords.txt');
+
+const SEQUENCES = [
+    'abcdefghijklmnopqrstuvwxyz',
+    '01234567890',
+    'qwertyuiop',
+    'asdfghjkl',
+    'zxcvbnm',
+];
+
+const LEET = { '@': 'a', 4: 'a', 3: 'e', 1: 'i', '!': 'i', 0: 'o', $: 's', 5: 's', 7: 't' };
+
+const policyError = (code, message) => ({ code, message });
+
+// Lowercased forms a password is checked under: as typed, without the
+// digits/symbols people tack on the end, and with leetspeak undone
+const variants = password => {
+    const lower = password.toLowerCase();
+    const trimmed = lower.replace(/[^a-z]+$/, '');
+    const unleet = lower.replace(/[@!$0-9]/g, char => LEET[char] || char);
+    return [...new Set([lower, trimmed, unleet, unleet.replace(/[^a-z]+$/, '')])];
+};
+
+// Each sequence forwards and backwards as its set of two-character steps
+// ('ab', 'bc', ...), so runs can be found in one pass
+const SEQUENCE_STEPS = SEQUENCES.flatMap(sequence =>
+    [sequence, [...sequence].reverse().join('')].map(
+        source =>
+            new Set([...source.slice(1)].map((char, i) => source[i] + char)),
+    ),
+);
+
+// Length of the longest run of keyboard/alphabet sequence in the password
+// (runs shorter than 3 don't count). Linear in the password's length.
+const longestSequence = password => {
+    const lower = password.toLowerCase();
+    let longest = 0;
+    for (const steps of SEQUENCE_STEPS) {
+        let run = 1;
+        for (let i = 1; i < lower.length; i++) {
+            run = steps.has(lower[i - 1] + lower[i]) ? run + 1 : 1;
+            if (run >= 3 && run > longest) longest = run;
+        }
+    }
+    return longest;
+};
+
+class PasswordPolicyService {
+    constructor() {
+        this.blocklist = null;
+    }
+
+    loadBlocklist() {
+        if (this.blocklist) return this.blocklist;
+        try {
+            this.blocklist = new Set(
+                fs
+                    .readFileSync(BLOCKLIST_FILE(), 'utf8')
+                    .split('\n')
+                    .map(line => line.trim().toLowerCase())
+                    .filter(line => line && !line.startsWith('#')),
+            );
+        } catch (error) {
+            console.error('Failed to load password blocklist:', error.message);
+            this.blocklist = new Set();
+        }
+        return this.blocklist;
+    }
+
+    isBreached(password) {
+        const blocklist = this.loadBlocklist();
+        return variants(password).some(variant => blocklist.has(variant));
+    }
+
+    // Personal details the password shouldn't be built from
+    personalTokens({ email, name } = {}) {
+        return [String(email || '').split('@')[0], ...String(name || '').split(/\s+/)]
+            .map(token => token.toLowerCase())
+            .filter(token => token.length >= 3);
+    }
+
+    // Rough guessability estimate: bits from length and character variety,
+    // discounted for repeats, sequences and personal details. Returns a
+    // 0-4 score with a label and suggestions.
+    strength(password, context = {}) {
+        const feedback = [];
+        if (!password) {
+            return { score: 0, label: STRENGTH_LABELS[0], feedback };
+        }
+        // Longer than the rules accept: not worth the work of scoring
+        const { maxLength } = passwordRules();
+        if (Buffer.byteLength(password) > maxLength) {
+            feedback.push(`Use at most ${maxLength} characters`);
+            return { score: 0, label: STRENGTH_LABELS[0], feedback };
+        }
+
+        const classes = Object.values(CHARACTER_CLASSES).filter(({ pattern }) =>
+            pattern.test(password),
+        );
+        const poolSize = classes.reduce((sum, { size }) => sum + size, 0);
+        let effectiveLength = new Set(password).size === 1 ? 1 : password.length;
+
+        const repeats = password.match(/(.)\1{2,}/g) || [];
+        if (repeats.length > 0) {
+            effectiveLength -= repeats.reduce((sum, run) => sum + run.length - 1, 0);
+            feedback.push('Avoid repeated characters');
+        }
+        const sequence = longestSequence(password);
+        if (sequence >= 4) {
+            effectiveLength -= sequence - 1;
+            feedback.push('Avoid sequences like "abcd" or "1234"');
+        }
+        const lower = password.toLowerCase();
+        if (this.personalTokens(context).some(token => lower.includes(token))) {
+            effectiveLength -= 4;
+            feedback.push("Don't use your name or email address");
+        }
+
+        const bits = Math.max(effectiveLength, 1) * Math.log2(poolSize || 1);
+        let score = 0;
+        if (bits >= 80) score = 4;
+        else if (bits >= 60) score = 3;
+        else if (bits >= 40) score = 2;
+        else if (bits >= 28) score = 1;
+
+        if (this.isBreached(password)) {
+            score = 0;
+            feedback.unshift('This is a commonly used password');
+        }
+        if (score < 3 && classes.length < 3) {
+            feedback.push('Mix upper and lower case letters, numbers and symbols');
+        }
+        if (score < 3 && password.length < 12) {
+            feedback.push('Use a longer password or a passphrase');
+        }
+
+        return { score, label: STRENGTH_LABELS[score], feedback };
+    }
+
+    // Check a password against the rules. `context` holds the user's email
+    // and name. Returns { valid, errors: [{ code, message }], strength }.
+    validate(password, context = {}) {
+        const rules = passwordRules();
+        const value = String(password || '');
+        const errors = [];
+
+        if (value.length < rules.minLength) {
+            errors.push(
+                policyError(
+                    'TOO_SHORT',
+                    `Password must be at least ${rules.minLength} characters long`,
+                ),
+            );
+        }
+        if (Buffer.byteLength(value) > rules.maxLength) {
+            errors.push(
+                policyError(
+                    'TOO_LONG',
+                    `Password must be at most ${rules.maxLength} characters long`,
+                ),
+            );
+            // Skip the other checks, which scale with the input
+            return { valid: false, errors, strength: this.strength(value, context) };
+        }
+        for (const name of rules.require) {
+            if (!CHARACTER_CLASSES[name].pattern.test(value)) {
+                errors.push(
+                    policyError(
+                        `MISSING_${name.toUpperCase()}`,
+                        `Password must contain at least one ${name === 'symbol' ? 'symbol' : `${name} character`}`,
+                    ),
+                );
+            }
+        }
+        if (this.isBreached(value)) {
+            errors.push(
+                policyError(
+                    'BREACHED',
+                    'This password is too common or has appeared in a data breach',
+                ),
+            );
+        }
+
+        const strength = this.strength(value, context);
+        if (errors.length === 0 && strength.score < rules.minScore) {
+            errors.push(
+                policyError(
+                    'TOO_WEAK',
+                    `Password is too weak (${strength.label}). ${strength.feedback[0] || ''}`.trim(),
+                ),
+            );
+        }
+
+        return { valid: errors.length === 0, errors, strength };
+    }
+
+    // Whether the password matches the current one or one of the last
+    // PASSWORD_HISTORY passwords
+    async isReused(userId, password, db = pool) {
+        const { history } = passwordRules();
+        const [current] = await db.query(
+            'SELECT password FROM users WHERE id = ?',
+            [userId],
+        );
+        const [previous] =
+            history > 0
+                ? await db.query(
+                      'SELECT password_hash FROM password_history WHERE user_id = ? ORDER BY created_at DESC, id DESC LIMIT ?',
+                      [userId, history],
+                  )
+                : [[]];
+
+        const hashes = [
+            current[0]?.password,
+            ...previous.map(row => row.password_hash),
+        ].filter(Boolean);
+        for (const hash of hashes) {
+            if (await bcrypt.compare(password, hash)) return true;
+        }
+        return false;
+    }
+
+    // Keep the hash being replaced so it can't be chosen again, dropping
+    // entries beyond PASSWORD_HISTORY
+    async remember(userId, previousHash, db = pool) {
+        const { history } = passwordRules();
+        if (!previousHash || history <= 0) return;
+
+        await db.query(
+            'INSERT INTO password_history (user_id, password_hash) VALUES (?, ?)',
+            [userId, previousHash],
+        );
+        await db.query(
+            `DELETE FROM password_history
+             WHERE user_id = ? AND id NOT IN (
+                 SELECT id FROM (
+                     SELECT id FROM password_history WHERE user_id = ?
+                     ORDER BY created_at DESC, id DESC LIMIT ?
+                 ) AS recent
+             )`,
+            [userId, userId, history],
+        );
+    }
+}
+
+export default new PasswordPolicyService();
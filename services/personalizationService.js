@@ -6,6 +6,9 @@ import {
 } from '../utils/parentingGuardrails.js';
 import crypto from 'crypto';
 import { getCached, setCached, purge } from '../utils/emb-cache.js';
+import { describeAge } from '../utils/childAge.js';
+import { describeProfile } from '../utils/childProfile.js';
+import milestoneService from './milestoneService.js';
 
 const openai = new OpenAI({
     apiKey: process.env.OPENAI_API_KEY,
@@ -100,7 +103,79 @@ function extractQueryKeywords(q) {
     return [...uniq, ...uniqBigrams];
 }
 
+const childTargetError = (code, message) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+/**
+ * Text embedded for query similarity when a request targets one child. The
+ * age pulls age-appropriate tips ahead; keyword pins still come from the
+ * query alone.
+ */
+function scoringQuery(query, target) {
+    if (!target) return query;
+    return `${query} (for a ${describeAge(target.child.age_months)} old child)`;
+}
+
 class PersonalizationService {
+    // ---------- Child targeting ----------
+    // The child a tip request is for, from its optional `childId`:
+    // { child, milestones } with the milestones they're working toward next,
+    // or null when no child was given. Aged-out children are refused unless
+    // `allowAgedOut` (feedback on tips they were shown earlier).
+    async childTarget(userId, childId, { allowAgedOut = false } = {}) {
+        if (childId === undefined || childId === null || childId === '') {
+            return null;
+        }
+        const id = Number(childId);
+        if (!Number.isInteger(id) || id <= 0) {
+            throw childTargetError(
+                'INVALID_CHILD',
+                'childId must be a positive integer',
+            );
+        }
+
+        const target = await milestoneService.upcoming(userId, id, { limit: 3 });
+        if (target.child.aged_out && !allowAgedOut) {
+            throw childTargetError(
+                'CHILD_AGED_OUT',
+                'Tips are written for children under 6',
+            );
+        }
+        return target;
+    }
+
+    // Prompt lines describing the targeted child: age, profile and the
+    // milestones they're working toward
+    childPromptContext(target) {
+        if (!target) return '';
+        const { child, milestones } = target;
+        const lines = [
+            `Child: ${child.nickname}, ${describeAge(child.age_months)} old. Every tip must suit this age.`,
+        ];
+        const profile = describeProfile(child);
+        if (profile.length > 0) lines.push(`About them: ${profile.join('; ')}`);
+        if (milestones.length > 0) {
+            lines.push(
+                `Working toward: ${milestones.map(m => `${m.title} (${m.domain})`).join('; ')}`,
+            );
+        }
+        if (child.interests?.length) {
+            lines.push('Build activities around their interests where it fits.');
+        }
+        if (child.home_languages?.length) {
+            lines.push(
+                `Encourage talking, reading and singing in ${child.home_languages.join(' or ')}; being bilingual is a strength.`,
+            );
+        }
+        if (child.temperament_notes) {
+            lines.push('Suggest approaches that suit their temperament.');
+        }
+        return lines.join('\n');
+    }
+
     // ---------- Embeddings ----------
     async generateTipEmbedding(tip) {
         try {
@@ -286,6 +361,7 @@ class PersonalizationService {
         query,
         limit = 10,
         contentPreferences = [],
+        target = null,
     ) {
         try {
             console.log(
@@ -298,7 +374,7 @@ class PersonalizationService {
             // Run independent work in parallel
             const [queryEmbedding, [userProfile], [dislikes], [interacted]] =
                 await Promise.all([
-                    this.generateQueryEmbedding(query),
+                    this.generateQueryEmbedding(scoringQuery(query, target)),
                     pool.query(
                         'SELECT preference_embedding FROM user_preference_profiles WHERE user_id = ?',
                         [userId],
@@ -400,6 +476,7 @@ class PersonalizationService {
                         details: hasPersonalization
                             ? `Personalized ${row.type} tip for "${cleanQuery}"`
                             : `${row.type} tip for "${cleanQuery}"`,
+                        childId: target ? target.child.id : undefined,
                         categories: [row.type].filter(Boolean),
                         query_relevance: Math.round(qSim * 1000) / 1000,
                         personal_match: Math.round(personal * 1000) / 1000,
@@ -450,6 +527,7 @@ class PersonalizationService {
         limit = 5,
         contentPreferences = [],
         onToken,
+        target = null,
     ) {
         try {
             console.log(
@@ -462,7 +540,7 @@ class PersonalizationService {
             // Run independent work in parallel: query embedding, profile, dislikes
             const [queryEmbedding, [userProfile], [dislikes]] =
                 await Promise.all([
-                    this.generateQueryEmbedding(query),
+                    this.generateQueryEmbedding(scoringQuery(query, target)),
                     pool.query(
                         'SELECT preference_embedding FROM user_preference_profiles WHERE user_id = ?',
                         [userId],
@@ -561,7 +639,7 @@ class PersonalizationService {
                 Math.min(limit * 2, 6), // Cap at 6 tips max for faster generation
                 contentPreferences,
                 queryKeywords,
-                onToken,
+                target,
             );
 
             // Score generated tips against query + userPreference + dislike penalty
@@ -632,6 +710,7 @@ class PersonalizationService {
                         similarity_score: Math.round(finalScore * 1000) / 1000,
                         query_relevance: Math.round(qSim * 1000) / 1000,
                         isGenerated: true,
+                        childId: target ? target.child.id : undefined,
                         __is_strong_match: qSim >= ON_TOPIC.STRONG_QUERY_SIM,
                     });
                 } catch (err) {
@@ -799,6 +878,7 @@ class PersonalizationService {
         count = 10,
         contentPreferences = [],
         queryKeywords = [],
+        target = null, // from childTarget()
     ) {
         const maxRetries = 3;
         let lastError = null;
@@ -842,6 +922,10 @@ Return JSON array:
                     }
                 }
 
+                if (target) {
+                    userMsg += `\n\n${this.childPromptContext(target)}`;
+                }
+
                 if (preferenceContext) {
                     // This may include RAG context if you feed it upstream
                     userMsg += `\n\nUser Context:\n${preferenceContext}`;
@@ -1012,12 +1096,15 @@ Return JSON array:
     }
 
     // ---------- Interactions & profiles ----------
-    async trackUserInteraction(userId, tipId, interactionType) {
+    // `childId` is the household child the tip was shown for, if any; a
+    // repeated like/dislike/save moves the interaction to the latest child
+    async trackUserInteraction(userId, tipId, interactionType, childId = null) {
         try {
             console.log('🔍 trackUserInteraction called with:', {
                 userId,
                 tipId,
                 interactionType,
+                childId,
             });
 
             // Verify tip & user
@@ -1042,8 +1129,10 @@ Return JSON array:
                     [userId, tipId],
                 );
                 await pool.query(
-                    'INSERT IGNORE INTO user_tip_interactions (user_id, tip_id, interaction_type) VALUES (?, ?, "like")',
-                    [userId, tipId],
+                    `INSERT INTO user_tip_interactions (user_id, tip_id, interaction_type, child_id)
+                     VALUES (?, ?, "like", ?)
+                     ON DUPLICATE KEY UPDATE child_id = VALUES(child_id)`,
+                    [userId, tipId, childId],
                 );
             } else if (interactionType === 'dislike') {
                 await pool.query(
@@ -1051,13 +1140,17 @@ Return JSON array:
                     [userId, tipId],
                 );
                 await pool.query(
-                    'INSERT IGNORE INTO user_tip_interactions (user_id, tip_id, interaction_type) VALUES (?, ?, "dislike")',
-                    [userId, tipId],
+                    `INSERT INTO user_tip_interactions (user_id, tip_id, interaction_type, child_id)
+                     VALUES (?, ?, "dislike", ?)
+                     ON DUPLICATE KEY UPDATE child_id = VALUES(child_id)`,
+                    [userId, tipId, childId],
                 );
             } else if (interactionType === 'save') {
                 await pool.query(
-                    'INSERT IGNORE INTO user_tip_interactions (user_id, tip_id, interaction_type) VALUES (?, ?, "save")',
-                    [userId, tipId],
+                    `INSERT INTO user_tip_interactions (user_id, tip_id, interaction_type, child_id)
+                     VALUES (?, ?, "save", ?)
+                     ON DUPLICATE KEY UPDATE child_id = VALUES(child_id)`,
+                    [userId, tipId, childId],
                 );
             } else if (interactionType === 'unsave') {
                 await pool.query(
@@ -1757,6 +1850,7 @@ Return JSON array:
         userId,
         query,
         contentPreferences = [],
+        target = null, // from childTarget()
         onTip, // async (tip) => void
         onPhase, // (phaseStr) => void
     }) {
@@ -1789,6 +1883,8 @@ Return JSON array:
                 userMsg += `\nPrioritize domains: ${allowed.join(', ')}.`;
         }
 
+        if (target) userMsg += `\n${this.childPromptContext(target)}`;
+
         onPhase?.('openai:starting');
 
         const stream = await openai.chat.completions.create({
@@ -1863,7 +1959,7 @@ Return JSON array:
         onPhase?.('openai:ended');
     }
 
-    async scoreSingleGeneratedTip({ userId, query, tip }) {
+    async scoreSingleGeneratedTip({ userId, query, tip, target = null }) {
         try {
             // fetch personalization signals
             const [[userProfile], [dislikes]] = await Promise.all([
@@ -1883,7 +1979,7 @@ Return JSON array:
             const queryEmbedding = await openai.embeddings
                 .create({
                     model: 'text-embedding-3-small',
-                    input: [query],
+                    input: [scoringQuery(query, target)],
                     encoding_format: 'float',
                 })
                 .then(r => r.data[0].embedding);
@@ -1960,6 +2056,7 @@ Return JSON array:
                 personal_match: Math.round(personal * 1000) / 1000,
                 similarity_score: Math.round(final * 1000) / 1000,
                 query_relevance: Math.round(qSim * 1000) / 1000,
+                childId: target ? target.child.id : undefined,
             };
         } catch (e) {
             console.error('scoreSingleGeneratedTip error:', e.message);
@@ -1968,35 +2065,46 @@ Return JSON array:
     }
 
     // ---------- Location-Based AI Tips ----------
-    async generateLocationBasedTips({ userId, locationName, locationType, children, preferences = [] }) {
+    // `milestones` is milestoneService.upcomingForUser output; tips are nudged
+    // toward what each child is working on next
+    async generateLocationBasedTips({ userId, locationName, locationType, children, milestones = [], preferences = [] }) {
         try {
             console.log(`🗺️  Generating location-based tips for user ${userId} at ${locationName} (${locationType})`);
 
-            // Build child context
+            // Build child context; ages are in months so a 14-month-old and
+            // a 23-month-old get different tips, and each child's interests,
+            // home languages and temperament ride along
             const childContext = children && children.length > 0
-                ? children.map(c => `${c.nickname} (age ${c.age})`).join(', ')
+                ? children.map(c => `${c.nickname} (${[describeAge(c.age_months), ...describeProfile(c)].join('; ')})`).join(', ')
                 : 'their child';
+            const hasInterests = children?.some(c => c.interests?.length);
+            const homeLanguages = [...new Set((children || []).flatMap(c => c.home_languages || []))];
 
             const childAges = children && children.length > 0
-                ? children.map(c => c.age).join(', ')
-                : '3';
+                ? children.map(c => `${describeAge(c.age_months)} old`).join(', ')
+                : 'a child aged 0-5';
 
             // Build preference context
             const preferenceContext = preferences.length > 0
                 ? preferences.join(', ')
                 : 'Language Development, Early Science Skills, Literacy Foundations, Social-Emotional Learning';
 
+            const milestoneContext = milestones
+                .filter(entry => entry.milestones.length > 0)
+                .map(entry => `${entry.child.nickname}: ${entry.milestones.map(m => `${m.title} (${m.domain})`).join('; ')}`)
+                .join('\n');
+
             // Build location-specific prompt
             const userMsg = `Generate 3 specific, actionable parenting tips for a parent visiting ${locationName} (a ${locationType}) with their ${children?.length === 1 ? 'child' : 'children'}: ${childContext}.
 
 User prefers activities in: ${preferenceContext}
-
+${milestoneContext ? `\nMilestones each child is working toward next (where it fits the location, help practise one):\n${milestoneContext}\n` : ''}
 STRICT RULES:
 - ONLY provide tips within these 4 domains: Language Development, Early Science Skills, Literacy Foundations, Social-Emotional Learning
-- Each tip must be age-appropriate for ${childAges} year old(s)
+- Each tip must be developmentally appropriate for: ${childAges}
 - Each tip must be specific to visiting a ${locationType}
 - Include concrete, actionable activities parents can do at this location
-- Keep tips practical and easy to implement
+${hasInterests ? "- Where it fits, build activities around each child's interests\n" : ''}${homeLanguages.length ? `- Encourage talking in the home language (${homeLanguages.join(', ')}); being bilingual is a strength\n` : ''}- Keep tips practical and easy to implement
 - NO medical, sleep, eating, discipline, or screen time advice
 
 Return JSON array:
@@ -0,0 +1,102 @@
+import pool from '../config/db.js';
+
+// What each role may do. Routes check permissions, never role names, so a
+// role can be widened here without touching them.
+//   analytics:read - aggregate dashboard figures (no names or emails)
+//   users:read     - user lists and per-family details
+//   users:manage   - grant roles, unlock accounts
+//   tips:write     - create and edit the tip catalogue
+//   security:read  - the security audit log
+export const ROLE_PERMISSIONS = {
+    admin: [
+        'analytics:read',
+        'users:read',
+        'users:manage',
+        'tips:write',
+        'security:read',
+    ],
+    researcher: ['analytics:read'],
+    content_editor: ['tips:write'],
+    coach: ['analytics:read', 'users:read'],
+};
+
+export const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Roles that must enable two-factor authentication before their permissions
+// apply, e.g. REQUIRE_2FA_ROLES=admin,coach (unset: never required)
+export const twoFactorRequiredFor = roles => {
+    const required = String(process.env.REQUIRE_2FA_ROLES || '')
+        .split(',')
+        .map(role => role.trim())
+        .filter(Boolean);
+    return roles.some(role => required.includes(role));
+};
+
+export const permissionsFor = roles => [
+    ...new Set(roles.flatMap(role => ROLE_PERMISSIONS[role] || [])),
+];
+
+const roleError = (code, message) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+class RoleService {
+    async getRoles(userId, db = pool) {
+        const [rows] = await db.query(
+            'SELECT role FROM user_roles WHERE user_id = ? ORDER BY role',
+            [userId],
+        );
+        return rows.map(row => row.role);
+    }
+
+    // Replace the user's roles. Refuses to remove the last admin.
+    async setRoles(userId, roles, grantedBy = null) {
+        const unknown = roles.filter(role => !ROLES.includes(role));
+        if (unknown.length > 0) {
+            throw roleError(
+                'INVALID_ROLE',
+                `Unknown role: ${unknown.join(', ')}`,
+            );
+        }
+
+        const connection = await pool.getConnection();
+        try {
+            await connection.beginTransaction();
+
+            const current = await this.getRoles(userId, connection);
+            if (current.includes('admin') && !roles.includes('admin')) {
+                const [admins] = await connection.query(
+                    "SELECT COUNT(*) AS count FROM user_roles WHERE role = 'admin' FOR UPDATE",
+                );
+                if (admins[0].count <= 1) {
+                    throw roleError(
+                        'LAST_ADMIN',
+                        'Cannot remove admin status from the last admin user',
+                    );
+                }
+            }
+
+            await connection.query('DELETE FROM user_roles WHERE user_id = ?', [
+                userId,
+            ]);
+            for (const role of new Set(roles)) {
+                await connection.query(
+                    'INSERT INTO user_roles (user_id, role, granted_by) VALUES (?, ?, ?)',
+                    [userId, role, grantedBy],
+                );
+            }
+
+            await connection.commit();
+            return [...new Set(roles)].sort();
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+}
+
+export default new RoleService();
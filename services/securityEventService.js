@@ -0,0 +1,125 @@
+import pool from '../config/db.js';
+
+// Every event type written to security_events
+export const SECURITY_EVENTS = [
+    'register',
+    'login',
+    'login_2fa',
+    'logout',
+    'token_refresh',
+    'password_change',
+    'password_reset_request',
+    'password_reset',
+    'email_verify',
+    'account_lock',
+    'account_unlock',
+    'account_delete',
+    'account_restore',
+    'session_revoke',
+    'oauth_link',
+    'oauth_unlink',
+    'two_factor_enable',
+    'two_factor_disable',
+    'two_factor_reset',
+    'recovery_codes_regenerate',
+    'data_export',
+    'role_change',
+];
+
+export const SECURITY_OUTCOMES = ['success', 'failure', 'blocked'];
+
+const MAX_PAGE_SIZE = 200;
+
+// Append-only audit trail for account and admin actions. Rows are never
+// deleted and are kept when an account is purged; the purge only clears
+// their IP address, user agent and email.
+class SecurityEventService {
+    // Write one event. `actorId` defaults to the signed-in user and
+    // `targetId` to the actor. Never throws: a failed audit write is logged
+    // rather than failing the request it describes.
+    async record(
+        req,
+        event,
+        { actorId, targetId, outcome = 'success', details = null } = {},
+    ) {
+        const actor = actorId !== undefined ? actorId : req.user?.id || null;
+        try {
+            await pool.query(
+                `INSERT INTO security_events
+                   (event_type, outcome, actor_id, target_id, ip_address, user_agent, details)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    event,
+                    outcome,
+                    actor,
+                    targetId !== undefined ? targetId : actor,
+                    req.ip || req.socket?.remoteAddress || null,
+                    String(req.headers?.['user-agent'] || '').slice(0, 512) ||
+                        null,
+                    details ? JSON.stringify(details) : null,
+                ],
+            );
+        } catch (error) {
+            console.error(`Failed to record security event ${event}:`, error);
+        }
+    }
+
+    // Filter by user (as actor or target), event type, outcome and time
+    // range. Newest first; returns { events, total }.
+    async query({ userId, event, outcome, from, to, limit = 50, offset = 0 }) {
+        const conditions = [];
+        const params = [];
+
+        if (userId) {
+            conditions.push('(actor_id = ? OR target_id = ?)');
+            params.push(userId, userId);
+        }
+        if (event) {
+            conditions.push('event_type = ?');
+            params.push(event);
+        }
+        if (outcome) {
+            conditions.push('outcome = ?');
+            params.push(outcome);
+        }
+        if (from) {
+            conditions.push('created_at >= ?');
+            params.push(from);
+        }
+        if (to) {
+            conditions.push('created_at <= ?');
+            params.push(to);
+        }
+
+        const where = conditions.length
+            ? `WHERE ${conditions.join(' AND ')}`
+            : '';
+        const pageSize = Math.min(Math.max(limit, 1), MAX_PAGE_SIZE);
+
+        const [events] = await pool.query(
+            `SELECT id, event_type, outcome, actor_id, target_id, ip_address,
+                    user_agent, details, created_at
+             FROM security_events ${where}
+             ORDER BY created_at DESC, id DESC
+             LIMIT ? OFFSET ?`,
+            [...params, pageSize, Math.max(offset, 0)],
+        );
+        const [count] = await pool.query(
+            `SELECT COUNT(*) AS total FROM security_events ${where}`,
+            params,
+        );
+
+        return {
+            events: events.map(event => ({
+                ...event,
+                details:
+                    typeof event.details === 'string'
+                        ? JSON.parse(event.details)
+                        : event.details,
+            })),
+            total: Number(count[0].total),
+        };
+    }
+}
+
+export default new SecurityEventService();
@@ -0,0 +1,294 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import pool from '../config/db.js';
+import roleService, {
+    permissionsFor,
+    twoFactorRequiredFor,
+} from './roleService.js';
+
+const ACCESS_TOKEN_TTL = '7d';
+const REFRESH_TOKEN_TTL_DAYS = 30;
+
+const JWT_SECRET = () => process.env.JWT_SECRET || 'your_jwt_secret';
+const REFRESH_SECRET = () =>
+    process.env.REFRESH_SECRET || 'your_refresh_secret';
+
+// Only a hash of the refresh token id is stored, never the token itself
+const hashToken = value =>
+    crypto.createHash('sha256').update(String(value)).digest('hex');
+
+const sessionError = (code, message) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+// Pull device metadata off the request so every login path records the same fields
+export function deviceFromRequest(req) {
+    const body = req.body || {};
+    return {
+        deviceName:
+            String(body.deviceName || body.device_name || '')
+                .trim()
+                .slice(0, 255) || null,
+        userAgent:
+            String(req.headers?.['user-agent'] || '').slice(0, 512) || null,
+        ip: req.ip || req.socket?.remoteAddress || null,
+    };
+}
+
+class SessionService {
+    // `user.roles` is informational for clients; the server re-reads roles
+    // from the database on every request
+    signAccessToken(user, sessionId) {
+        const roles = user.roles || [];
+        return jwt.sign(
+            {
+                id: user.id,
+                roles,
+                isAdmin: roles.includes('admin'),
+                sid: sessionId,
+                tv: user.token_version || 0,
+            },
+            JWT_SECRET(),
+            { expiresIn: ACCESS_TOKEN_TTL },
+        );
+    }
+
+    signRefreshToken(user, sessionId, jti) {
+        return jwt.sign(
+            { id: user.id, sid: sessionId, jti },
+            REFRESH_SECRET(),
+            {
+                expiresIn: `${REFRESH_TOKEN_TTL_DAYS}d`,
+            },
+        );
+    }
+
+    // Create a new device session and return its access/refresh pair.
+    // Pass a transaction connection as `db` to enlist the insert in it.
+    async createSession(user, device = {}, db = pool) {
+        const jti = crypto.randomBytes(32).toString('hex');
+        const expiresAt = new Date(
+            Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 3600000,
+        );
+
+        const [result] = await db.query(
+            `INSERT INTO user_sessions
+               (user_id, refresh_token_hash, device_name, user_agent, ip_address, expires_at)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [
+                user.id,
+                hashToken(jti),
+                device.deviceName || null,
+                device.userAgent || null,
+                device.ip || null,
+                expiresAt,
+            ],
+        );
+        const sessionId = result.insertId;
+        const roles = user.roles || (await roleService.getRoles(user.id, db));
+
+        return {
+            session_id: sessionId,
+            access_token: this.signAccessToken({ ...user, roles }, sessionId),
+            refresh_token: this.signRefreshToken(user, sessionId, jti),
+        };
+    }
+
+    // Exchange a refresh token for a fresh pair. The presented token is
+    // consumed: presenting it again revokes the whole session (reuse detection).
+    async rotateSession(refreshToken, device = {}) {
+        let decoded;
+        try {
+            decoded = jwt.verify(refreshToken, REFRESH_SECRET());
+        } catch (error) {
+            throw sessionError(
+                'INVALID_REFRESH_TOKEN',
+                'Invalid refresh token',
+            );
+        }
+
+        if (!decoded.sid) {
+            return this.upgradeLegacyToken(refreshToken, decoded, device);
+        }
+
+        const [rows] = await pool.query(
+            `SELECT s.id, s.user_id, s.refresh_token_hash, s.expires_at, s.revoked_at,
+                    u.token_version
+             FROM user_sessions s
+             JOIN users u ON u.id = s.user_id
+             WHERE s.id = ? AND s.user_id = ?`,
+            [decoded.sid, decoded.id],
+        );
+        const session = rows[0];
+
+        if (!session || session.revoked_at) {
+            throw sessionError(
+                'INVALID_REFRESH_TOKEN',
+                'Invalid refresh token',
+            );
+        }
+
+        if (session.refresh_token_hash !== hashToken(decoded.jti)) {
+            // An already-rotated token came back: assume it was stolen
+            console.warn(
+                `⚠️  Refresh token reuse detected for session ${session.id} (user ${session.user_id}) - revoking`,
+            );
+            await pool.query(
+                "UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = 'reuse_detected' WHERE id = ?",
+                [session.id],
+            );
+            throw sessionError(
+                'REFRESH_TOKEN_REUSED',
+                'Refresh token has already been used',
+            );
+        }
+
+        if (new Date(session.expires_at) <= new Date()) {
+            throw sessionError(
+                'INVALID_REFRESH_TOKEN',
+                'Refresh token expired',
+            );
+        }
+
+        const jti = crypto.randomBytes(32).toString('hex');
+        const [result] = await pool.query(
+            `UPDATE user_sessions
+             SET refresh_token_hash = ?, last_used_at = NOW(),
+                 user_agent = COALESCE(?, user_agent), ip_address = COALESCE(?, ip_address)
+             WHERE id = ? AND refresh_token_hash = ? AND revoked_at IS NULL`,
+            [
+                hashToken(jti),
+                device.userAgent || null,
+                device.ip || null,
+                session.id,
+                session.refresh_token_hash,
+            ],
+        );
+        if (result.affectedRows === 0) {
+            // Lost a race with a concurrent refresh of the same token
+            throw sessionError(
+                'REFRESH_TOKEN_REUSED',
+                'Refresh token has already been used',
+            );
+        }
+
+        const user = {
+            id: session.user_id,
+            roles: await roleService.getRoles(session.user_id),
+            token_version: session.token_version,
+        };
+        return {
+            session_id: session.id,
+            access_token: this.signAccessToken(user, session.id),
+            refresh_token: this.signRefreshToken(user, session.id, jti),
+        };
+    }
+
+    // Tokens issued before per-device sessions live in users.refresh_token.
+    // Accept them once and move the device onto its own session.
+    async upgradeLegacyToken(refreshToken, decoded, device) {
+        const [rows] = await pool.query(
+            'SELECT id, token_version FROM users WHERE id = ? AND refresh_token = ? AND deleted_at IS NULL',
+            [decoded.id, refreshToken],
+        );
+        if (rows.length === 0) {
+            throw sessionError(
+                'INVALID_REFRESH_TOKEN',
+                'Invalid refresh token',
+            );
+        }
+
+        await pool.query('UPDATE users SET refresh_token = NULL WHERE id = ?', [
+            decoded.id,
+        ]);
+        return this.createSession(rows[0], device);
+    }
+
+    // Verify an access token and check it has not been revoked since it was
+    // issued. Returns the token claims with roles, permissions, 2FA state and
+    // emailVerified read from the database.
+    async verifyAccessToken(token) {
+        const decoded = jwt.verify(token, JWT_SECRET());
+
+        const [rows] = await pool.query(
+            `SELECT u.token_version, u.email_verified_at, u.deleted_at,
+                    (SELECT GROUP_CONCAT(r.role) FROM user_roles r WHERE r.user_id = u.id) AS roles,
+                    EXISTS (SELECT 1 FROM user_totp t
+                            WHERE t.user_id = u.id AND t.confirmed_at IS NOT NULL) AS totp_enabled,
+                    s.id AS session_id, s.revoked_at
+             FROM users u
+             LEFT JOIN user_sessions s ON s.id = ? AND s.user_id = u.id
+             WHERE u.id = ?`,
+            [decoded.sid || null, decoded.id],
+        );
+        const row = rows[0];
+
+        if (
+            !row ||
+            row.deleted_at ||
+            (decoded.tv || 0) !== row.token_version
+        ) {
+            throw sessionError('TOKEN_REVOKED', 'Token has been revoked');
+        }
+        if (decoded.sid && (!row.session_id || row.revoked_at)) {
+            throw sessionError('TOKEN_REVOKED', 'Session has been revoked');
+        }
+
+        const roles = row.roles ? row.roles.split(',') : [];
+        return {
+            ...decoded,
+            roles,
+            permissions: permissionsFor(roles),
+            isAdmin: roles.includes('admin'),
+            twoFactorEnabled: !!row.totp_enabled,
+            twoFactorSetupRequired:
+                !row.totp_enabled && twoFactorRequiredFor(roles),
+            emailVerified: !!row.email_verified_at,
+        };
+    }
+
+    // Invalidate every access token issued to the user so far. With
+    // `revokeSessions` the refresh tokens go too and every device must log in again.
+    async bumpTokenVersion(userId, { revokeSessions = false, db = pool } = {}) {
+        await db.query(
+            'UPDATE users SET token_version = token_version + 1 WHERE id = ?',
+            [userId],
+        );
+        if (revokeSessions) {
+            await this.revokeAllSessions(userId, 'credentials_changed', db);
+        }
+    }
+
+    async listSessions(userId) {
+        const [rows] = await pool.query(
+            `SELECT id, device_name, user_agent, ip_address, created_at, last_used_at, expires_at
+             FROM user_sessions
+             WHERE user_id = ? AND revoked_at IS NULL AND expires_at > NOW()
+             ORDER BY COALESCE(last_used_at, created_at) DESC`,
+            [userId],
+        );
+        return rows;
+    }
+
+    async revokeSession(userId, sessionId, reason = 'revoked') {
+        const [result] = await pool.query(
+            `UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = ?
+             WHERE id = ? AND user_id = ? AND revoked_at IS NULL`,
+            [reason, sessionId, userId],
+        );
+        return result.affectedRows > 0;
+    }
+
+    async revokeAllSessions(userId, reason = 'revoked', db = pool) {
+        const [result] = await db.query(
+            `UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = ?
+             WHERE user_id = ? AND revoked_at IS NULL`,
+            [reason, userId],
+        );
+        return result.affectedRows;
+    }
+}
+
+export default new SessionService();
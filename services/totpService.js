@@ -0,0 +1,261 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import pool from '../config/db.js';
+import { TOTP_DIGITS, base32Decode, base32Encode, hotp } from '../utils/totp.js';
+
+const ISSUER = 'Talk Around Town';
+const PERIOD_SECONDS = 30;
+const DRIFT_STEPS = 1; // accept the previous and next code too
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TTL = '5m';
+
+const JWT_SECRET = () => process.env.JWT_SECRET || 'your_jwt_secret';
+// Challenges use a derived key so they can never pass as access tokens
+const CHALLENGE_SECRET = () => `${JWT_SECRET()}:2fa-challenge`;
+
+// Secrets are stored encrypted; the key comes from TOTP_ENCRYPTION_KEY
+// (falling back to the JWT secret so development setups work unchanged)
+const encryptionKey = () =>
+    crypto
+        .createHash('sha256')
+        .update(process.env.TOTP_ENCRYPTION_KEY || JWT_SECRET())
+        .digest();
+
+const sha256 = value => crypto.createHash('sha256').update(value).digest('hex');
+
+const totpError = (code, message) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+const encrypt = plaintext => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+    const ciphertext = Buffer.concat([
+        cipher.update(plaintext, 'utf8'),
+        cipher.final(),
+    ]);
+    return [iv, cipher.getAuthTag(), ciphertext]
+        .map(part => part.toString('hex'))
+        .join(':');
+};
+
+const decrypt = stored => {
+    const [iv, tag, ciphertext] = stored
+        .split(':')
+        .map(part => Buffer.from(part, 'hex'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([
+        decipher.update(ciphertext),
+        decipher.final(),
+    ]).toString('utf8');
+};
+
+const currentStep = () => Math.floor(Date.now() / 1000 / PERIOD_SECONDS);
+
+// Recovery codes look like "3f9a1-c07d2"; compare without the dash or case
+const normalizeRecoveryCode = code =>
+    String(code || '')
+        .toLowerCase()
+        .replace(/[^0-9a-f]/g, '');
+
+class TotpService {
+    // Time step the code matches (within the drift window), or null
+    matchCode(secretBase32, code, afterStep = -1) {
+        const candidate = String(code || '').replace(/\s/g, '');
+        if (!/^\d{6}$/.test(candidate)) return null;
+
+        const secret = base32Decode(secretBase32);
+        const now = currentStep();
+        for (let step = now - DRIFT_STEPS; step <= now + DRIFT_STEPS; step++) {
+            if (step <= afterStep) continue;
+            const expected = hotp(secret, step);
+            if (
+                crypto.timingSafeEqual(
+                    Buffer.from(expected),
+                    Buffer.from(candidate),
+                )
+            ) {
+                return step;
+            }
+        }
+        return null;
+    }
+
+    async isEnabled(userId) {
+        const [rows] = await pool.query(
+            'SELECT 1 FROM user_totp WHERE user_id = ? AND confirmed_at IS NOT NULL',
+            [userId],
+        );
+        return rows.length > 0;
+    }
+
+    // Begin (or restart) enrollment. Returns the secret and otpauth URI for
+    // the authenticator app; nothing is enforced until confirmEnrollment.
+    async startEnrollment(userId, email) {
+        if (await this.isEnabled(userId)) {
+            throw totpError(
+                'ALREADY_ENABLED',
+                'Two-factor authentication is already enabled',
+            );
+        }
+
+        const secret = base32Encode(crypto.randomBytes(20));
+        await pool.query(
+            `INSERT INTO user_totp (user_id, secret_encrypted) VALUES (?, ?)
+             ON DUPLICATE KEY UPDATE secret_encrypted = VALUES(secret_encrypted),
+                 confirmed_at = NULL, last_used_step = NULL, created_at = NOW()`,
+            [userId, encrypt(secret)],
+        );
+
+        const label = encodeURIComponent(`${ISSUER}:${email}`);
+        const params = new URLSearchParams({
+            secret,
+            issuer: ISSUER,
+            algorithm: 'SHA1',
+            digits: String(TOTP_DIGITS),
+            period: String(PERIOD_SECONDS),
+        });
+        return { secret, otpauthUri: `otpauth://totp/${label}?${params}` };
+    }
+
+    // Turn 2FA on once the user proves the app is set up. Returns recovery codes.
+    async confirmEnrollment(userId, code) {
+        const [rows] = await pool.query(
+            'SELECT secret_encrypted, confirmed_at FROM user_totp WHERE user_id = ?',
+            [userId],
+        );
+        if (rows.length === 0) {
+            throw totpError('NOT_ENROLLED', 'Start two-factor setup first');
+        }
+        if (rows[0].confirmed_at) {
+            throw totpError(
+                'ALREADY_ENABLED',
+                'Two-factor authentication is already enabled',
+            );
+        }
+
+        const step = this.matchCode(decrypt(rows[0].secret_encrypted), code);
+        if (step === null) {
+            throw totpError('INVALID_CODE', 'Invalid authentication code');
+        }
+
+        await pool.query(
+            'UPDATE user_totp SET confirmed_at = NOW(), last_used_step = ? WHERE user_id = ?',
+            [step, userId],
+        );
+        return this.regenerateRecoveryCodes(userId);
+    }
+
+    // Check a code from the authenticator app. Each code works once.
+    async verifyCode(userId, code) {
+        const [rows] = await pool.query(
+            'SELECT secret_encrypted, last_used_step FROM user_totp WHERE user_id = ? AND confirmed_at IS NOT NULL',
+            [userId],
+        );
+        if (rows.length === 0) return false;
+
+        const step = this.matchCode(
+            decrypt(rows[0].secret_encrypted),
+            code,
+            rows[0].last_used_step ?? -1,
+        );
+        if (step === null) return false;
+
+        // Guard against the same code being replayed concurrently
+        const [result] = await pool.query(
+            `UPDATE user_totp SET last_used_step = ?
+             WHERE user_id = ? AND (last_used_step IS NULL OR last_used_step < ?)`,
+            [step, userId, step],
+        );
+        return result.affectedRows > 0;
+    }
+
+    // Consume a single-use recovery code
+    async useRecoveryCode(userId, code) {
+        const normalized = normalizeRecoveryCode(code);
+        if (!normalized) return false;
+
+        const [result] = await pool.query(
+            `UPDATE user_recovery_codes SET used_at = NOW()
+             WHERE user_id = ? AND code_hash = ? AND used_at IS NULL`,
+            [userId, sha256(normalized)],
+        );
+        return result.affectedRows > 0;
+    }
+
+    // Replace every recovery code. The plain codes are returned only here.
+    async regenerateRecoveryCodes(userId) {
+        const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+            const hex = crypto.randomBytes(5).toString('hex');
+            return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+        });
+
+        await pool.query('DELETE FROM user_recovery_codes WHERE user_id = ?', [
+            userId,
+        ]);
+        for (const code of codes) {
+            await pool.query(
+                'INSERT INTO user_recovery_codes (user_id, code_hash) VALUES (?, ?)',
+                [userId, sha256(normalizeRecoveryCode(code))],
+            );
+        }
+        return codes;
+    }
+
+    async remainingRecoveryCodes(userId) {
+        const [rows] = await pool.query(
+            'SELECT COUNT(*) AS count FROM user_recovery_codes WHERE user_id = ? AND used_at IS NULL',
+            [userId],
+        );
+        return Number(rows[0].count);
+    }
+
+    async disable(userId) {
+        await pool.query('DELETE FROM user_recovery_codes WHERE user_id = ?', [
+            userId,
+        ]);
+        const [result] = await pool.query(
+            'DELETE FROM user_totp WHERE user_id = ?',
+            [userId],
+        );
+        return result.affectedRows > 0;
+    }
+
+    // Short-lived token proving the first factor passed. Tied to the token
+    // version so a password reset invalidates pending challenges.
+    createChallenge(user) {
+        return jwt.sign(
+            { id: user.id, purpose: '2fa', tv: user.token_version || 0 },
+            CHALLENGE_SECRET(),
+            { expiresIn: CHALLENGE_TTL },
+        );
+    }
+
+    // Returns the user id of a valid challenge, or null
+    async verifyChallenge(challengeToken) {
+        let decoded;
+        try {
+            decoded = jwt.verify(
+                String(challengeToken || ''),
+                CHALLENGE_SECRET(),
+            );
+        } catch (error) {
+            return null;
+        }
+        if (decoded.purpose !== '2fa') return null;
+
+        const [rows] = await pool.query(
+            'SELECT token_version FROM users WHERE id = ?',
+            [decoded.id],
+        );
+        if (rows.length === 0 || rows[0].token_version !== decoded.tv) {
+            return null;
+        }
+        return decoded.id;
+    }
+}
+
+export default new TotpService();
@@ -0,0 +1,310 @@
+import fs from 'fs/promises';
+import path from 'path';
+import pool from '../config/db.js';
+import sessionService from './sessionService.js';
+import householdService from './householdService.js';
+
+export const EXPORT_FORMAT_VERSION = 1;
+
+// Days a deleted account can still be restored before it is purged
+const DELETION_GRACE_DAYS =
+    parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 30;
+
+const AUDIO_DIR = path.join(process.cwd(), 'public', 'audio');
+
+// Every table that holds rows belonging to a user, keyed by the column that
+// points at users.id. Add new user-owned tables here so the export and the
+// purge job pick them up. The purge deletes in reverse order, so list a
+// table after the tables it references.
+//   single  - at most one row per user, exported as an object
+//   omit    - columns never included in an export (secrets, device tokens,
+//             model vectors)
+//   exportAs - section name in the export; tables without it are not exported
+//   file    - column naming a file under public/audio, removed on purge
+//   where   - condition used instead of `column` for rows that reference
+//             the user indirectly; every ? in it is the user id
+//   pseudonymize - SET clause the purge applies instead of deleting, for
+//             rows that must be kept (the append-only audit log)
+export const USER_DATA_TABLES = [
+    {
+        table: 'users',
+        column: 'id',
+        exportAs: 'profile',
+        single: true,
+        omit: [
+            'password',
+            'refresh_token',
+            'reset_token',
+            'reset_token_expires',
+            'android_token',
+            'ios_token',
+            'token_version',
+            'locked_until',
+        ],
+    },
+    { table: 'user_roles', column: 'user_id', exportAs: 'roles' },
+    { table: 'children', column: 'user_id', exportAs: 'children' },
+    {
+        table: 'child_milestones',
+        where: 'child_id IN (SELECT id FROM children WHERE user_id = ?)',
+        exportAs: 'child_milestones',
+    },
+    { table: 'locations', column: 'user_id', exportAs: 'locations' },
+    // Household members' talk moments with this user's children
+    {
+        table: 'talk_moments',
+        where: 'child_id IN (SELECT id FROM children WHERE user_id = ?)',
+    },
+    { table: 'talk_moments', column: 'user_id', exportAs: 'talk_moments' },
+    { table: 'location_visits', column: 'user_id', exportAs: 'location_visits' },
+    // Household members' notifications at this user's places
+    {
+        table: 'notifications',
+        where: 'loc_id IN (SELECT id FROM locations WHERE user_id = ?)',
+    },
+    {
+        table: 'notifications',
+        column: 'user_id',
+        exportAs: 'notifications',
+        omit: ['device_id'],
+    },
+    { table: 'app_sessions', column: 'user_id', exportAs: 'app_sessions' },
+    {
+        table: 'user_tip_interactions',
+        column: 'user_id',
+        exportAs: 'tip_interactions',
+    },
+    {
+        table: 'user_survey_responses',
+        column: 'user_id',
+        exportAs: 'survey_responses',
+        single: true,
+    },
+    {
+        table: 'user_preference_profiles',
+        column: 'user_id',
+        exportAs: 'preference_profile',
+        single: true,
+        omit: ['preference_embedding', 'survey_embedding'],
+    },
+    { table: 'survey_preference_embeddings', column: 'user_id' },
+    {
+        table: 'user_sessions',
+        column: 'user_id',
+        exportAs: 'signed_in_devices',
+        omit: ['refresh_token_hash'],
+    },
+    {
+        table: 'user_identities',
+        column: 'user_id',
+        exportAs: 'linked_providers',
+        omit: ['provider_subject'],
+    },
+    {
+        table: 'household_members',
+        column: 'user_id',
+        exportAs: 'household_membership',
+        single: true,
+    },
+    { table: 'email_verifications', column: 'user_id' },
+    { table: 'password_reset_tokens', column: 'user_id' },
+    { table: 'login_otps', column: 'user_id' },
+    { table: 'account_unlock_tokens', column: 'user_id' },
+    // Attempts are also recorded by email before an account is matched
+    {
+        table: 'auth_attempts',
+        where: 'user_id = ? OR email = (SELECT LOWER(email) FROM users WHERE id = ?)',
+        exportAs: 'sign_in_attempts',
+    },
+    { table: 'user_totp', column: 'user_id' },
+    { table: 'user_recovery_codes', column: 'user_id' },
+    { table: 'password_history', column: 'user_id' },
+    { table: 'household_invitations', column: 'invited_by' },
+    {
+        table: 'email_outbox',
+        column: 'user_id',
+        exportAs: 'emails',
+        omit: ['text_body', 'html_body'],
+    },
+    { table: 'generated_audio', column: 'user_id', file: 'file_name' },
+    // Audit events stay after a purge (see
+    // migration_security_events_pseudonymize.sql); only the IP, user agent
+    // and email are cleared. Events for unknown accounts carry the email only.
+    {
+        table: 'security_events',
+        where: `? IN (actor_id, target_id)
+                OR LOWER(JSON_UNQUOTE(JSON_EXTRACT(details, '$.email'))) =
+                   (SELECT LOWER(email) FROM users WHERE id = ?)`,
+        exportAs: 'security_events',
+        pseudonymize:
+            "ip_address = NULL, user_agent = NULL, details = JSON_REMOVE(details, '$.email')",
+    },
+];
+
+// The condition selecting an entry's rows for a user, with its parameters
+const rowsOf = (entry, userId) =>
+    entry.where
+        ? {
+              condition: entry.where,
+              params: entry.where.split('?').slice(1).map(() => userId),
+          }
+        : { condition: '?? = ?', params: [entry.column, userId] };
+
+const stripColumns = (row, omit = []) => {
+    const copy = { ...row };
+    for (const column of omit) delete copy[column];
+    return copy;
+};
+
+class UserDataService {
+    // Everything we hold about a user as one JSON-serialisable object
+    async exportUserData(userId) {
+        const data = {
+            format_version: EXPORT_FORMAT_VERSION,
+            exported_at: new Date().toISOString(),
+            user_id: userId,
+        };
+
+        for (const entry of USER_DATA_TABLES) {
+            if (!entry.exportAs) continue;
+
+            const { condition, params } = rowsOf(entry, userId);
+            let rows;
+            try {
+                [rows] = await pool.query(
+                    `SELECT * FROM ?? WHERE ${condition}`,
+                    [entry.table, ...params],
+                );
+            } catch (error) {
+                // Optional feature tables may not be migrated everywhere yet
+                if (error.code === 'ER_NO_SUCH_TABLE') continue;
+                throw error;
+            }
+
+            const cleaned = rows.map(row => stripColumns(row, entry.omit));
+            data[entry.exportAs] = entry.single
+                ? cleaned[0] || null
+                : cleaned;
+        }
+
+        return data;
+    }
+
+    // Disable the account right away and schedule the purge. Every device is
+    // signed out and push tokens are dropped. Returns the purge date, or null
+    // if the account was already scheduled.
+    async requestDeletion(userId) {
+        const connection = await pool.getConnection();
+        try {
+            await connection.beginTransaction();
+
+            const [result] = await connection.query(
+                `UPDATE users
+                 SET deleted_at = NOW(), purge_after = NOW() + INTERVAL ? DAY,
+                     android_token = NULL, ios_token = NULL, refresh_token = NULL
+                 WHERE id = ? AND deleted_at IS NULL`,
+                [DELETION_GRACE_DAYS, userId],
+            );
+            if (result.affectedRows === 0) {
+                await connection.rollback();
+                return null;
+            }
+
+            await sessionService.bumpTokenVersion(userId, {
+                revokeSessions: true,
+                db: connection,
+            });
+
+            const [rows] = await connection.query(
+                'SELECT purge_after FROM users WHERE id = ?',
+                [userId],
+            );
+            await connection.commit();
+            return rows[0].purge_after;
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    // Cancel a pending deletion. Fails once the grace period is over.
+    async restoreAccount(userId) {
+        const [result] = await pool.query(
+            `UPDATE users SET deleted_at = NULL, purge_after = NULL
+             WHERE id = ? AND deleted_at IS NOT NULL AND purge_after > NOW()`,
+            [userId],
+        );
+        return result.affectedRows > 0;
+    }
+
+    // Remove every row the user owns (clearing the personal columns of rows
+    // that are kept), then their generated files
+    async purgeUser(userId) {
+        const files = [];
+        const connection = await pool.getConnection();
+        try {
+            await connection.beginTransaction();
+            await householdService.detachUser(userId, connection);
+
+            for (const entry of [...USER_DATA_TABLES].reverse()) {
+                try {
+                    if (entry.file) {
+                        const [rows] = await connection.query(
+                            'SELECT ?? AS file FROM ?? WHERE ?? = ?',
+                            [entry.file, entry.table, entry.column, userId],
+                        );
+                        files.push(...rows.map(row => row.file));
+                    }
+                    const { condition, params } = rowsOf(entry, userId);
+                    await connection.query(
+                        entry.pseudonymize
+                            ? `UPDATE ?? SET ${entry.pseudonymize} WHERE ${condition}`
+                            : `DELETE FROM ?? WHERE ${condition}`,
+                        [entry.table, ...params],
+                    );
+                } catch (error) {
+                    if (error.code === 'ER_NO_SUCH_TABLE') continue;
+                    throw error;
+                }
+            }
+
+            await connection.commit();
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+
+        for (const file of files) {
+            await fs
+                .rm(path.join(AUDIO_DIR, path.basename(file)), { force: true })
+                .catch(error =>
+                    console.error(`Failed to remove ${file}:`, error.message),
+                );
+        }
+    }
+
+    // Purge every account whose grace period has ended. Returns the number purged.
+    async purgeExpiredAccounts() {
+        const [users] = await pool.query(
+            'SELECT id FROM users WHERE deleted_at IS NOT NULL AND purge_after <= NOW()',
+        );
+
+        let purged = 0;
+        for (const { id } of users) {
+            try {
+                await this.purgeUser(id);
+                purged++;
+                console.log(`🗑️  Purged deleted account ${id}`);
+            } catch (error) {
+                console.error(`Failed to purge account ${id}:`, error);
+            }
+        }
+        return purged;
+    }
+}
+
+export default new UserDataService();
@@ -0,0 +1,199 @@
+import pool from '../config/db.js';
+
+const envInt = (name, fallback) => {
+    const value = parseInt(process.env[name], 10);
+    return Number.isNaN(value) ? fallback : value;
+};
+
+// Timing, all overridable from the environment:
+//   LOCATION_DWELL_SECONDS       - time inside a fence before tips are sent
+//                                  (default 120, so driving past doesn't count)
+//   LOCATION_REENTRY_SECONDS     - an exit followed by re-entry within this
+//                                  long continues the same visit, absorbing
+//                                  GPS jitter at the fence edge (default 120)
+//   LOCATION_VISIT_TIMEOUT_MINUTES - a visit with no ping for this long is
+//                                  closed at its last ping (default 30)
+export const visitTiming = () => ({
+    dwellSeconds: envInt('LOCATION_DWELL_SECONDS', 120),
+    reentrySeconds: envInt('LOCATION_REENTRY_SECONDS', 120),
+    timeoutMinutes: envInt('LOCATION_VISIT_TIMEOUT_MINUTES', 30),
+});
+
+const MAX_PAGE_SIZE = 100;
+
+const secondsBetween = (from, to) =>
+    Math.max(Math.round((new Date(to) - new Date(from)) / 1000), 0);
+
+// Visits to saved locations, built from location pings. A user has at most
+// one open visit (exited_at NULL):
+//   ping inside fence L, no open visit       -> enter L
+//   ping inside L, open visit at L           -> still there (dwell grows)
+//   ping inside L, open visit at another one -> exit that one, enter L
+//   ping outside every fence, open visit     -> exit
+class VisitService {
+    // Apply one ping at time `at`. `locationId` is the matched location, or
+    // null when the ping was outside every fence. Returns { visit, exited,
+    // entered, dwellSeconds }: the open visit after the ping (or null), the
+    // visit this ping closed (or null) and whether it started a visit.
+    async recordPing(userId, locationId, at = new Date()) {
+        const connection = await pool.getConnection();
+        try {
+            await connection.beginTransaction();
+
+            const [open] = await connection.query(
+                `SELECT * FROM location_visits
+                 WHERE user_id = ? AND exited_at IS NULL
+                 ORDER BY entered_at DESC LIMIT 1 FOR UPDATE`,
+                [userId],
+            );
+            let visit = open[0] || null;
+            let exited = null;
+            let entered = false;
+
+            // Pings arriving out of order can't move a visit backwards
+            if (visit && at < new Date(visit.last_seen_at)) {
+                await connection.commit();
+                return {
+                    visit: visit.location_id === locationId ? visit : null,
+                    exited: null,
+                    entered: false,
+                    dwellSeconds: secondsBetween(visit.entered_at, visit.last_seen_at),
+                };
+            }
+
+            // (a visit whose location was deleted has location_id NULL)
+            if (visit && (visit.location_id === null || visit.location_id !== locationId)) {
+                await connection.query(
+                    `UPDATE location_visits
+                     SET exited_at = ?, duration_seconds = ?
+                     WHERE id = ?`,
+                    [at, secondsBetween(visit.entered_at, at), visit.id],
+                );
+                exited = { ...visit, exited_at: at };
+                visit = null;
+            }
+
+            if (locationId && visit) {
+                await connection.query(
+                    'UPDATE location_visits SET last_seen_at = ? WHERE id = ?',
+                    [at, visit.id],
+                );
+                visit = { ...visit, last_seen_at: at };
+            } else if (locationId) {
+                const { reentrySeconds } = visitTiming();
+                const [recent] = await connection.query(
+                    `SELECT * FROM location_visits
+                     WHERE user_id = ? AND location_id = ? AND exited_at >= ?
+                     ORDER BY exited_at DESC LIMIT 1 FOR UPDATE`,
+                    [userId, locationId, new Date(at - reentrySeconds * 1000)],
+                );
+                if (recent.length > 0) {
+                    await connection.query(
+                        `UPDATE location_visits
+                         SET exited_at = NULL, duration_seconds = NULL, last_seen_at = ?
+                         WHERE id = ?`,
+                        [at, recent[0].id],
+                    );
+                    visit = { ...recent[0], exited_at: null, duration_seconds: null, last_seen_at: at };
+                } else {
+                    const [result] = await connection.query(
+                        `INSERT INTO location_visits (user_id, location_id, entered_at, last_seen_at)
+                         VALUES (?, ?, ?, ?)`,
+                        [userId, locationId, at, at],
+                    );
+                    visit = {
+                        id: result.insertId,
+                        user_id: userId,
+                        location_id: locationId,
+                        entered_at: at,
+                        last_seen_at: at,
+                        exited_at: null,
+                        duration_seconds: null,
+                        notified_at: null,
+                    };
+                    entered = true;
+                }
+            }
+
+            await connection.commit();
+            return {
+                visit,
+                exited,
+                entered,
+                dwellSeconds: visit ? secondsBetween(visit.entered_at, at) : 0,
+            };
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    async markNotified(visitId) {
+        await pool.query(
+            'UPDATE location_visits SET notified_at = NOW() WHERE id = ? AND notified_at IS NULL',
+            [visitId],
+        );
+    }
+
+    // Close visits whose device went quiet, ending them at their last ping
+    async closeStaleVisits() {
+        const { timeoutMinutes } = visitTiming();
+        const [result] = await pool.query(
+            `UPDATE location_visits
+             SET exited_at = last_seen_at,
+                 duration_seconds = TIMESTAMPDIFF(SECOND, entered_at, last_seen_at)
+             WHERE exited_at IS NULL AND last_seen_at < NOW() - INTERVAL ? MINUTE`,
+            [timeoutMinutes],
+        );
+        if (result.affectedRows > 0) {
+            console.log(`📍 Closed ${result.affectedRows} stale location visits`);
+        }
+        return result.affectedRows;
+    }
+
+    // The user's visits, newest first. Filters: locationId, from/to (dates
+    // the visit started). Returns { visits, total }.
+    async history(userId, { locationId, from, to, limit = 20, offset = 0 } = {}) {
+        const conditions = ['v.user_id = ?'];
+        const params = [userId];
+        if (locationId) {
+            conditions.push('v.location_id = ?');
+            params.push(locationId);
+        }
+        if (from) {
+            conditions.push('v.entered_at >= ?');
+            params.push(from);
+        }
+        if (to) {
+            conditions.push('v.entered_at <= ?');
+            params.push(to);
+        }
+        const where = conditions.join(' AND ');
+
+        const [[{ total }]] = await pool.query(
+            `SELECT COUNT(*) AS total FROM location_visits v WHERE ${where}`,
+            params,
+        );
+        const [visits] = await pool.query(
+            `SELECT v.id, v.location_id, l.name AS location_name, l.type AS location_type,
+                    v.entered_at, v.last_seen_at, v.exited_at,
+                    COALESCE(v.duration_seconds, TIMESTAMPDIFF(SECOND, v.entered_at, v.last_seen_at)) AS duration_seconds,
+                    v.notified_at
+             FROM location_visits v
+             LEFT JOIN locations l ON l.id = v.location_id
+             WHERE ${where}
+             ORDER BY v.entered_at DESC, v.id DESC
+             LIMIT ? OFFSET ?`,
+            [
+                ...params,
+                Math.min(Math.max(limit, 1), MAX_PAGE_SIZE),
+                Math.max(offset, 0),
+            ],
+        );
+        return { visits, total };
+    }
+}
+
+export default new VisitService();
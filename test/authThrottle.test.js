@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import authThrottleService from '../services/authThrottleService.js';
+
+const NOW = Date.UTC(2026, 9, 19, 12);
+
+test('strength checks are capped per IP in memory', () => {
+    for (let i = 0; i < 300; i++) {
+        assert.equal(authThrottleService.checkMemory('strength', '10.0.0.1', NOW).allowed, true);
+    }
+    assert.deepEqual(authThrottleService.checkMemory('strength', '10.0.0.1', NOW + 60 * 1000), {
+        allowed: false,
+        retryAfter: 9 * 60,
+    });
+    assert.equal(authThrottleService.checkMemory('strength', '10.0.0.2', NOW).allowed, true);
+});
+
+test('the strength window starts over after ten minutes', () => {
+    for (let i = 0; i < 300; i++) {
+        authThrottleService.checkMemory('strength', '10.0.0.3', NOW);
+    }
+    assert.equal(authThrottleService.checkMemory('strength', '10.0.0.3', NOW).allowed, false);
+    assert.equal(
+        authThrottleService.checkMemory('strength', '10.0.0.3', NOW + 10 * 60 * 1000).allowed,
+        true,
+    );
+});
@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    ageInMonths,
+    describeAge,
+    formatDate,
+    parseBirthDate,
+    withAge,
+} from '../utils/childAge.js';
+
+// Dates are built from local parts, as mysql2 returns DATE columns
+const NOW = new Date(2026, 9, 19); // 2026-10-19
+
+test('ageInMonths counts completed months', () => {
+    assert.equal(ageInMonths('2025-10-19', NOW), 12);
+    assert.equal(ageInMonths('2025-10-20', NOW), 11);
+    assert.equal(ageInMonths('2026-10-19', NOW), 0);
+    assert.equal(ageInMonths(new Date(2024, 3, 30), NOW), 29);
+});
+
+test('ageInMonths is never negative and null without a date', () => {
+    assert.equal(ageInMonths('2027-01-01', NOW), 0);
+    assert.equal(ageInMonths(null, NOW), null);
+    assert.equal(ageInMonths('not a date', NOW), null);
+});
+
+test('describeAge switches from months to years at two', () => {
+    assert.equal(describeAge(1), '1 month');
+    assert.equal(describeAge(18), '18 months');
+    assert.equal(describeAge(36), '3 years');
+    assert.equal(describeAge(38), '3 years 2 months');
+    assert.equal(describeAge(25), '2 years 1 month');
+    assert.equal(describeAge(null), 'unknown age');
+});
+
+test('withAge derives age fields and drops the stored age', () => {
+    const child = withAge(
+        { id: 1, nickname: 'Sam', date_of_birth: new Date(2023, 3, 2), age: 9 },
+        NOW,
+    );
+    assert.deepEqual(child, {
+        id: 1,
+        nickname: 'Sam',
+        date_of_birth: '2023-04-02',
+        age_months: 42,
+        age: 3,
+        aged_out: false,
+    });
+});
+
+test('children turn aged out on their sixth birthday', () => {
+    assert.equal(withAge({ date_of_birth: '2020-10-20' }, NOW).aged_out, false);
+    assert.equal(withAge({ date_of_birth: '2020-10-19' }, NOW).aged_out, true);
+});
+
+test('parseBirthDate accepts a full date, a month or a legacy age', () => {
+    assert.deepEqual(parseBirthDate({ dateOfBirth: '2024-02-29' }, NOW), {
+        dateOfBirth: '2024-02-29',
+        precision: 'day',
+    });
+    assert.deepEqual(parseBirthDate({ birthMonth: '2023-07' }, NOW), {
+        dateOfBirth: '2023-07-01',
+        precision: 'month',
+    });
+    assert.deepEqual(parseBirthDate({ age: 2 }, NOW), {
+        dateOfBirth: '2024-10-19',
+        precision: 'estimated',
+    });
+});
+
+test('parseBirthDate rejects bad input', () => {
+    const error = input => parseBirthDate(input, NOW).error;
+    assert.match(error({}), /required/);
+    assert.match(error({ dateOfBirth: '19/10/2024' }), /YYYY-MM-DD/);
+    assert.match(error({ dateOfBirth: '2023-02-29' }), /not a valid date/);
+    assert.match(error({ dateOfBirth: '2026-10-20' }), /future/);
+    assert.match(error({ dateOfBirth: '2020-10-19' }), /under 6/);
+    assert.match(error({ age: 6 }), /between 1 and 5/);
+    assert.match(error({ age: 2.5 }), /between 1 and 5/);
+});
+
+test('formatDate pads and handles Date objects', () => {
+    assert.equal(formatDate(new Date(2025, 0, 5)), '2025-01-05');
+    assert.equal(formatDate('2025-03'), '2025-03-01');
+    assert.equal(formatDate(null), null);
+});
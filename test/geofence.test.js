@@ -0,0 +1,132 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    GEOFENCE_DEFAULT_RADIUS_M,
+    GEOFENCE_MAX_RADIUS_M,
+    bestGeofenceMatch,
+    boundingBox,
+    distanceMeters,
+    matchGeofence,
+    parseGeofence,
+    pointInPolygon,
+    polygonArea,
+    toBoundary,
+} from '../utils/geofence.js';
+
+// Metres per degree of latitude, as used for the offsets below
+const DEG = 1 / 111320;
+const PIN = { latitude: 38.98064, longitude: -94.6214099 };
+const north = (point, meters) => ({
+    latitude: point.latitude + meters * DEG,
+    longitude: point.longitude,
+});
+
+// A ~200 m square centred on the pin
+const SQUARE = [
+    { latitude: PIN.latitude - 100 * DEG, longitude: PIN.longitude - 0.00116 },
+    { latitude: PIN.latitude - 100 * DEG, longitude: PIN.longitude + 0.00116 },
+    { latitude: PIN.latitude + 100 * DEG, longitude: PIN.longitude + 0.00116 },
+    { latitude: PIN.latitude + 100 * DEG, longitude: PIN.longitude - 0.00116 },
+];
+
+const location = (id, overrides = {}) => ({
+    id,
+    ...PIN,
+    radiusMeters: GEOFENCE_DEFAULT_RADIUS_M,
+    boundary: null,
+    ...overrides,
+});
+
+test('distanceMeters measures along the surface', () => {
+    assert.equal(distanceMeters(0, 0, 0, 0), 0);
+    const oneDegree = distanceMeters(0, 0, 1, 0);
+    assert.ok(Math.abs(oneDegree - 111195) < 10, `got ${oneDegree}`);
+    const meters = distanceMeters(PIN.latitude, PIN.longitude, north(PIN, 50).latitude, PIN.longitude);
+    assert.ok(Math.abs(meters - 50) < 0.5, `got ${meters}`);
+});
+
+test('pointInPolygon and polygonArea on a square', () => {
+    assert.equal(pointInPolygon(PIN, SQUARE), true);
+    assert.equal(pointInPolygon(north(PIN, 150), SQUARE), false);
+    const area = polygonArea(SQUARE);
+    assert.ok(Math.abs(area - 200 * 201) / area < 0.02, `got ${area}`);
+});
+
+test('circular fences match within their radius', () => {
+    assert.ok(matchGeofence(north(PIN, 90), location(1)));
+    assert.equal(matchGeofence(north(PIN, 110), location(1)), null);
+    assert.ok(matchGeofence(north(PIN, 110), location(1, { radiusMeters: 150 })));
+});
+
+test('a boundary replaces the circle', () => {
+    const park = location(1, { radiusMeters: 25, boundary: SQUARE });
+    assert.ok(matchGeofence(north(PIN, 90), park));
+    assert.equal(matchGeofence(north(PIN, 120), park), null);
+});
+
+test('the smallest fence wins where fences overlap, then the closest pin', () => {
+    const park = location(1, { radiusMeters: 500 });
+    const home = location(2, { ...north(PIN, 40), radiusMeters: 50 });
+    assert.equal(bestGeofenceMatch(north(PIN, 30), [park, home]).location.id, 2);
+    assert.equal(bestGeofenceMatch(north(PIN, -200), [park, home]).location.id, 1);
+
+    const a = location(3);
+    const b = location(4, north(PIN, 60));
+    assert.equal(bestGeofenceMatch(north(PIN, 40), [a, b]).location.id, 4);
+    assert.equal(bestGeofenceMatch(north(PIN, 500), [a, b]), null);
+});
+
+test('parseGeofence validates radius and boundary', () => {
+    assert.deepEqual(parseGeofence({}), {});
+    assert.deepEqual(parseGeofence({ radius: '80.4' }), { radiusMeters: 80 });
+    assert.match(parseGeofence({ radius: 10 }).error, /radius/);
+    assert.match(parseGeofence({ radius: 5000 }).error, /radius/);
+    assert.deepEqual(parseGeofence({ boundary: null }), { boundary: null });
+    assert.match(parseGeofence({ boundary: SQUARE.slice(0, 2) }).error, /3 to/);
+    assert.match(
+        parseGeofence({ boundary: [...SQUARE.slice(0, 3), { latitude: 95, longitude: 0 }] }).error,
+        /valid latitude/,
+    );
+    assert.match(
+        parseGeofence({ boundary: [PIN, PIN, PIN] }).error,
+        /enclose an area/,
+    );
+});
+
+test('parseGeofence drops a repeated closing point', () => {
+    const { boundary } = parseGeofence({ boundary: [...SQUARE, SQUARE[0]] }, PIN);
+    assert.equal(boundary.length, 4);
+});
+
+test('boundary points must stay within reach of the pin', () => {
+    const far = SQUARE.map(point => north(point, GEOFENCE_MAX_RADIUS_M + 500));
+    assert.match(parseGeofence({ boundary: far }, PIN).error, /within/);
+    assert.ok(parseGeofence({ boundary: far }).boundary);
+});
+
+test('boundingBox covers every point a fence can reach', () => {
+    const box = boundingBox(PIN, GEOFENCE_MAX_RADIUS_M);
+    for (const bearing of [0, 45, 90, 135, 180, 225, 270, 315]) {
+        const radians = (bearing * Math.PI) / 180;
+        const dLat = (GEOFENCE_MAX_RADIUS_M * Math.cos(radians)) / 111320;
+        const dLon =
+            (GEOFENCE_MAX_RADIUS_M * Math.sin(radians)) /
+            (111320 * Math.cos((PIN.latitude * Math.PI) / 180));
+        const point = { latitude: PIN.latitude + dLat, longitude: PIN.longitude + dLon };
+        assert.ok(point.latitude >= box.minLatitude && point.latitude <= box.maxLatitude);
+        assert.ok(point.longitude >= box.minLongitude && point.longitude <= box.maxLongitude);
+    }
+});
+
+test('boundingBox is clamped at the poles and the antimeridian', () => {
+    const box = boundingBox({ latitude: 89.999, longitude: 179.999 }, 5000);
+    assert.equal(box.maxLatitude, 90);
+    assert.equal(box.maxLongitude, 180);
+});
+
+test('toBoundary reads the JSON column', () => {
+    assert.equal(toBoundary(null), null);
+    assert.deepEqual(toBoundary(JSON.stringify(SQUARE)), SQUARE);
+    assert.deepEqual(toBoundary(SQUARE), SQUARE);
+    assert.equal(toBoundary('[]'), null);
+});
@@ -0,0 +1,113 @@
+import { afterEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    LOCATION_BATCH_MAX_AGE_HOURS,
+    LOCATION_BATCH_MAX_POINTS,
+    maxAccuracyMeters,
+    parseLocationBatch,
+} from '../utils/locationBatch.js';
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+const minutesAgo = minutes => new Date(NOW.getTime() - minutes * 60 * 1000).toISOString();
+const fix = (minutes, overrides = {}) => ({
+    latitude: 38.98,
+    longitude: -94.62,
+    timestamp: minutesAgo(minutes),
+    accuracy: 10,
+    ...overrides,
+});
+
+const savedAccuracy = process.env.LOCATION_MAX_ACCURACY_M;
+afterEach(() => {
+    if (savedAccuracy === undefined) delete process.env.LOCATION_MAX_ACCURACY_M;
+    else process.env.LOCATION_MAX_ACCURACY_M = savedAccuracy;
+});
+
+test('rejects a batch that is empty, not an array or too large', () => {
+    assert.match(parseLocationBatch([], NOW).error, /non-empty array/);
+    assert.match(parseLocationBatch({ latitude: 1 }, NOW).error, /non-empty array/);
+    const tooMany = Array.from({ length: LOCATION_BATCH_MAX_POINTS + 1 }, (_, i) => fix(i % 60));
+    assert.match(parseLocationBatch(tooMany, NOW).error, /at most 500/);
+});
+
+test('sorts points oldest first and normalises them', () => {
+    const { points, discarded } = parseLocationBatch(
+        [fix(1), fix(30, { accuracy: null }), fix(10, { latitude: '38.5' })],
+        NOW,
+    );
+    assert.deepEqual(discarded, { invalid: 0, stale: 0, inaccurate: 0, duplicate: 0 });
+    assert.deepEqual(
+        points.map(point => point.at.toISOString()),
+        [minutesAgo(30), minutesAgo(10), minutesAgo(1)],
+    );
+    assert.equal(points[0].accuracy, null);
+    assert.equal(points[1].latitude, 38.5);
+});
+
+test('accepts epoch milliseconds as a number or a string', () => {
+    const ms = NOW.getTime() - 5000;
+    const { points } = parseLocationBatch(
+        [fix(0, { timestamp: ms }), fix(0, { timestamp: String(ms - 1000) })],
+        NOW,
+    );
+    assert.deepEqual(points.map(point => point.at.getTime()), [ms - 1000, ms]);
+});
+
+test('counts invalid points', () => {
+    const { points, discarded } = parseLocationBatch(
+        [
+            null,
+            fix(1, { latitude: 91 }),
+            fix(2, { longitude: 'west' }),
+            fix(3, { timestamp: 'yesterday' }),
+            fix(4, { timestamp: '' }),
+            fix(5, { accuracy: -1 }),
+            fix(6),
+        ],
+        NOW,
+    );
+    assert.equal(points.length, 1);
+    assert.equal(discarded.invalid, 6);
+});
+
+test('counts stale points, allowing a minute of clock skew', () => {
+    const { points, discarded } = parseLocationBatch(
+        [
+            fix(LOCATION_BATCH_MAX_AGE_HOURS * 60 + 1),
+            fix(-5),
+            fix(-0.5),
+            fix(LOCATION_BATCH_MAX_AGE_HOURS * 60 - 1),
+        ],
+        NOW,
+    );
+    assert.equal(points.length, 2);
+    assert.equal(discarded.stale, 2);
+});
+
+test('drops inaccurate fixes using LOCATION_MAX_ACCURACY_M', () => {
+    delete process.env.LOCATION_MAX_ACCURACY_M;
+    assert.equal(maxAccuracyMeters(), 100);
+    let result = parseLocationBatch([fix(1, { accuracy: 100 }), fix(2, { accuracy: 150 })], NOW);
+    assert.equal(result.points.length, 1);
+    assert.equal(result.discarded.inaccurate, 1);
+
+    process.env.LOCATION_MAX_ACCURACY_M = '200';
+    result = parseLocationBatch([fix(1, { accuracy: 100 }), fix(2, { accuracy: 150 })], NOW);
+    assert.equal(result.points.length, 2);
+    assert.equal(result.discarded.inaccurate, 0);
+});
+
+test('keeps the most accurate of points sharing a timestamp', () => {
+    const { points, discarded } = parseLocationBatch(
+        [
+            fix(1, { accuracy: null, latitude: 1 }),
+            fix(1, { accuracy: 30, latitude: 2 }),
+            fix(1, { accuracy: 5, latitude: 3 }),
+            fix(1, { accuracy: 5, latitude: 4 }),
+        ],
+        NOW,
+    );
+    assert.equal(points.length, 1);
+    assert.equal(points[0].latitude, 3);
+    assert.equal(discarded.duplicate, 3);
+});
@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { afterFailure } from '../services/mailService.js';
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+const minutesFromNow = minutes => new Date(NOW.getTime() + minutes * 60 * 1000);
+
+test('retries with backoff and keeps the body', () => {
+    assert.deepEqual(afterFailure(1, null, NOW), {
+        status: 'pending',
+        retryAt: minutesFromNow(1),
+        clearBodies: false,
+    });
+    assert.deepEqual(afterFailure(5, null, NOW).retryAt, minutesFromNow(240));
+});
+
+test('a message that runs out of retries fails and drops its body', () => {
+    assert.deepEqual(afterFailure(6, null, NOW), {
+        status: 'failed',
+        retryAt: null,
+        clearBodies: true,
+    });
+    assert.equal(afterFailure(6, minutesFromNow(7 * 24 * 60), NOW).status, 'failed');
+});
+
+test('a message whose next retry is past its expiry expires and drops its body', () => {
+    assert.deepEqual(afterFailure(3, minutesFromNow(10), NOW), {
+        status: 'expired',
+        retryAt: null,
+        clearBodies: true,
+    });
+    assert.equal(afterFailure(2, minutesFromNow(10).toISOString(), NOW).status, 'pending');
+});
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import passwordPolicyService, {
+    passwordRules,
+} from '../services/passwordPolicyService.js';
+
+const codes = result => result.errors.map(error => error.code);
+
+test('rules default to 8-72 characters and a minimum score of 2', () => {
+    const rules = passwordRules();
+    assert.equal(rules.minLength, 8);
+    assert.equal(rules.maxLength, 72);
+    assert.equal(rules.minScore, 2);
+    assert.deepEqual(rules.require, []);
+});
+
+test('a long mixed password is valid', () => {
+    const result = passwordPolicyService.validate('Tr0ub4dour&3-Horse');
+    assert.equal(result.valid, true);
+    assert.deepEqual(result.errors, []);
+    assert.ok(result.strength.score >= 3);
+});
+
+test('short passwords are rejected', () => {
+    assert.deepEqual(codes(passwordPolicyService.validate('Ab1!')), ['TOO_SHORT']);
+});
+
+test('passwords over the byte limit are rejected without scoring', () => {
+    const result = passwordPolicyService.validate('aB3$'.repeat(20));
+    assert.deepEqual(codes(result), ['TOO_LONG']);
+    assert.equal(result.strength.score, 0);
+});
+
+test('huge inputs return quickly', () => {
+    const started = Date.now();
+    passwordPolicyService.validate('abcdefghij'.repeat(10000));
+    passwordPolicyService.strength('qwertyuiop'.repeat(10000));
+    assert.ok(Date.now() - started < 200, 'scoring should not scale with input size');
+});
+
+test('blocklisted passwords are caught through suffixes and leetspeak', () => {
+    for (const password of ['password', 'Password123!', 'p@ssw0rd']) {
+        assert.ok(
+            codes(passwordPolicyService.validate(password)).includes('BREACHED'),
+            password,
+        );
+    }
+});
+
+test('sequences and repeats lower the score', () => {
+    const sequence = passwordPolicyService.strength('abcdefgh');
+    assert.ok(sequence.feedback.some(line => line.includes('sequences')));
+    const reversed = passwordPolicyService.strength('zyxwvu98');
+    assert.ok(reversed.feedback.some(line => line.includes('sequences')));
+    const repeats = passwordPolicyService.strength('aaaaaaaaaaQ1');
+    assert.ok(repeats.feedback.includes('Avoid repeated characters'));
+});
+
+test('keyboard runs are only counted from three characters', () => {
+    const result = passwordPolicyService.strength('qwXtyMbn7!Lp');
+    assert.ok(!result.feedback.some(line => line.includes('sequences')));
+});
+
+test('passwords built from the email or name score lower', () => {
+    const password = 'Margaret!2024x';
+    const plain = passwordPolicyService.strength(password);
+    const personal = passwordPolicyService.strength(password, {
+        email: 'margaret@example.com',
+        name: 'Margaret Hale',
+    });
+    assert.ok(personal.score <= plain.score);
+    assert.ok(personal.feedback.includes("Don't use your name or email address"));
+});
+
+test('PASSWORD_REQUIRE adds character class rules', () => {
+    process.env.PASSWORD_REQUIRE = 'digit,symbol';
+    try {
+        const result = passwordPolicyService.validate('correcthorsebattery');
+        assert.deepEqual(codes(result), ['MISSING_DIGIT', 'MISSING_SYMBOL']);
+    } finally {
+        delete process.env.PASSWORD_REQUIRE;
+    }
+});
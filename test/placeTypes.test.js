@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    DEFAULT_PLACE_TYPE,
+    PLACE_TYPES,
+    placeTypeFor,
+    resolvePlaceType,
+} from '../utils/placeTypes.js';
+
+const normalize = value => value.toLowerCase().replace(/[^a-z0-9]+/g, '');
+
+test('resolves keys, labels and aliases ignoring case and punctuation', () => {
+    assert.equal(resolvePlaceType('bus_walk').key, 'bus_walk');
+    assert.equal(resolvePlaceType('Bus/Walk').key, 'bus_walk');
+    assert.equal(resolvePlaceType('BUS STOP').key, 'bus_walk');
+    assert.equal(resolvePlaceType('others home').key, 'others_home');
+    assert.equal(resolvePlaceType("Doctors-Office").key, 'waiting_room');
+    assert.equal(resolvePlaceType('  super market ').key, 'grocery_store');
+});
+
+test('returns null for unknown or non-string values', () => {
+    assert.equal(resolvePlaceType('spaceship'), null);
+    assert.equal(resolvePlaceType(''), null);
+    assert.equal(resolvePlaceType(null), null);
+    assert.equal(resolvePlaceType(42), null);
+});
+
+test('placeTypeFor falls back to Other and leaves out aliases', () => {
+    const park = placeTypeFor('playground');
+    assert.equal(park.label, 'Park');
+    assert.equal(park.tipType, 'Park');
+    assert.equal('aliases' in park, false);
+
+    const other = placeTypeFor('spaceship');
+    assert.equal(other.key, DEFAULT_PLACE_TYPE.key);
+    assert.equal(other.tipType, null);
+    assert.equal('aliases' in other, false);
+    assert.equal(placeTypeFor(undefined).key, 'other');
+});
+
+test('every name maps to exactly one type', () => {
+    const owner = new Map();
+    for (const type of PLACE_TYPES) {
+        for (const name of [type.key, type.label, ...type.aliases]) {
+            const key = normalize(name);
+            const previous = owner.get(key);
+            assert.ok(
+                !previous || previous === type.key,
+                `"${name}" names both ${previous} and ${type.key}`,
+            );
+            owner.set(key, type.key);
+        }
+    }
+});
+
+test('every type has display metadata', () => {
+    for (const type of PLACE_TYPES) {
+        assert.ok(type.icon, `${type.key} has no icon`);
+        assert.match(type.color, /^#[0-9A-F]{6}$/);
+    }
+});
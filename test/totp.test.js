@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { base32Decode, base32Encode, hotp } from '../utils/totp.js';
+
+// RFC 4226 appendix D test secret
+const RFC_SECRET = Buffer.from('12345678901234567890', 'ascii');
+
+test('base32 matches the RFC 4648 test vectors', () => {
+    const vectors = [
+        ['f', 'MY'],
+        ['fo', 'MZXQ'],
+        ['foo', 'MZXW6'],
+        ['foob', 'MZXW6YQ'],
+        ['fooba', 'MZXW6YTB'],
+        ['foobar', 'MZXW6YTBOI'],
+    ];
+    for (const [plain, encoded] of vectors) {
+        assert.equal(base32Encode(Buffer.from(plain)), encoded);
+        assert.equal(base32Decode(encoded).toString(), plain);
+    }
+});
+
+test('base32 decoding ignores padding and case', () => {
+    assert.equal(base32Decode('mzxw6ytboi======').toString(), 'foobar');
+});
+
+test('base32 decoding rejects characters outside the alphabet', () => {
+    assert.throws(() => base32Decode('MZXW1'), /Invalid base32 character/);
+});
+
+test('base32 round-trips random secrets', () => {
+    for (let length = 1; length <= 32; length++) {
+        const secret = Buffer.from(
+            Array.from({ length }, (_, i) => (i * 37 + length) % 256),
+        );
+        assert.deepEqual(base32Decode(base32Encode(secret)), secret);
+    }
+});
+
+test('hotp matches the RFC 4226 test values', () => {
+    const expected = [
+        '755224', '287082', '359152', '969429', '338314',
+        '254676', '287922', '162583', '399871', '520489',
+    ];
+    expected.forEach((code, counter) => {
+        assert.equal(hotp(RFC_SECRET, counter), code);
+    });
+});
+
+test('hotp as TOTP matches the RFC 6238 SHA-1 values (8 digits truncated to 6)', () => {
+    // RFC 6238 appendix B, T = floor(unix time / 30)
+    const vectors = [
+        [59, '287082'],
+        [1111111109, '081804'],
+        [1111111111, '050471'],
+        [1234567890, '005924'],
+        [2000000000, '279037'],
+    ];
+    for (const [time, code] of vectors) {
+        assert.equal(hotp(RFC_SECRET, Math.floor(time / 30)), code);
+    }
+});
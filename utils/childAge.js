@@ -0,0 +1,124 @@
+// Child ages are derived from the stored birth date on every read so they
+// advance on their own. Tips are written for children under six; from their
+// sixth birthday a child is "aged out" and no longer shapes tip generation.
+export const AGED_OUT_MONTHS = 72;
+
+// How exact the stored date_of_birth is:
+//   day       - full birth date given
+//   month     - only year and month given (stored as the 1st)
+//   estimated - back-computed from a whole-year age by older app versions
+export const BIRTH_DATE_PRECISIONS = ['day', 'month', 'estimated'];
+
+const pad = value => String(value).padStart(2, '0');
+
+// DATE columns come back from mysql2 as local-midnight Date objects
+const toParts = value => {
+    if (value instanceof Date) {
+        return {
+            year: value.getFullYear(),
+            month: value.getMonth() + 1,
+            day: value.getDate(),
+        };
+    }
+    const match = /^(\d{4})-(\d{2})(?:-(\d{2}))?/.exec(String(value || ''));
+    if (!match) return null;
+    return {
+        year: Number(match[1]),
+        month: Number(match[2]),
+        day: Number(match[3] || 1),
+    };
+};
+
+export const formatDate = value => {
+    const parts = toParts(value);
+    return parts ? `${parts.year}-${pad(parts.month)}-${pad(parts.day)}` : null;
+};
+
+// Completed months between the birth date and `now`
+export const ageInMonths = (dateOfBirth, now = new Date()) => {
+    const birth = toParts(dateOfBirth);
+    if (!birth) return null;
+
+    let months =
+        (now.getFullYear() - birth.year) * 12 + (now.getMonth() + 1 - birth.month);
+    if (now.getDate() < birth.day) months--;
+    return Math.max(months, 0);
+};
+
+// "18 months", "3 years", "3 years 2 months"
+export const describeAge = months => {
+    if (months === null || months === undefined) return 'unknown age';
+    if (months < 24) return `${months} month${months === 1 ? '' : 's'}`;
+
+    const years = Math.floor(months / 12);
+    const rest = months % 12;
+    return rest === 0
+        ? `${years} years`
+        : `${years} years ${rest} month${rest === 1 ? '' : 's'}`;
+};
+
+// API view of a children row: derived age fields replace the stored
+// whole-year `age`, which is kept only as `age` in years for older clients
+export const withAge = (child, now = new Date()) => {
+    const { age: _storedAge, ...rest } = child;
+    const months = ageInMonths(child.date_of_birth, now);
+    return {
+        ...rest,
+        date_of_birth: formatDate(child.date_of_birth),
+        age_months: months,
+        age: months === null ? null : Math.floor(months / 12),
+        aged_out: months !== null && months >= AGED_OUT_MONTHS,
+    };
+};
+
+// Read a child's birth date from a request body. Accepts `dateOfBirth`
+// (YYYY-MM-DD), `birthMonth` (YYYY-MM) or, from older clients, a whole-year
+// `age` of 1-5. Returns { dateOfBirth, precision } or { error }.
+export const parseBirthDate = (input, now = new Date()) => {
+    let parts;
+    let precision;
+
+    if (input.dateOfBirth !== undefined) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(String(input.dateOfBirth))) {
+            return { error: 'dateOfBirth must be a date in YYYY-MM-DD format' };
+        }
+        parts = toParts(input.dateOfBirth);
+        precision = 'day';
+    } else if (input.birthMonth !== undefined) {
+        if (!/^\d{4}-\d{2}$/.test(String(input.birthMonth))) {
+            return { error: 'birthMonth must be in YYYY-MM format' };
+        }
+        parts = toParts(input.birthMonth);
+        precision = 'month';
+    } else if (input.age !== undefined) {
+        const { age } = input;
+        if (!Number.isInteger(age) || age < 1 || age > 5) {
+            return { error: 'Child age must be an integer between 1 and 5' };
+        }
+        parts = {
+            year: now.getFullYear() - age,
+            month: now.getMonth() + 1,
+            day: now.getDate(),
+        };
+        precision = 'estimated';
+    } else {
+        return { error: 'dateOfBirth or birthMonth is required' };
+    }
+
+    const date = new Date(parts.year, parts.month - 1, parts.day);
+    if (
+        date.getFullYear() !== parts.year ||
+        date.getMonth() !== parts.month - 1 ||
+        date.getDate() !== parts.day
+    ) {
+        return { error: 'Birth date is not a valid date' };
+    }
+    if (date > now) {
+        return { error: 'Birth date cannot be in the future' };
+    }
+    if (ageInMonths(date, now) >= AGED_OUT_MONTHS) {
+        return { error: 'Talk Around Town is designed for children under 6' };
+    }
+
+    return { dateOfBirth: formatDate(date), precision };
+};
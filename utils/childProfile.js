@@ -0,0 +1,144 @@
+// What a family tells us about a child beyond their age: favourite things,
+// the languages spoken at home and a short note on temperament. Tip prompts
+// use it to build activities around the child, so everything is kept short
+// and on one line.
+export const CHILD_PROFILE_LIMITS = {
+    interests: 10,
+    interestLength: 40,
+    homeLanguages: 4,
+    languageLength: 30,
+    temperamentLength: 300,
+};
+
+// Collapse whitespace (including newlines) so free text can't break the
+// layout of a prompt
+const oneLine = value => String(value).replace(/\s+/g, ' ').trim();
+
+// A list of short labels, de-duplicated case-insensitively.
+// Returns { values } or { error }.
+const parseList = (input, field, { max, length, pattern, description }) => {
+    if (!Array.isArray(input)) {
+        return { error: `${field} must be an array of strings` };
+    }
+    const seen = new Set();
+    const values = [];
+    for (const item of input) {
+        if (typeof item !== 'string') {
+            return { error: `${field} must be an array of strings` };
+        }
+        const value = oneLine(item);
+        if (!value) continue;
+        if (value.length > length) {
+            return { error: `Each of ${field} must be at most ${length} characters` };
+        }
+        if (pattern && !pattern.test(value)) {
+            return { error: `${field} may only contain ${description}` };
+        }
+        if (seen.has(value.toLowerCase())) continue;
+        seen.add(value.toLowerCase());
+        values.push(value);
+    }
+    if (values.length > max) {
+        return { error: `${field} can have at most ${max} entries` };
+    }
+    return { values };
+};
+
+// Read profile fields from a request body: `interests` and `homeLanguages`
+// (arrays of strings) and `temperamentNotes` (string). Only the fields that
+// are present are returned; null clears a field. Returns { profile } or
+// { error }.
+export const parseChildProfile = input => {
+    const profile = {};
+
+    if (input.interests !== undefined) {
+        if (input.interests === null) {
+            profile.interests = [];
+        } else {
+            const result = parseList(input.interests, 'interests', {
+                max: CHILD_PROFILE_LIMITS.interests,
+                length: CHILD_PROFILE_LIMITS.interestLength,
+            });
+            if (result.error) return result;
+            profile.interests = result.values;
+        }
+    }
+
+    if (input.homeLanguages !== undefined) {
+        if (input.homeLanguages === null) {
+            profile.homeLanguages = [];
+        } else {
+            const result = parseList(input.homeLanguages, 'homeLanguages', {
+                max: CHILD_PROFILE_LIMITS.homeLanguages,
+                length: CHILD_PROFILE_LIMITS.languageLength,
+                pattern: /^[\p{L}][\p{L}\p{M} '()-]*$/u,
+                description: 'letters, spaces, hyphens, apostrophes and brackets',
+            });
+            if (result.error) return result;
+            profile.homeLanguages = result.values;
+        }
+    }
+
+    if (input.temperamentNotes !== undefined) {
+        if (input.temperamentNotes === null) {
+            profile.temperamentNotes = null;
+        } else if (typeof input.temperamentNotes !== 'string') {
+            return { error: 'temperamentNotes must be a string' };
+        } else {
+            const notes = oneLine(input.temperamentNotes);
+            if (notes.length > CHILD_PROFILE_LIMITS.temperamentLength) {
+                return {
+                    error: `temperamentNotes must be at most ${CHILD_PROFILE_LIMITS.temperamentLength} characters`,
+                };
+            }
+            profile.temperamentNotes = notes || null;
+        }
+    }
+
+    return { profile };
+};
+
+// JSON columns come back parsed from mysql2, but older drivers and
+// hand-written rows may hold strings
+const toList = value => {
+    if (Array.isArray(value)) return value;
+    if (!value) return [];
+    try {
+        const parsed = JSON.parse(value);
+        return Array.isArray(parsed) ? parsed : [];
+    } catch {
+        return [];
+    }
+};
+
+// API view of the profile columns on a children row
+export const withProfile = child => {
+    const {
+        interests,
+        home_languages: homeLanguages,
+        temperament_notes: temperamentNotes,
+        ...rest
+    } = child;
+    return {
+        ...rest,
+        interests: toList(interests),
+        home_languages: toList(homeLanguages),
+        temperament_notes: temperamentNotes || null,
+    };
+};
+
+// Prompt fragments for a child's profile, e.g.
+// ['loves trucks, dinosaurs', 'hears Spanish, English at home', 'temperament: shy at first']
+export const describeProfile = child => {
+    const parts = [];
+    if (child.interests?.length) {
+        parts.push(`loves ${child.interests.join(', ')}`);
+    }
+    if (child.home_languages?.length) {
+        parts.push(`hears ${child.home_languages.join(', ')} at home`);
+    }
+    if (child.temperament_notes) {
+        parts.push(`temperament: ${child.temperament_notes}`);
+    }
+    return parts;
+};
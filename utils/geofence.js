@@ -0,0 +1,203 @@
+// Geofences around saved locations. Every location has a circular fence
+// (radius in metres around its pin); a location can also have a polygon
+// boundary, which then decides whether a point is inside instead of the
+// circle. Distances use the haversine formula; polygon tests and areas use
+// an equirectangular projection, which is accurate at the scale of a park.
+// No part of a fence reaches further than GEOFENCE_MAX_RADIUS_M from its pin,
+// which is what lets matching prefilter pins by a bounding box.
+export const GEOFENCE_DEFAULT_RADIUS_M = 100;
+export const GEOFENCE_MIN_RADIUS_M = 25;
+export const GEOFENCE_MAX_RADIUS_M = 2000;
+export const GEOFENCE_MAX_POLYGON_POINTS = 100;
+
+const EARTH_RADIUS_M = 6371000;
+
+const METERS_PER_DEGREE_LAT = 111320;
+
+const deg2rad = deg => deg * (Math.PI / 180);
+
+export const distanceMeters = (lat1, lon1, lat2, lon2) => {
+    const dLat = deg2rad(lat2 - lat1);
+    const dLon = deg2rad(lon2 - lon1);
+    const a =
+        Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+        Math.cos(deg2rad(lat1)) *
+            Math.cos(deg2rad(lat2)) *
+            Math.sin(dLon / 2) *
+            Math.sin(dLon / 2);
+    return EARTH_RADIUS_M * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+// Polygon vertices as x/y metres relative to `origin`
+const project = (points, origin) => {
+    const scale = Math.cos(deg2rad(origin.latitude));
+    return points.map(point => ({
+        x: deg2rad(point.longitude - origin.longitude) * EARTH_RADIUS_M * scale,
+        y: deg2rad(point.latitude - origin.latitude) * EARTH_RADIUS_M,
+    }));
+};
+
+// Ray casting from the point eastwards
+export const pointInPolygon = (point, polygon) => {
+    const vertices = project(polygon, point);
+    let inside = false;
+    for (let i = 0, j = vertices.length - 1; i < vertices.length; j = i++) {
+        const a = vertices[i];
+        const b = vertices[j];
+        if (a.y > 0 !== b.y > 0 && 0 < ((b.x - a.x) * (0 - a.y)) / (b.y - a.y) + a.x) {
+            inside = !inside;
+        }
+    }
+    return inside;
+};
+
+// Area in square metres (shoelace formula)
+export const polygonArea = polygon => {
+    const vertices = project(polygon, polygon[0]);
+    let sum = 0;
+    for (let i = 0, j = vertices.length - 1; i < vertices.length; j = i++) {
+        sum += vertices[j].x * vertices[i].y - vertices[i].x * vertices[j].y;
+    }
+    return Math.abs(sum) / 2;
+};
+
+const isLatitude = value => Number.isFinite(value) && value >= -90 && value <= 90;
+const isLongitude = value => Number.isFinite(value) && value >= -180 && value <= 180;
+
+// The box `meters` either side of a point. Latitude is clamped at the poles;
+// boxes crossing the antimeridian are clamped too, so fences straddling it
+// won't match from the far side.
+export const boundingBox = (point, meters) => {
+    const dLat = meters / METERS_PER_DEGREE_LAT;
+    const dLon =
+        meters /
+        (METERS_PER_DEGREE_LAT * Math.max(Math.cos(deg2rad(point.latitude)), 0.01));
+    return {
+        minLatitude: Math.max(point.latitude - dLat, -90),
+        maxLatitude: Math.min(point.latitude + dLat, 90),
+        minLongitude: Math.max(point.longitude - dLon, -180),
+        maxLongitude: Math.min(point.longitude + dLon, 180),
+    };
+};
+
+// Read `radius` (metres) and `boundary` (array of { latitude, longitude },
+// at least 3 points) from a request body. Absent fields are left out; a null
+// boundary removes it. With the location's `pin`, boundary points must lie
+// within GEOFENCE_MAX_RADIUS_M of it. Returns { radiusMeters?, boundary? }
+// or { error }.
+export const parseGeofence = (input, pin = null) => {
+    const fence = {};
+
+    if (input.radius !== undefined && input.radius !== null) {
+        const radius = Number(input.radius);
+        if (
+            !Number.isFinite(radius) ||
+            radius < GEOFENCE_MIN_RADIUS_M ||
+            radius > GEOFENCE_MAX_RADIUS_M
+        ) {
+            return {
+                error: `radius must be between ${GEOFENCE_MIN_RADIUS_M} and ${GEOFENCE_MAX_RADIUS_M} metres`,
+            };
+        }
+        fence.radiusMeters = Math.round(radius);
+    }
+
+    if (input.boundary !== undefined) {
+        if (input.boundary === null) {
+            fence.boundary = null;
+            return fence;
+        }
+        if (
+            !Array.isArray(input.boundary) ||
+            input.boundary.length < 3 ||
+            input.boundary.length > GEOFENCE_MAX_POLYGON_POINTS
+        ) {
+            return {
+                error: `boundary must be an array of 3 to ${GEOFENCE_MAX_POLYGON_POINTS} points`,
+            };
+        }
+        const boundary = [];
+        for (const point of input.boundary) {
+            const latitude = Number(point?.latitude);
+            const longitude = Number(point?.longitude);
+            if (!isLatitude(latitude) || !isLongitude(longitude)) {
+                return {
+                    error: 'Each boundary point needs a valid latitude and longitude',
+                };
+            }
+            if (
+                pin &&
+                distanceMeters(pin.latitude, pin.longitude, latitude, longitude) >
+                    GEOFENCE_MAX_RADIUS_M
+            ) {
+                return {
+                    error: `boundary points must be within ${GEOFENCE_MAX_RADIUS_M} metres of the location`,
+                };
+            }
+            boundary.push({ latitude, longitude });
+        }
+        // A closing point repeating the first is implied
+        const first = boundary[0];
+        const last = boundary[boundary.length - 1];
+        if (first.latitude === last.latitude && first.longitude === last.longitude) {
+            boundary.pop();
+        }
+        if (boundary.length < 3 || polygonArea(boundary) < 1) {
+            return { error: 'boundary must enclose an area' };
+        }
+        fence.boundary = boundary;
+    }
+
+    return fence;
+};
+
+// Parse the boundary JSON column (mysql2 returns JSON columns parsed)
+export const toBoundary = value => {
+    if (!value) return null;
+    const boundary = typeof value === 'string' ? JSON.parse(value) : value;
+    return Array.isArray(boundary) && boundary.length >= 3 ? boundary : null;
+};
+
+// Whether `point` is inside a location's fence. Returns null when outside,
+// otherwise { distanceMeters, areaSquareMeters } for ranking overlaps.
+export const matchGeofence = (point, location) => {
+    const distance = distanceMeters(
+        point.latitude,
+        point.longitude,
+        location.latitude,
+        location.longitude,
+    );
+
+    if (location.boundary) {
+        if (!pointInPolygon(point, location.boundary)) return null;
+        return {
+            distanceMeters: distance,
+            areaSquareMeters: polygonArea(location.boundary),
+        };
+    }
+
+    const radius = location.radiusMeters || GEOFENCE_DEFAULT_RADIUS_M;
+    if (distance > radius) return null;
+    return { distanceMeters: distance, areaSquareMeters: Math.PI * radius * radius };
+};
+
+// The location whose fence contains `point`. When fences overlap (a home
+// inside a park, two pins next door) the smallest fence wins, so the more
+// specific place is chosen; equal fences go to the closer pin. Returns
+// { location, distanceMeters, areaSquareMeters } or null.
+export const bestGeofenceMatch = (point, locations) => {
+    let best = null;
+    for (const location of locations) {
+        const match = matchGeofence(point, location);
+        if (!match) continue;
+        if (
+            !best ||
+            match.areaSquareMeters < best.areaSquareMeters ||
+            (match.areaSquareMeters === best.areaSquareMeters &&
+                match.distanceMeters < best.distanceMeters)
+        ) {
+            best = { location, ...match };
+        }
+    }
+    return best;
+};
@@ -0,0 +1,88 @@
+// Bursts of background location fixes, as delivered by the mobile OS. Each
+// point is { latitude, longitude, timestamp, accuracy? }: timestamp is an ISO
+// date or epoch milliseconds, accuracy the fix's radius of uncertainty in
+// metres. Fixes worse than LOCATION_MAX_ACCURACY_M (default 100) can't place
+// the user inside a small fence, so they're dropped.
+export const LOCATION_BATCH_MAX_POINTS = 500;
+export const LOCATION_BATCH_MAX_AGE_HOURS = 24;
+
+// Clock skew tolerated on device timestamps
+const MAX_FUTURE_MS = 60 * 1000;
+
+export const maxAccuracyMeters = () => {
+    const value = parseInt(process.env.LOCATION_MAX_ACCURACY_M, 10);
+    return Number.isNaN(value) ? 100 : value;
+};
+
+const toTime = value => {
+    if (typeof value === 'number') return new Date(value);
+    if (typeof value === 'string' && value.trim() !== '') {
+        return /^\d+$/.test(value) ? new Date(Number(value)) : new Date(value);
+    }
+    return null;
+};
+
+// Validate, order and clean a batch. Returns { points, discarded } with
+// points sorted oldest first as { latitude, longitude, at, accuracy }, and
+// discarded counting the fixes dropped as invalid, stale (older than
+// LOCATION_BATCH_MAX_AGE_HOURS or in the future), inaccurate or duplicate
+// (same timestamp; the most accurate is kept). Returns { error } when the
+// batch itself is malformed.
+export const parseLocationBatch = (input, now = new Date()) => {
+    if (!Array.isArray(input) || input.length === 0) {
+        return { error: 'points must be a non-empty array' };
+    }
+    if (input.length > LOCATION_BATCH_MAX_POINTS) {
+        return {
+            error: `A batch can hold at most ${LOCATION_BATCH_MAX_POINTS} points`,
+        };
+    }
+
+    const discarded = { invalid: 0, stale: 0, inaccurate: 0, duplicate: 0 };
+    const oldest = now.getTime() - LOCATION_BATCH_MAX_AGE_HOURS * 60 * 60 * 1000;
+    const newest = now.getTime() + MAX_FUTURE_MS;
+    const maxAccuracy = maxAccuracyMeters();
+    const byTime = new Map();
+
+    for (const point of input) {
+        const latitude = Number(point?.latitude);
+        const longitude = Number(point?.longitude);
+        const at = toTime(point?.timestamp);
+        const accuracy =
+            point?.accuracy === undefined || point?.accuracy === null
+                ? null
+                : Number(point.accuracy);
+
+        if (
+            !Number.isFinite(latitude) ||
+            !Number.isFinite(longitude) ||
+            Math.abs(latitude) > 90 ||
+            Math.abs(longitude) > 180 ||
+            !at ||
+            Number.isNaN(at.getTime()) ||
+            (accuracy !== null && !(accuracy >= 0))
+        ) {
+            discarded.invalid++;
+            continue;
+        }
+        if (at.getTime() < oldest || at.getTime() > newest) {
+            discarded.stale++;
+            continue;
+        }
+        if (accuracy !== null && accuracy > maxAccuracy) {
+            discarded.inaccurate++;
+            continue;
+        }
+
+        const key = at.getTime();
+        const existing = byTime.get(key);
+        if (existing) {
+            discarded.duplicate++;
+            if ((accuracy ?? Infinity) >= (existing.accuracy ?? Infinity)) continue;
+        }
+        byTime.set(key, { latitude, longitude, at, accuracy });
+    }
+
+    const points = [...byTime.values()].sort((a, b) => a.at - b.at);
+    return { points, discarded };
+};
@@ -0,0 +1,266 @@
+// Named email templates. Each one renders { subject, text, html } from its
+// data; `ttlMinutes` (a number, or a function of the data) marks mail that is
+// useless once the code inside it has expired, so the outbox stops retrying it.
+
+const escapeHtml = value =>
+    String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+
+// A user-chosen name shown to someone else (subject and text included):
+// letters, spaces, apostrophes and hyphens only, so it can't carry a link or
+// a message, and at most 40 characters
+const MAX_DISPLAY_NAME = 40;
+const displayName = (value, fallback) => {
+    const name = String(value ?? '')
+        .replace(/[^\p{L}\p{M}' -]+/gu, '')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .slice(0, MAX_DISPLAY_NAME)
+        .trim();
+    return name || fallback;
+};
+
+const frontendLink = pathAndQuery =>
+    process.env.FRONTEND_URL ? `${process.env.FRONTEND_URL}${pathAndQuery}` : null;
+
+const layout = (title, body) => `
+      <div style="font-family: Arial, sans-serif; padding: 20px; max-width: 600px; margin: 0 auto;">
+        <h1 style="color: #4A90E2; text-align: center;">${title}</h1>
+        ${body}
+      </div>
+    `;
+
+const paragraph = (text, { size = 16, color = '#666' } = {}) =>
+    `<p style="color: ${color}; font-size: ${size}px;">${text}</p>`;
+
+const codeBox = (code, { size = 32, spacing = 6 } = {}) => `
+        <div style="background: #f5f5f5; border: 2px solid #4A90E2; border-radius: 8px; padding: 20px; margin: 20px 0;">
+          <p style="color: #4A90E2; font-size: ${size}px; font-weight: bold; font-family: monospace; margin: 0; letter-spacing: ${spacing}px; word-break: break-all;">${escapeHtml(code)}</p>
+        </div>`;
+
+const button = (href, label) =>
+    `<a href="${escapeHtml(href)}" style="background: #4A90E2; color: #fff; padding: 12px 24px; border-radius: 8px; text-decoration: none;">${label}</a>`;
+
+const centered = content =>
+    `<div style="text-align: center; margin: 40px 0;">${content}</div>`;
+
+export const MAIL_TEMPLATES = {
+    password_reset: {
+        ttlMinutes: 60,
+        render: ({ token }) => ({
+            subject: 'Password Reset Request',
+            text: [
+                'You requested a password reset for your Talk Around Town account.',
+                '',
+                `Your reset code: ${token}`,
+                '',
+                'Open the app, go to the password reset screen, paste the code and enter your new password.',
+                'This code expires in 1 hour and works only once.',
+                "If you didn't request this, please ignore this email.",
+            ].join('\n'),
+            html: layout(
+                'Password Reset Request',
+                `${paragraph('You requested a password reset for your Talk Around Town account.')}
+        ${centered(`${paragraph('Copy and paste this code in the app:', { color: '#333' })}${codeBox(token, { size: 24, spacing: 2 })}`)}
+        <div style="background: #f9f9f9; border-left: 4px solid #4A90E2; padding: 15px; margin: 20px 0;">
+          <p style="color: #666; font-size: 14px; margin: 0;"><strong>How to reset your password:</strong></p>
+          <ol style="color: #666; font-size: 14px; margin: 10px 0 0 0; padding-left: 20px;">
+            <li>Open the Talk Around Town app</li>
+            <li>Go to the password reset screen</li>
+            <li>Paste the code above</li>
+            <li>Enter your new password</li>
+          </ol>
+        </div>
+        ${paragraph('⏱️ This code will expire in <strong>1 hour</strong>.', { size: 14 })}
+        ${paragraph("If you didn't request this, please ignore this email.", { size: 14, color: '#999' })}
+        ${paragraph('For security, this code will only work once.', { size: 12, color: '#999' })}`,
+            ),
+        }),
+    },
+
+    verification: {
+        ttlMinutes: 24 * 60,
+        render: ({ email, code }) => {
+            const link = frontendLink(
+                `/verify-email?email=${encodeURIComponent(email)}&code=${code}`,
+            );
+            return {
+                subject: 'Verify your email address',
+                text: [
+                    'Welcome to Talk Around Town! Please confirm this is your email address.',
+                    '',
+                    `Your verification code: ${code}`,
+                    ...(link ? [`Or open this link: ${link}`] : []),
+                    '',
+                    'This code expires in 24 hours.',
+                    "If you didn't create an account, please ignore this email.",
+                ].join('\n'),
+                html: layout(
+                    'Verify Your Email',
+                    `${paragraph('Welcome to Talk Around Town! Please confirm this is your email address.')}
+        ${centered(`${paragraph('Enter this code in the app:', { color: '#333' })}${codeBox(code)}${
+            link ? paragraph(`Or <a href="${escapeHtml(link)}" style="color: #4A90E2;">verify your email here</a>.`, { size: 14 }) : ''
+        }`)}
+        ${paragraph('⏱️ This code will expire in <strong>24 hours</strong>.', { size: 14 })}
+        ${paragraph("If you didn't create an account, please ignore this email.", { size: 14, color: '#999' })}`,
+                ),
+            };
+        },
+    },
+
+    welcome: {
+        render: ({ name }) => ({
+            subject: 'Welcome to Talk Around Town',
+            text: [
+                `Hi ${name || 'there'},`,
+                '',
+                'Your Talk Around Town account is ready.',
+                'Add the places you visit with your child and the app will suggest conversation tips when you get there.',
+                '',
+                'Happy talking!',
+            ].join('\n'),
+            html: layout(
+                'Welcome to Talk Around Town',
+                `${paragraph(`Hi ${escapeHtml(name || 'there')},`)}
+        ${paragraph('Your Talk Around Town account is ready.')}
+        ${paragraph('Add the places you visit with your child and the app will suggest conversation tips when you get there.')}
+        ${paragraph('Happy talking!')}`,
+            ),
+        }),
+    },
+
+    // Periodic summary of tips; `tips` is a list of { title, description }
+    digest: {
+        render: ({ name, period = 'this week', tips = [] }) => ({
+            subject: `Your Talk Around Town tips for ${period}`,
+            text: [
+                `Hi ${name || 'there'},`,
+                '',
+                `Here are some conversation ideas for ${period}:`,
+                '',
+                ...tips.map(tip => `- ${tip.title}: ${tip.description}`),
+            ].join('\n'),
+            html: layout(
+                'Your Tips Digest',
+                `${paragraph(`Hi ${escapeHtml(name || 'there')},`)}
+        ${paragraph(`Here are some conversation ideas for ${escapeHtml(period)}:`)}
+        <ul style="color: #666; font-size: 15px; padding-left: 20px;">
+          ${tips
+              .map(
+                  tip =>
+                      `<li style="margin-bottom: 12px;"><strong>${escapeHtml(tip.title)}</strong><br>${escapeHtml(tip.description)}</li>`,
+              )
+              .join('\n          ')}
+        </ul>`,
+            ),
+        }),
+    },
+
+    account_locked: {
+        ttlMinutes: 30,
+        render: ({ unlockToken }) => {
+            const link = frontendLink(`/unlock-account?token=${unlockToken}`);
+            return {
+                subject: 'Your account has been locked',
+                text: [
+                    'We locked your Talk Around Town account after several unsuccessful sign-in attempts.',
+                    '',
+                    link
+                        ? `If this was you, you can unlock it now: ${link}`
+                        : `If this was you, you can unlock it now by entering this code in the app: ${unlockToken}`,
+                    '',
+                    "Otherwise the lock lifts by itself in 30 minutes. If you didn't try to sign in, consider resetting your password.",
+                ].join('\n'),
+                html: layout(
+                    'Account Temporarily Locked',
+                    `${paragraph('We locked your Talk Around Town account after several unsuccessful sign-in attempts.')}
+        ${paragraph(`If this was you, you can unlock it now${link ? '' : ' by entering this code in the app'}:`)}
+        ${centered(link ? button(link, 'Unlock my account') : codeBox(unlockToken, { size: 18, spacing: 0 }))}
+        ${paragraph("Otherwise the lock lifts by itself in 30 minutes. If you didn't try to sign in, consider resetting your password.", { size: 14 })}`,
+                ),
+            };
+        },
+    },
+
+    login_code: {
+        ttlMinutes: ({ ttlMinutes }) => ttlMinutes,
+        render: ({ code, ttlMinutes }) => ({
+            subject: 'Your Talk Around Town sign-in code',
+            text: [
+                'Use this code to sign in to Talk Around Town. No password needed.',
+                '',
+                `Your sign-in code: ${code}`,
+                '',
+                `This code expires in ${ttlMinutes} minutes and works only once.`,
+                "If you didn't try to sign in, you can ignore this email.",
+            ].join('\n'),
+            html: layout(
+                'Your Sign-In Code',
+                `${paragraph('Use this code to sign in to Talk Around Town. No password needed.')}
+        ${centered(codeBox(code))}
+        ${paragraph(`⏱️ This code will expire in <strong>${ttlMinutes} minutes</strong> and works only once.`, { size: 14 })}
+        ${paragraph("If you didn't try to sign in, you can ignore this email.", { size: 14, color: '#999' })}`,
+            ),
+        }),
+    },
+
+    household_invitation: {
+        ttlMinutes: 7 * 24 * 60,
+        render: ({ inviterName: rawName, token }) => {
+            const link = frontendLink(`/household/accept?token=${token}`);
+            const inviterName = displayName(rawName, 'A parent');
+            const inviter = escapeHtml(inviterName);
+            return {
+                subject: `${inviterName} invited you to Talk Around Town`,
+                text: [
+                    `${inviterName} invited you to help care for their family on Talk Around Town.`,
+                    "Once you join, you'll share the children, places and saved tips in their household.",
+                    '',
+                    link
+                        ? `Accept the invitation: ${link}`
+                        : `Sign in to the app with this email address and enter this code: ${token}`,
+                    '',
+                    `This invitation expires in 7 days. If you don't know ${inviterName}, you can ignore this email.`,
+                ].join('\n'),
+                html: layout(
+                    "You're Invited!",
+                    `${paragraph(`${inviter} invited you to help care for their family on Talk Around Town.`)}
+        ${paragraph("Once you join, you'll share the children, places and saved tips in their household.")}
+        ${centered(
+            link
+                ? button(link, 'Accept invitation')
+                : `${paragraph('Sign in to the app with this email address and enter this code:', { color: '#333' })}${codeBox(token, { size: 18, spacing: 0 })}`,
+        )}
+        ${paragraph(`This invitation expires in 7 days. If you don't know ${inviter}, you can ignore this email.`, { size: 14, color: '#999' })}`,
+                ),
+            };
+        },
+    },
+
+    test: {
+        render: () => {
+            const sentAt = new Date().toLocaleString();
+            return {
+                subject: 'Test Email from TAT App',
+                text: `This is a test email to verify the email configuration is working.\nTime sent: ${sentAt}`,
+                html: layout(
+                    'Test Email',
+                    `${paragraph('This is a test email to verify the email configuration is working.')}
+        ${paragraph(`Time sent: ${sentAt}`)}`,
+                ),
+            };
+        },
+    },
+};
+
+export const MAIL_TEMPLATE_NAMES = Object.keys(MAIL_TEMPLATES);
+
+export const renderTemplate = (name, data = {}) => {
+    const template = MAIL_TEMPLATES[name];
+    if (!template) throw new Error(`Unknown email template: ${name}`);
+    return template.render(data);
+};
@@ -0,0 +1,125 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import nodemailer from 'nodemailer';
+import sgMail from '@sendgrid/mail';
+import 'dotenv/config';
+
+// Transports are tried in order until one accepts the message.
+// MAIL_TRANSPORTS=sendgrid,smtp,file picks the chain explicitly; otherwise
+// every configured provider is used, and the file transport when none is
+// (or under NODE_ENV=test) so nothing is sent from development machines.
+export const MAIL_FROM = () =>
+    process.env.MAIL_FROM || process.env.SENDGRID_FROM || process.env.EMAIL_USER;
+
+const FILE_DIR = () =>
+    process.env.MAIL_FILE_DIR || path.join(process.cwd(), 'tmp', 'mail');
+
+let smtpTransporter = null;
+const getSmtpTransporter = () => {
+    if (smtpTransporter) return smtpTransporter;
+
+    if (process.env.SMTP_HOST) {
+        smtpTransporter = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: parseInt(process.env.SMTP_PORT, 10) || 587,
+            secure: process.env.SMTP_SECURE === 'true',
+            auth: process.env.SMTP_USER
+                ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+                : undefined,
+        });
+    } else {
+        // Legacy Gmail settings (GMAIL_APP_PASSWORD, or EMAIL_USER/EMAIL_PASS)
+        smtpTransporter = nodemailer.createTransport({
+            service: 'gmail',
+            auth: process.env.GMAIL_APP_PASSWORD
+                ? { user: process.env.SENDGRID_FROM, pass: process.env.GMAIL_APP_PASSWORD }
+                : { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASS },
+        });
+    }
+    return smtpTransporter;
+};
+
+// Builds the raw MIME message without sending it
+const fileTransporter = nodemailer.createTransport({
+    streamTransport: true,
+    buffer: true,
+    newline: 'unix',
+});
+
+const TRANSPORTS = {
+    sendgrid: {
+        label: 'SendGrid',
+        configured: () => Boolean(process.env.SENDGRID_API_KEY),
+        send: async message => {
+            sgMail.setApiKey(process.env.SENDGRID_API_KEY);
+            try {
+                await sgMail.send(message);
+            } catch (error) {
+                const details = error?.response?.body?.errors
+                    ?.map(e => e.message)
+                    .join('; ');
+                throw new Error(details || error.message);
+            }
+        },
+    },
+    smtp: {
+        label: 'SMTP',
+        configured: () =>
+            Boolean(
+                process.env.SMTP_HOST ||
+                    process.env.GMAIL_APP_PASSWORD ||
+                    (process.env.EMAIL_USER && process.env.EMAIL_PASS),
+            ),
+        send: message => getSmtpTransporter().sendMail(message),
+    },
+    // Writes each message as an .eml file under MAIL_FILE_DIR (default
+    // tmp/mail) for offline development and tests
+    file: {
+        label: 'File',
+        configured: () => true,
+        send: async message => {
+            const info = await fileTransporter.sendMail(message);
+            await fs.mkdir(FILE_DIR(), { recursive: true });
+            const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.eml`;
+            await fs.writeFile(path.join(FILE_DIR(), fileName), info.message);
+            console.log(`📁 Email written to ${path.join(FILE_DIR(), fileName)}`);
+        },
+    },
+};
+
+export const transportChain = () => {
+    if (process.env.MAIL_TRANSPORTS) {
+        return process.env.MAIL_TRANSPORTS.split(',')
+            .map(name => name.trim().toLowerCase())
+            .filter(name => TRANSPORTS[name]);
+    }
+    if (process.env.NODE_ENV === 'test') return ['file'];
+
+    const configured = ['sendgrid', 'smtp'].filter(name =>
+        TRANSPORTS[name].configured(),
+    );
+    return configured.length > 0 ? configured : ['file'];
+};
+
+// Send an email through the transport chain.
+// Returns the name of the provider that accepted the message.
+export const sendEmail = async ({ to, subject, html, text }) => {
+    const message = { to, from: MAIL_FROM(), subject, html, text };
+    const failures = [];
+
+    for (const name of transportChain()) {
+        const transport = TRANSPORTS[name];
+        try {
+            console.log(`📧 Attempting to send via ${transport.label}...`);
+            await transport.send(message);
+            console.log(`✅ Email sent via ${transport.label}`);
+            return transport.label;
+        } catch (error) {
+            console.warn(`⚠️  ${transport.label} failed:`, error.message);
+            failures.push(`${transport.label}: ${error.message}`);
+        }
+    }
+
+    throw new Error(`All email providers failed (${failures.join('; ') || 'no transports configured'})`);
+};
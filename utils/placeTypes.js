@@ -0,0 +1,107 @@
+// The kinds of place a location can be. `label` is what's stored in
+// locations.type and shown to users, `tipType` the tips.type whose catalogue
+// tips fit the place (null when none do), and icon/colour are fixed so a
+// place looks the same on every map. Aliases are the other spellings clients
+// have sent; they're matched ignoring case, spacing and punctuation.
+// migration_place_types.sql applies the same aliases to existing rows, so the
+// two must be kept in step.
+export const PLACE_TYPES = [
+    {
+        key: 'bus_walk',
+        label: 'Bus/Walk',
+        aliases: ['bus', 'walk', 'bus stop', 'transit', 'commute'],
+        icon: 'bus',
+        color: '#1E88E5',
+        tipType: 'Bus/Walk',
+    },
+    {
+        key: 'waiting_room',
+        label: 'Waiting Room',
+        aliases: ['waiting area', 'clinic', "doctor's office"],
+        icon: 'clock-outline',
+        color: '#8E24AA',
+        tipType: 'Waiting Room',
+    },
+    {
+        key: 'library',
+        label: 'Library',
+        aliases: [],
+        icon: 'book-open-variant',
+        color: '#6D4C41',
+        tipType: 'Library',
+    },
+    {
+        key: 'park',
+        label: 'Park',
+        aliases: ['playground'],
+        icon: 'tree',
+        color: '#43A047',
+        tipType: 'Park',
+    },
+    {
+        key: 'grocery_store',
+        label: 'Grocery Store',
+        aliases: ['grocery', 'groceries', 'supermarket'],
+        icon: 'cart',
+        color: '#FB8C00',
+        tipType: 'Grocery Store',
+    },
+    {
+        key: 'general_store',
+        label: 'General Store',
+        aliases: ['store', 'shop', 'shopping'],
+        icon: 'store',
+        color: '#F4511E',
+        tipType: 'General Store',
+    },
+    {
+        key: 'restaurant',
+        label: 'Restaurant',
+        aliases: ['cafe', 'diner'],
+        icon: 'silverware-fork-knife',
+        color: '#E53935',
+        tipType: 'Restaurant',
+    },
+    {
+        key: 'others_home',
+        label: "Other's Home",
+        aliases: ["friend's home", "relative's home", "grandparents' home"],
+        icon: 'home-heart',
+        color: '#D81B60',
+        tipType: "Other's Home",
+    },
+    {
+        key: 'other',
+        label: 'Other',
+        aliases: ['default'],
+        icon: 'map-marker',
+        color: '#757575',
+        tipType: null,
+    },
+];
+
+export const DEFAULT_PLACE_TYPE = PLACE_TYPES.find(type => type.key === 'other');
+
+const normalize = value =>
+    String(value)
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '');
+
+const byName = new Map();
+for (const type of PLACE_TYPES) {
+    for (const name of [type.key, type.label, ...type.aliases]) {
+        byName.set(normalize(name), type);
+    }
+}
+
+// The place type a client-supplied key, label or alias names, or null
+export const resolvePlaceType = value => {
+    if (typeof value !== 'string') return null;
+    return byName.get(normalize(value)) || null;
+};
+
+// Metadata for a stored locations.type; anything unrecognised is Other
+export const placeTypeFor = value => {
+    const { aliases, ...type } = resolvePlaceType(value) || DEFAULT_PLACE_TYPE;
+    return type;
+};
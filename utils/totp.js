@@ -0,0 +1,42 @@
+import crypto from 'crypto';
+
+// The pieces of TOTP (RFC 6238) that don't touch the database: base32 for
+// authenticator app secrets and the RFC 4226 HOTP code for one time step.
+// services/totpService.js handles enrolment, storage and drift.
+export const TOTP_DIGITS = 6;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+export const base32Encode = buffer => {
+    let bits = '';
+    for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+    let output = '';
+    for (let i = 0; i < bits.length; i += 5) {
+        output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return output;
+};
+
+export const base32Decode = input => {
+    let bits = '';
+    for (const char of input.replace(/=+$/, '').toUpperCase()) {
+        const value = BASE32_ALPHABET.indexOf(char);
+        if (value === -1) throw new Error('Invalid base32 character');
+        bits += value.toString(2).padStart(5, '0');
+    }
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+        bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    }
+    return Buffer.from(bytes);
+};
+
+// RFC 4226 HOTP value for one counter step
+export const hotp = (secret, counter) => {
+    const buffer = Buffer.alloc(8);
+    buffer.writeBigUInt64BE(BigInt(counter));
+    const hmac = crypto.createHmac('sha1', secret).update(buffer).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const value = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** TOTP_DIGITS;
+    return String(value).padStart(TOTP_DIGITS, '0');
+};